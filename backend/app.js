@@ -3,21 +3,57 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import routerV1 from './src/v1/index.router.js';
+import maintenanceMode from './src/v1/middlewares/maintenanceMode.js';
+import { apiRateLimiter } from './src/v1/middlewares/rateLimiter.js';
 import cookieParser from 'cookie-parser';
 import connectDB from './src/configs/connectDb.js';
+import { startWebhookRetryWorker } from './src/v1/modules/webhook/webhookDispatcher.js';
 
 dotenv.config();
 
 const app = express();
 
-app.use(cors());
+// Behind a proxy or load balancer, set TRUST_PROXY (e.g. 1 for one hop) so
+// req.ip is the client's address; maintenance allowedIPs and rate limits depend on it
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    'trust proxy',
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY,
+  );
+}
+
+// The refresh token cookie is only sent cross-origin with credentials, which
+// browsers allow for an explicit origin; CORS_ORIGINS is a comma-separated list
+app.use(
+  cors((req, callback) => {
+    const allowedOrigins = (
+      process.env.CORS_ORIGINS ||
+      process.env.WEBSITE_URL ||
+      'http://localhost:3000'
+    )
+      .split(',')
+      .map(origin => origin.trim().replace(/\/$/, ''));
+    const origin = req.get('origin');
+
+    callback(
+      null,
+      origin && allowedOrigins.includes(origin)
+        ? { origin: true, credentials: true }
+        : { origin: '*' },
+    );
+  }),
+);
+// Payment webhooks are verified against the exact bytes the gateway signed,
+// so keep their body raw; express.json() skips requests already parsed here
+app.use('/api/v1/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json());
 app.use(cookieParser());
 app.use(morgan('dev'));
 
 const PORT = process.env.PORT || 5000;
 
-app.use('/api/v1', routerV1);
+app.use('/api/v1', maintenanceMode, apiRateLimiter, routerV1);
 
 // error handling middleware
 app.use((err, req, res, next) => {
@@ -28,6 +64,7 @@ app.use((err, req, res, next) => {
 const startServer = async () => {
   try {
     await connectDB();
+    startWebhookRetryWorker();
     app.listen(PORT, () => {
       console.log(`🗄️ Server is running on port ${PORT}`);
     });
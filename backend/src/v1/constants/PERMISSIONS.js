@@ -0,0 +1,45 @@
+import { ROLES } from './ROLES.js';
+
+// Named permissions checked by authorize() (middlewares/authorize.js)
+export const PERMISSIONS = {
+  PRODUCTS_READ: 'products.read', // Private product lists and details
+  PRODUCTS_WRITE: 'products.write', // Create, update, images, status, stock
+  PRODUCTS_DELETE: 'products.delete',
+  CATEGORIES_WRITE: 'categories.write',
+  ORDERS_READ: 'orders.read', // Every customer's orders
+  ORDERS_UPDATE: 'orders.update', // Order status
+  ORDERS_REFUND: 'orders.refund',
+  RETURNS_MANAGE: 'returns.manage',
+  ANALYTICS_READ: 'analytics.read',
+  REVIEWS_MODERATE: 'reviews.moderate',
+  COUPONS_READ: 'coupons.read',
+  COUPONS_WRITE: 'coupons.write',
+  PROMOTIONS_READ: 'promotions.read',
+  PROMOTIONS_WRITE: 'promotions.write',
+  CUSTOMERS_READ: 'customers.read',
+  USERS_UNLOCK: 'users.unlock',
+  MODERATORS_MANAGE: 'moderators.manage', // Moderators and their permissions
+  SETTINGS_READ: 'settings.read',
+  SETTINGS_WRITE: 'settings.write',
+  WEBHOOKS_MANAGE: 'webhooks.manage',
+  AUDIT_READ: 'audit.read',
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// What each role can do by default. Admins always hold every permission;
+// moderators can be granted or denied individual permissions on top of theirs.
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ALL_PERMISSIONS,
+  [ROLES.MODERATOR]: [
+    PERMISSIONS.PRODUCTS_READ,
+    PERMISSIONS.PRODUCTS_WRITE,
+    PERMISSIONS.CATEGORIES_WRITE,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_UPDATE,
+    PERMISSIONS.RETURNS_MANAGE,
+    PERMISSIONS.REVIEWS_MODERATE,
+    PERMISSIONS.CUSTOMERS_READ,
+  ],
+  [ROLES.CUSTOMER]: [],
+};
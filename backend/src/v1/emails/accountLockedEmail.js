@@ -0,0 +1,255 @@
+/**
+ * Generates the HTML email sent when an account is locked after too many failed logins
+ * @param {Object} options - Email template options
+ * @param {string} options.email - User's email address
+ * @param {string} [options.userName] - User's name
+ * @param {Date} options.lockedUntil - When the lock ends
+ * @param {number} options.failedAttempts - Failed logins that caused the lock
+ * @param {string} [options.ipAddress] - IP of the last failed login
+ * @param {string} [options.companyName] - Company name (default: E-Commerce Express)
+ * @param {string} [options.logoUrl] - Company logo URL
+ * @param {string} [options.resetPasswordUrl] - Where to reset the password
+ * @param {string} [options.supportEmail] - Support email address
+ * @returns {string} HTML email template
+ */
+const accountLockedEmail = (options = {}) => {
+  const {
+    email = '',
+    userName = '',
+    lockedUntil,
+    failedAttempts,
+    ipAddress = '',
+    companyName = 'E-Commerce Express',
+    logoUrl = '',
+    resetPasswordUrl = '#',
+    supportEmail = 'support@ecommerce-express.com',
+  } = options;
+
+  const theme = {
+    primary: '#007bff',
+    danger: '#dc3545',
+    warning: '#ffc107',
+    background: '#f8f9fa',
+    text: '#212529',
+    textLight: '#6c757d',
+    border: '#e9ecef',
+  };
+
+  const formatDateTime = date =>
+    new Date(date).toLocaleString('en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      timeZone: 'UTC',
+    });
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="X-UA-Compatible" content="IE=edge">
+    <title>Your Account Has Been Locked - ${companyName}</title>
+    <style>
+        /* Reset styles */
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            line-height: 1.6;
+            color: ${theme.text};
+            background-color: ${theme.background};
+        }
+
+        .email-container {
+            max-width: 600px;
+            margin: 20px auto;
+            background-color: #ffffff;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .header {
+            background-color: ${theme.danger};
+            padding: 40px 20px;
+            text-align: center;
+            color: white;
+        }
+
+        .logo {
+            max-width: 150px;
+            height: auto;
+            margin-bottom: 20px;
+        }
+
+        .header h1 {
+            font-size: 26px;
+            font-weight: 700;
+        }
+
+        .content {
+            padding: 40px 30px;
+        }
+
+        .greeting {
+            font-size: 20px;
+            font-weight: 600;
+            margin-bottom: 20px;
+        }
+
+        .message {
+            font-size: 16px;
+            margin-bottom: 25px;
+        }
+
+        .info-card {
+            background-color: ${theme.background};
+            border: 1px solid ${theme.border};
+            border-radius: 8px;
+            padding: 20px 25px;
+            margin-bottom: 25px;
+        }
+
+        .info-row {
+            display: flex;
+            justify-content: space-between;
+            padding: 8px 0;
+            border-bottom: 1px solid ${theme.border};
+        }
+
+        .info-row:last-child {
+            border-bottom: none;
+        }
+
+        .info-row .label {
+            font-weight: 600;
+            color: ${theme.textLight};
+        }
+
+        .security-notice {
+            background-color: #fff8e1;
+            border-left: 4px solid ${theme.warning};
+            padding: 20px;
+            border-radius: 4px;
+            margin-bottom: 25px;
+        }
+
+        .security-notice h4 {
+            margin-bottom: 10px;
+        }
+
+        .security-notice li {
+            margin: 0 0 5px 20px;
+        }
+
+        .cta-section {
+            text-align: center;
+            margin: 30px 0 10px;
+        }
+
+        .cta-button {
+            display: inline-block;
+            background-color: ${theme.primary};
+            color: white;
+            text-decoration: none;
+            padding: 14px 32px;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+        }
+
+        .footer {
+            background-color: ${theme.background};
+            padding: 25px 20px;
+            text-align: center;
+            border-top: 1px solid ${theme.border};
+        }
+
+        .footer p {
+            color: ${theme.textLight};
+            font-size: 14px;
+            margin-bottom: 8px;
+        }
+
+        .footer a {
+            color: ${theme.primary};
+            text-decoration: none;
+        }
+
+        @media only screen and (max-width: 600px) {
+            .email-container {
+                margin: 0 !important;
+                border-radius: 0 !important;
+            }
+
+            .content {
+                padding: 30px 20px !important;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="email-container">
+        <!-- Header -->
+        <div class="header">
+            ${logoUrl ? `<img src="${logoUrl}" alt="${companyName} Logo" class="logo">` : ''}
+            <h1>🔒 Your Account Has Been Locked</h1>
+        </div>
+
+        <!-- Content -->
+        <div class="content">
+            <div class="greeting">${userName ? `Hello ${userName},` : 'Hello,'}</div>
+
+            <div class="message">
+                <p>We locked your ${companyName} account after ${failedAttempts} failed sign-in attempts in a row. This protects your account if someone is trying to guess your password.</p>
+            </div>
+
+            <div class="info-card">
+                <div class="info-row">
+                    <span class="label">Locked until:</span>
+                    <span>${formatDateTime(lockedUntil)} (UTC)</span>
+                </div>
+                ${
+                  ipAddress
+                    ? `
+                <div class="info-row">
+                    <span class="label">Last attempt from:</span>
+                    <span>${ipAddress}</span>
+                </div>
+                `
+                    : ''
+                }
+            </div>
+
+            <div class="security-notice">
+                <h4>Was this you?</h4>
+                <ul>
+                    <li>If you forgot your password, you can sign in again once the lock ends, or reset your password</li>
+                    <li>If it was not you, reset your password as soon as the lock ends</li>
+                    <li>Contact support if you need access sooner</li>
+                </ul>
+            </div>
+
+            <div class="cta-section">
+                <a href="${resetPasswordUrl}" class="cta-button">Reset Password</a>
+            </div>
+        </div>
+
+        <!-- Footer -->
+        <div class="footer">
+            <p><strong>${companyName}</strong></p>
+            <p>Need help? Contact us at <a href="mailto:${supportEmail}">${supportEmail}</a></p>
+            <p>&copy; ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
+            ${email ? `<p style="font-size: 12px; margin-top: 10px;">This email was sent to ${email}</p>` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+};
+
+export default accountLockedEmail;
@@ -0,0 +1,187 @@
+/**
+ * Generates the HTML email asking a new customer to confirm their email address
+ * @param {Object} options - Email template options
+ * @param {string} options.email - User's email address
+ * @param {string} [options.userName] - User's name
+ * @param {string} options.verificationUrl - Link that verifies the address
+ * @param {number} [options.expiryHours] - Hours the link stays valid (default: 24)
+ * @param {string} [options.companyName] - Company name (default: E-Commerce Express)
+ * @param {string} [options.logoUrl] - Company logo URL
+ * @param {string} [options.supportEmail] - Support email address
+ * @returns {string} HTML email template
+ */
+const emailVerificationEmail = (options = {}) => {
+  const {
+    email = '',
+    userName = '',
+    verificationUrl = '#',
+    expiryHours = 24,
+    companyName = 'E-Commerce Express',
+    logoUrl = '',
+    supportEmail = 'support@ecommerce-express.com',
+  } = options;
+
+  const theme = {
+    primary: '#007bff',
+    background: '#f8f9fa',
+    text: '#212529',
+    textLight: '#6c757d',
+    border: '#e9ecef',
+  };
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="X-UA-Compatible" content="IE=edge">
+    <title>Verify Your Email Address - ${companyName}</title>
+    <style>
+        /* Reset styles */
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            line-height: 1.6;
+            color: ${theme.text};
+            background-color: ${theme.background};
+        }
+
+        .email-container {
+            max-width: 600px;
+            margin: 20px auto;
+            background-color: #ffffff;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .header {
+            background-color: ${theme.primary};
+            padding: 40px 20px;
+            text-align: center;
+            color: white;
+        }
+
+        .logo {
+            max-width: 150px;
+            height: auto;
+            margin-bottom: 20px;
+        }
+
+        .header h1 {
+            font-size: 26px;
+            font-weight: 700;
+        }
+
+        .content {
+            padding: 40px 30px;
+        }
+
+        .greeting {
+            font-size: 20px;
+            font-weight: 600;
+            margin-bottom: 20px;
+        }
+
+        .message {
+            font-size: 16px;
+            margin-bottom: 25px;
+        }
+
+        .cta-section {
+            text-align: center;
+            margin: 30px 0 10px;
+        }
+
+        .cta-button {
+            display: inline-block;
+            background-color: ${theme.primary};
+            color: white;
+            text-decoration: none;
+            padding: 14px 32px;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+        }
+
+        .link-fallback {
+            font-size: 14px;
+            color: ${theme.textLight};
+            word-break: break-all;
+            margin-top: 25px;
+        }
+
+        .footer {
+            background-color: ${theme.background};
+            padding: 25px 20px;
+            text-align: center;
+            border-top: 1px solid ${theme.border};
+        }
+
+        .footer p {
+            color: ${theme.textLight};
+            font-size: 14px;
+            margin-bottom: 8px;
+        }
+
+        .footer a {
+            color: ${theme.primary};
+            text-decoration: none;
+        }
+
+        @media only screen and (max-width: 600px) {
+            .email-container {
+                margin: 0 !important;
+                border-radius: 0 !important;
+            }
+
+            .content {
+                padding: 30px 20px !important;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="email-container">
+        <!-- Header -->
+        <div class="header">
+            ${logoUrl ? `<img src="${logoUrl}" alt="${companyName} Logo" class="logo">` : ''}
+            <h1>✉️ Verify Your Email Address</h1>
+        </div>
+
+        <!-- Content -->
+        <div class="content">
+            <div class="greeting">${userName ? `Hello ${userName},` : 'Hello,'}</div>
+
+            <div class="message">
+                <p>Thanks for creating a ${companyName} account. Please confirm that this is your email address by clicking the button below. The link is valid for ${expiryHours} hours.</p>
+            </div>
+
+            <div class="cta-section">
+                <a href="${verificationUrl}" class="cta-button">Verify Email Address</a>
+            </div>
+
+            <p class="link-fallback">If the button does not work, copy this link into your browser:<br>${verificationUrl}</p>
+
+            <p class="link-fallback">If you did not create an account, you can ignore this email.</p>
+        </div>
+
+        <!-- Footer -->
+        <div class="footer">
+            <p><strong>${companyName}</strong></p>
+            <p>Need help? Contact us at <a href="mailto:${supportEmail}">${supportEmail}</a></p>
+            <p>&copy; ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
+            ${email ? `<p style="font-size: 12px; margin-top: 10px;">This email was sent to ${email}</p>` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+};
+
+export default emailVerificationEmail;
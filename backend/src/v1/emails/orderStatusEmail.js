@@ -0,0 +1,386 @@
+/**
+ * Generates the HTML email sent when an order moves through its lifecycle
+ * (shipped, out for delivery, delivered, cancelled, refunded)
+ * @param {Object} options - Email template options
+ * @param {Object} options.order - Order object with all details
+ * @param {string} options.event - shipped | out_for_delivery | delivered | cancelled | refunded
+ * @param {string} options.customerName - Customer's name
+ * @param {string} options.customerEmail - Customer's email address
+ * @param {Object} [options.refund] - Refund details for the refunded email ({ amount, method })
+ * @param {string} [options.companyName] - Company name (default: E-Commerce Express)
+ * @param {string} [options.logoUrl] - Company logo URL
+ * @param {string} [options.websiteUrl] - Website URL
+ * @param {string} [options.supportEmail] - Support email address
+ * @param {string} [options.trackingUrl] - Order tracking URL base
+ * @returns {string} HTML email template
+ */
+const orderStatusEmail = (options = {}) => {
+  const {
+    order,
+    event,
+    customerName = 'Valued Customer',
+    customerEmail = '',
+    refund = null,
+    companyName = 'E-Commerce Express',
+    logoUrl = '',
+    websiteUrl = '#',
+    supportEmail = 'support@ecommerce-express.com',
+    trackingUrl = '#',
+  } = options;
+
+  if (!order) {
+    throw new Error('Order object is required for order status email');
+  }
+
+  const theme = {
+    primary: '#007bff',
+    success: '#28a745',
+    warning: '#fd7e14',
+    danger: '#dc3545',
+    secondary: '#6c757d',
+    background: '#f8f9fa',
+    text: '#212529',
+    textLight: '#6c757d',
+    border: '#e9ecef',
+  };
+
+  // Heading, message and header colour per event
+  const events = {
+    shipped: {
+      icon: '🚚',
+      title: 'Your Order Has Shipped!',
+      message:
+        'Good news! Your order is on its way. You can follow the delivery with the tracking details below.',
+      color: theme.primary,
+    },
+    out_for_delivery: {
+      icon: '📍',
+      title: 'Out for Delivery',
+      message:
+        'Your order is out for delivery and should reach you today. Please keep your phone nearby.',
+      color: theme.warning,
+    },
+    delivered: {
+      icon: '✅',
+      title: 'Order Delivered',
+      message:
+        'Your order has been delivered. We hope you enjoy your purchase! If something is not right, you can request a return from your order page.',
+      color: theme.success,
+    },
+    cancelled: {
+      icon: '🚫',
+      title: 'Order Cancelled',
+      message: `Your order has been cancelled.${order.cancellationReason ? ` Reason: ${order.cancellationReason}` : ''} If you paid online, your refund is on its way.`,
+      color: theme.danger,
+    },
+    refunded: {
+      icon: '💸',
+      title: 'Refund Processed',
+      message:
+        refund?.method === 'manual'
+          ? 'We have refunded your payment. Depending on how you paid, it may take a few days to reach you.'
+          : 'We have refunded your payment to your original payment method. It may take a few days to appear on your statement.',
+      color: theme.success,
+    },
+  };
+
+  const content = events[event];
+  if (!content) {
+    throw new Error(`Unknown order email event: ${event}`);
+  }
+
+  // Helper function to format currency
+  const formatCurrency = amount => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+    }).format(amount);
+  };
+
+  // Helper function to format date
+  const formatDate = date => {
+    return new Date(date).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+  };
+
+  const { trackingNumber, carrier, estimatedDelivery } = order.shipping || {};
+  const showTracking =
+    ['shipped', 'out_for_delivery', 'delivered'].includes(event) &&
+    (trackingNumber || carrier);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="X-UA-Compatible" content="IE=edge">
+    <title>${content.title} - ${order.orderNumber}</title>
+    <style>
+        /* Reset styles */
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            line-height: 1.6;
+            color: ${theme.text};
+            background-color: ${theme.background};
+        }
+
+        .email-container {
+            max-width: 650px;
+            margin: 0 auto;
+            background-color: #ffffff;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .header {
+            background-color: ${content.color};
+            padding: 40px 20px;
+            text-align: center;
+            color: white;
+        }
+
+        .logo {
+            max-width: 150px;
+            height: auto;
+            margin-bottom: 20px;
+        }
+
+        .header h1 {
+            font-size: 28px;
+            font-weight: 700;
+            margin-bottom: 10px;
+        }
+
+        .order-number {
+            font-size: 18px;
+            opacity: 0.9;
+            font-weight: 600;
+        }
+
+        .content {
+            padding: 40px 30px;
+        }
+
+        .greeting {
+            font-size: 22px;
+            font-weight: 600;
+            color: ${theme.primary};
+            margin-bottom: 20px;
+        }
+
+        .message {
+            font-size: 16px;
+            margin-bottom: 30px;
+            line-height: 1.7;
+        }
+
+        .info-card {
+            background-color: ${theme.background};
+            border-radius: 8px;
+            padding: 25px;
+            margin: 30px 0;
+            border: 1px solid ${theme.border};
+        }
+
+        .info-card h2 {
+            color: ${theme.primary};
+            margin-bottom: 20px;
+            font-size: 20px;
+        }
+
+        .info-row {
+            display: flex;
+            justify-content: space-between;
+            padding: 8px 0;
+            border-bottom: 1px solid ${theme.border};
+        }
+
+        .info-row:last-child {
+            border-bottom: none;
+        }
+
+        .info-row .label {
+            font-weight: 600;
+            color: ${theme.textLight};
+        }
+
+        .item {
+            display: flex;
+            justify-content: space-between;
+            padding: 10px 0;
+            border-bottom: 1px solid ${theme.border};
+            font-size: 14px;
+        }
+
+        .item:last-child {
+            border-bottom: none;
+        }
+
+        .cta-section {
+            text-align: center;
+            margin: 40px 0;
+        }
+
+        .cta-button {
+            display: inline-block;
+            background-color: ${theme.primary};
+            color: white;
+            text-decoration: none;
+            padding: 15px 35px;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+            margin: 0 10px 10px 0;
+        }
+
+        .cta-button.secondary {
+            background-color: ${theme.secondary};
+        }
+
+        .footer {
+            background-color: ${theme.background};
+            padding: 30px 20px;
+            text-align: center;
+            border-top: 1px solid ${theme.border};
+        }
+
+        .footer p {
+            color: ${theme.textLight};
+            font-size: 14px;
+            margin-bottom: 10px;
+        }
+
+        @media only screen and (max-width: 600px) {
+            .content, .footer {
+                padding-left: 20px !important;
+                padding-right: 20px !important;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="email-container">
+        <!-- Header -->
+        <div class="header">
+            ${logoUrl ? `<img src="${logoUrl}" alt="${companyName} Logo" class="logo">` : ''}
+            <h1>${content.icon} ${content.title}</h1>
+            <p class="order-number">Order #${order.orderNumber}</p>
+        </div>
+
+        <!-- Content -->
+        <div class="content">
+            <div class="greeting">Hi ${customerName},</div>
+
+            <div class="message">
+                <p>${content.message}</p>
+            </div>
+
+            ${
+              showTracking
+                ? `
+            <!-- Tracking -->
+            <div class="info-card">
+                <h2>📦 Tracking Details</h2>
+                ${
+                  carrier
+                    ? `
+                <div class="info-row">
+                    <span class="label">Carrier:</span>
+                    <span>${carrier}</span>
+                </div>
+                `
+                    : ''
+                }
+                ${
+                  trackingNumber
+                    ? `
+                <div class="info-row">
+                    <span class="label">Tracking Number:</span>
+                    <span>${trackingNumber}</span>
+                </div>
+                `
+                    : ''
+                }
+                ${
+                  estimatedDelivery && event !== 'delivered'
+                    ? `
+                <div class="info-row">
+                    <span class="label">Estimated Delivery:</span>
+                    <span>${formatDate(estimatedDelivery)}</span>
+                </div>
+                `
+                    : ''
+                }
+            </div>
+            `
+                : ''
+            }
+
+            ${
+              refund
+                ? `
+            <!-- Refund -->
+            <div class="info-card">
+                <h2>💸 Refund</h2>
+                <div class="info-row">
+                    <span class="label">Amount Refunded:</span>
+                    <span>${formatCurrency(refund.amount)}</span>
+                </div>
+                <div class="info-row">
+                    <span class="label">Total Refunded on This Order:</span>
+                    <span>${formatCurrency(order.payment?.refundAmount || refund.amount)}</span>
+                </div>
+            </div>
+            `
+                : ''
+            }
+
+            <!-- Items -->
+            <div class="info-card">
+                <h2>🛍️ Your Items</h2>
+                ${order.items
+                  .map(
+                    item => `
+                <div class="item">
+                    <span>${item.productSnapshot.name} × ${item.quantity}</span>
+                    <span>${formatCurrency(item.lineTotal)}</span>
+                </div>
+                `,
+                  )
+                  .join('')}
+                <div class="item">
+                    <strong>Order Total</strong>
+                    <strong>${formatCurrency(order.pricing.total)}</strong>
+                </div>
+            </div>
+
+            <!-- CTA -->
+            <div class="cta-section">
+                <a href="${trackingUrl}/track/${order.orderNumber}" class="cta-button">View Your Order</a>
+                <a href="${websiteUrl}" class="cta-button secondary">Continue Shopping</a>
+            </div>
+        </div>
+
+        <!-- Footer -->
+        <div class="footer">
+            <p><strong>${companyName}</strong></p>
+            <p>Questions? Contact us at <a href="mailto:${supportEmail}" style="color: ${theme.primary};">${supportEmail}</a></p>
+            <p>&copy; ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
+            ${customerEmail ? `<p style="font-size: 12px; margin-top: 15px;">This email was sent to ${customerEmail}</p>` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+};
+
+export default orderStatusEmail;
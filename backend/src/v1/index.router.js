@@ -7,6 +7,12 @@ import orderRouter from './modules/order/order.router.js';
 import couponRouter from './modules/cupon/coupon.router.js';
 import reviewRouter from './modules/review/review.router.js';
 import settingsRouter from './modules/settings/settings.router.js';
+import addressRouter from './modules/address/address.router.js';
+import wishlistRouter from './modules/wishlist/wishlist.router.js';
+import promotionRouter from './modules/promotion/promotion.router.js';
+import paymentRouter from './modules/payment/payment.router.js';
+import webhookRouter from './modules/webhook/webhook.router.js';
+import auditRouter from './modules/audit/audit.router.js';
 
 const routerV1 = express.Router();
 
@@ -26,4 +32,16 @@ routerV1.use('/reviews', reviewRouter);
 
 routerV1.use('/settings', settingsRouter);
 
+routerV1.use('/addresses', addressRouter);
+
+routerV1.use('/wishlist', wishlistRouter);
+
+routerV1.use('/promotions', promotionRouter);
+
+routerV1.use('/payments', paymentRouter);
+
+routerV1.use('/webhooks', webhookRouter);
+
+routerV1.use('/audit-logs', auditRouter);
+
 export default routerV1;
@@ -0,0 +1,79 @@
+import jwt from 'jsonwebtoken';
+import User from '../modules/user/User.model.js';
+import { isSessionActive } from '../modules/user/sessionService.js';
+import { hasPermission } from '../utils/permissions.js';
+
+// Verifies the Bearer token and loads the signed-in user onto req.
+// Returns false after answering the request when it cannot be authenticated.
+const authenticate = async (req, res) => {
+  const token = req.headers['authorization']?.split('Bearer ')[1];
+
+  if (!token) {
+    res.status(401).json({ message: 'No token provided' });
+    return false;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    res.status(403).json({ message: 'Failed to authenticate token' });
+    return false;
+  }
+
+  const user = await User.findOne({
+    _id: decoded.userId,
+    email: decoded.email,
+    deleted: { $ne: true },
+  });
+  if (!user) {
+    res
+      .status(401)
+      .json({ message: 'Unauthorized: User not found or inactive' });
+    return false;
+  }
+
+  // Tokens carry their session; a revoked or expired session ends them early
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+    res
+      .status(401)
+      .json({ message: 'Session has ended, please sign in again' });
+    return false;
+  }
+
+  req.userEmail = decoded.email;
+  req.userId = decoded.userId;
+  req.user = user;
+  req.sessionId = decoded.sid;
+  return true;
+};
+
+/**
+ * Requires a signed-in user holding every listed permission (see
+ * constants/PERMISSIONS.js). Without permissions it only requires signing in.
+ * A request already authenticated by an earlier authorize() is not checked again.
+ * @param {...string} permissions - Permission names
+ * @returns {Function} Express middleware
+ * @example
+ * router.delete('/:id', authorize(PERMISSIONS.PRODUCTS_DELETE), deleteProduct);
+ */
+const authorize =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user && !(await authenticate(req, res))) return;
+
+      if (!hasPermission(req.user, ...permissions)) {
+        return res.status(403).json({
+          message: 'Access denied: missing permission',
+          requiredPermissions: permissions,
+        });
+      }
+
+      next(); // Proceed to the next middleware or route handler
+    } catch (error) {
+      next(error); // Pass error to the error handling middleware
+    }
+  };
+
+export default authorize;
@@ -0,0 +1,120 @@
+import jwt from 'jsonwebtoken';
+import { ROLES } from '../constants/ROLES.js';
+import User from '../modules/user/User.model.js';
+import Settings from '../modules/settings/Settings.model.js';
+import getClientIp from '../utils/getClientIp.js';
+import { readTwoFactorChallenge } from '../modules/user/twoFactorService.js';
+import { isSessionActive } from '../modules/user/sessionService.js';
+
+// Reachable during maintenance: the frontend's maintenance page, admin login
+// (and refreshing the short-lived access token it gives), and gateway traffic
+// for payments that were already in flight
+const ALWAYS_OPEN = [
+  { method: 'GET', path: '/settings/public' },
+  { method: 'POST', path: '/user/login' },
+  { method: 'POST', path: '/user/refresh-token' },
+  { path: '/payments/webhook/', prefix: true },
+  { path: '/payments/callback/', prefix: true },
+];
+
+const isAlwaysOpen = req =>
+  ALWAYS_OPEN.some(
+    route =>
+      (!route.method || route.method === req.method) &&
+      (route.prefix
+        ? req.path.startsWith(route.path)
+        : req.path === route.path),
+  );
+
+// Admins keep full access so they can check the store before reopening it
+const isAdminRequest = async req => {
+  const token = req.headers['authorization']?.split('Bearer ')[1];
+  if (!token) return false;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // A revoked or expired session no longer counts, as in authorize()
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) return false;
+
+    const admin = await User.exists({
+      _id: decoded.userId,
+      email: decoded.email,
+      deleted: { $ne: true },
+      role: ROLES.ADMIN,
+    });
+    return Boolean(admin);
+  } catch {
+    return false;
+  }
+};
+
+// After the password step, admins with two-factor finish signing in (or set it
+// up, when it is required) with the challenge or setup token login returned
+const TWO_FACTOR_STEPS = [
+  { path: '/user/login/two-factor', token: 'challengeToken', purpose: 'login' },
+  { path: '/user/two-factor/enroll', token: 'setupToken', purpose: 'setup' },
+  { path: '/user/two-factor/confirm', token: 'setupToken', purpose: 'setup' },
+];
+
+const isAdminTwoFactorStep = async req => {
+  const step = TWO_FACTOR_STEPS.find(
+    candidate => req.method === 'POST' && req.path === candidate.path,
+  );
+  const token = step && req.body?.[step.token];
+  if (!token) return false;
+
+  try {
+    const userId = readTwoFactorChallenge(token, step.purpose);
+    const admin = await User.exists({
+      _id: userId,
+      deleted: { $ne: true },
+      role: ROLES.ADMIN,
+    });
+    return Boolean(admin);
+  } catch {
+    return false;
+  }
+};
+
+const maintenanceMode = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+    const {
+      enabled,
+      message,
+      allowedIPs = [],
+      estimatedEndTime,
+    } = settings.maintenance || {};
+
+    if (!enabled || req.method === 'OPTIONS' || isAlwaysOpen(req)) {
+      return next();
+    }
+
+    if (
+      allowedIPs.includes(getClientIp(req)) ||
+      (await isAdminRequest(req)) ||
+      (await isAdminTwoFactorStep(req))
+    ) {
+      return next();
+    }
+
+    // Tell clients when to come back, if we know
+    const secondsLeft = estimatedEndTime
+      ? Math.ceil((new Date(estimatedEndTime).getTime() - Date.now()) / 1000)
+      : 0;
+    if (secondsLeft > 0) {
+      res.set('Retry-After', String(secondsLeft));
+    }
+
+    res.status(503).json({
+      message,
+      maintenance: true,
+      estimatedEndTime: secondsLeft > 0 ? estimatedEndTime : null,
+    });
+  } catch (error) {
+    console.error('Maintenance mode check error:', error);
+    next(error); // Pass error to the error handling middleware
+  }
+};
+
+export default maintenanceMode;
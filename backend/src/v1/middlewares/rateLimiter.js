@@ -0,0 +1,208 @@
+import jwt from 'jsonwebtoken';
+import Settings from '../modules/settings/Settings.model.js';
+import getClientIp from '../utils/getClientIp.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+// User ID from a valid Bearer token; the signature is enough to key on, no lookup
+const tokenUserId = req => {
+  const token = req.headers['authorization']?.split('Bearer ')[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).userId || null;
+  } catch {
+    return null;
+  }
+};
+
+const bodyEmail = req =>
+  typeof req.body?.email === 'string'
+    ? req.body.email.trim().toLowerCase()
+    : null;
+
+/**
+ * Stricter limits for routes open to brute force. Each policy counts hits per
+ * client IP (`ip`) and per account (`user`) in a fixed window; either running
+ * out blocks the request. Auth routes key the account on the submitted email,
+ * so one account cannot be guessed at from many IPs.
+ */
+export const RATE_LIMIT_POLICIES = {
+  login: {
+    name: 'login',
+    windowMs: 15 * 60 * 1000,
+    ip: 20,
+    user: 10,
+    userKey: bodyEmail,
+    message: 'Too many login attempts, please try again later',
+  },
+  forgetPassword: {
+    name: 'forget-password',
+    windowMs: 15 * 60 * 1000,
+    ip: 5,
+    user: 3,
+    userKey: bodyEmail,
+    message: 'Too many password reset requests, please try again later',
+  },
+  verifyOtp: {
+    name: 'verify-otp',
+    windowMs: 15 * 60 * 1000,
+    ip: 10,
+    user: 5,
+    userKey: bodyEmail,
+    message: 'Too many verification attempts, please try again later',
+  },
+  twoFactor: {
+    name: 'two-factor',
+    windowMs: 15 * 60 * 1000,
+    ip: 20,
+    user: 10,
+    // Keyed on the account the challenge (or setup) token was issued for
+    userKey: req =>
+      jwt.decode(req.body?.challengeToken || req.body?.setupToken || '')
+        ?.userId || tokenUserId(req),
+    message: 'Too many verification attempts, please try again later',
+  },
+  emailVerification: {
+    name: 'email-verification',
+    windowMs: 15 * 60 * 1000,
+    ip: 10,
+    user: 5,
+    userKey: bodyEmail,
+    message: 'Too many verification requests, please try again later',
+  },
+  couponValidate: {
+    name: 'coupon-validate',
+    windowMs: 10 * 60 * 1000,
+    ip: 30,
+    user: 20,
+    userKey: req => tokenUserId(req) || req.body?.userId || null,
+    message: 'Too many coupon checks, please try again later',
+  },
+};
+
+// Counts the hit against each key of the policy; returns the tightest result
+const consume = async (policy, req) => {
+  const keys = [];
+  if (policy.ip) {
+    keys.push({
+      key: `${policy.name}:ip:${getClientIp(req)}`,
+      limit: policy.ip,
+    });
+  }
+  const userKey = policy.user ? policy.userKey(req) : null;
+  if (userKey) {
+    keys.push({ key: `${policy.name}:user:${userKey}`, limit: policy.user });
+  }
+
+  const store = getRateLimitStore();
+  const results = await Promise.all(
+    keys.map(async ({ key, limit }) => {
+      const { count, resetAt } = await store.increment(key, policy.windowMs);
+      return {
+        limit,
+        remaining: Math.max(0, limit - count),
+        resetAt: new Date(resetAt),
+        exceeded: count > limit,
+      };
+    }),
+  );
+
+  // A blocked key wins (the one blocked longest), otherwise the one closest to its limit
+  return results.reduce((tightest, result) => {
+    if (!tightest) return result;
+    if (result.exceeded !== tightest.exceeded) {
+      return result.exceeded ? result : tightest;
+    }
+    if (result.exceeded) {
+      return result.resetAt > tightest.resetAt ? result : tightest;
+    }
+    return result.remaining < tightest.remaining ? result : tightest;
+  }, null);
+};
+
+// Sets the RateLimit headers; answers 429 and returns false when the request is over the limit
+const applyLimit = async (policy, req, res) => {
+  const result = await consume(policy, req);
+  if (!result) return true;
+
+  // IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers)
+  const resetSeconds = Math.max(
+    0,
+    Math.ceil((result.resetAt.getTime() - Date.now()) / 1000),
+  );
+  res.set({
+    'RateLimit-Policy': `${result.limit};w=${Math.ceil(policy.windowMs / 1000)}`,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+
+  if (result.exceeded) {
+    res.set('Retry-After', String(resetSeconds));
+    res.status(429).json({
+      message: policy.message,
+      retryAfter: resetSeconds,
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Middleware enforcing a fixed policy (see RATE_LIMIT_POLICIES).
+ * If the store fails, requests are let through rather than blocked.
+ * @param {Object} policy - { name, windowMs, ip, user, userKey(req), message }
+ * @returns {Function} Express middleware
+ */
+export const rateLimit = policy => async (req, res, next) => {
+  if (req.method === 'OPTIONS') return next();
+
+  let allowed = true;
+  try {
+    allowed = await applyLimit(policy, req, res);
+  } catch (error) {
+    console.error(`Rate limit (${policy.name}) error:`, error);
+  }
+  if (allowed) next();
+};
+
+// Payment gateways send bursts from a few IPs and retry what we refuse,
+// so their signed webhooks and callbacks are not counted
+const GATEWAY_PATHS = ['/payments/webhook/', '/payments/callback/'];
+
+/**
+ * General limit for the whole API from Settings.api.rateLimiting:
+ * requestsPerMinute per IP, and per user for signed-in requests.
+ * Turning it off leaves the stricter route policies in place.
+ */
+export const apiRateLimiter = async (req, res, next) => {
+  if (
+    req.method === 'OPTIONS' ||
+    GATEWAY_PATHS.some(path => req.path.startsWith(path))
+  ) {
+    return next();
+  }
+
+  let allowed = true;
+  try {
+    const settings = await Settings.getSettings();
+    const { enabled, requestsPerMinute } = settings.api?.rateLimiting || {};
+    if (!enabled || !requestsPerMinute) return next();
+
+    allowed = await applyLimit(
+      {
+        name: 'api',
+        windowMs: 60 * 1000,
+        ip: requestsPerMinute,
+        user: requestsPerMinute,
+        userKey: tokenUserId,
+        message: 'Too many requests, please slow down',
+      },
+      req,
+      res,
+    );
+  } catch (error) {
+    console.error('Rate limit (api) error:', error);
+  }
+  if (allowed) next();
+};
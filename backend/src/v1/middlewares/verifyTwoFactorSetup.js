@@ -0,0 +1,39 @@
+import User from '../modules/user/User.model.js';
+import authorize from './authorize.js';
+import {
+  TwoFactorError,
+  readTwoFactorChallenge,
+} from '../modules/user/twoFactorService.js';
+
+// Two-factor enrollment accepts a signed-in user, or an admin who must set up
+// two-factor before signing in and holds the setupToken returned by login
+const verifyTwoFactorSetup = async (req, res, next) => {
+  const setupToken = req.body?.setupToken;
+  if (!setupToken) {
+    return authorize()(req, res, next);
+  }
+
+  try {
+    const userId = readTwoFactorChallenge(setupToken, 'setup');
+    const user = await User.findOne({ _id: userId, deleted: { $ne: true } });
+    if (!user) {
+      return res
+        .status(401)
+        .json({ message: 'Unauthorized: User not found or inactive' });
+    }
+
+    req.userEmail = user.email;
+    req.userId = user._id.toString();
+    req.user = user;
+    req.twoFactorSetup = true;
+    next(); // Proceed to the next middleware or route handler
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Two-factor setup token error:', error);
+    next(error); // Pass error to the error handling middleware
+  }
+};
+
+export default verifyTwoFactorSetup;
@@ -0,0 +1,20 @@
+import Settings from '../modules/settings/Settings.model.js';
+
+const verifyWishlistEnabled = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    if (settings.userExperience?.enableWishlist === false) {
+      return res
+        .status(403)
+        .json({ message: 'Wishlist is currently disabled' });
+    }
+
+    next(); // Proceed to the next middleware or route handler
+  } catch (error) {
+    console.error('Wishlist settings check error:', error);
+    next(error); // Pass error to the error handling middleware
+  }
+};
+
+export default verifyWishlistEnabled;
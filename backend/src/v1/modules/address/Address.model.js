@@ -1,16 +1,70 @@
-import mongoose from "mongoose";
+import mongoose from 'mongoose';
 
-const addressSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  fullName: String,
-  phone: String,
-  street: String,
-  city: String,
-  state: String,
-  postalCode: String,
-  country: String,
-  isDefault: { type: Boolean, default: false },
-});
+const addressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    label: { type: String, trim: true }, // e.g. "Home", "Office"
+    fullName: { type: String, required: true, trim: true },
+    phone: { type: String, required: true, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    street: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    postalCode: { type: String, required: true, trim: true },
+    country: {
+      type: String,
+      required: true,
+      trim: true,
+      default: 'Bangladesh',
+    },
+    landmark: { type: String, trim: true },
+    addressType: {
+      type: String,
+      enum: ['home', 'office', 'other'],
+      default: 'home',
+    },
+    isDefault: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+  },
+);
 
-const Address = mongoose.model("Address", addressSchema);
+// Instance method to convert address into an order shipping address
+addressSchema.methods.toShippingAddress = function () {
+  return {
+    fullName: this.fullName,
+    phone: this.phone,
+    email: this.email,
+    street: this.street,
+    city: this.city,
+    state: this.state,
+    postalCode: this.postalCode,
+    country: this.country,
+    landmark: this.landmark,
+    addressType: this.addressType,
+  };
+};
+
+// Static method to make one address the user's only default
+addressSchema.statics.setDefaultForUser = async function (userId, addressId) {
+  await this.updateMany(
+    { user: userId, _id: { $ne: addressId }, isDefault: true },
+    { $set: { isDefault: false } },
+  );
+  return this.findOneAndUpdate(
+    { _id: addressId, user: userId },
+    { $set: { isDefault: true } },
+    { new: true },
+  );
+};
+
+// Indexes for better performance
+addressSchema.index({ user: 1, isDefault: -1 });
+
+const Address = mongoose.model('Address', addressSchema);
 export default Address;
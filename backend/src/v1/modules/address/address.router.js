@@ -0,0 +1,22 @@
+import express from 'express';
+import authorize from '../../middlewares/authorize.js';
+
+// Import address controllers
+import getAddresses from './getAddresses.js';
+import createAddress from './createAddress.js';
+import updateAddress from './updateAddress.js';
+import deleteAddress from './deleteAddress.js';
+import setDefaultAddress from './setDefaultAddress.js';
+
+const addressRouter = express.Router();
+
+// All address routes require authentication
+addressRouter.use(authorize());
+
+addressRouter.get('/', getAddresses); // GET /addresses - List user's addresses
+addressRouter.post('/', createAddress); // POST /addresses - Create address
+addressRouter.put('/:id', updateAddress); // PUT /addresses/:id - Update address
+addressRouter.delete('/:id', deleteAddress); // DELETE /addresses/:id - Delete address
+addressRouter.patch('/:id/default', setDefaultAddress); // PATCH /addresses/:id/default - Set default address
+
+export default addressRouter;
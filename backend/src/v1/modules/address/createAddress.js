@@ -0,0 +1,67 @@
+import { z } from 'zod';
+import Address from './Address.model.js';
+import User from '../user/User.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+const createAddressSchema = z.object({
+  label: z.string().max(50, 'Label cannot exceed 50 characters').optional(),
+  fullName: z.string().min(1, 'Full name is required').trim(),
+  phone: z.string().min(1, 'Phone number is required').trim(),
+  email: z.string().email().optional(),
+  street: z.string().min(1, 'Street address is required').trim(),
+  city: z.string().min(1, 'City is required').trim(),
+  state: z.string().min(1, 'State is required').trim(),
+  postalCode: z.string().min(1, 'Postal code is required').trim(),
+  country: z.string().default('Bangladesh'),
+  landmark: z.string().optional(),
+  addressType: z.enum(['home', 'office', 'other']).default('home'),
+  isDefault: z.boolean().default(false),
+});
+
+const createAddress = async (req, res) => {
+  try {
+    // Validate input
+    const validationResult = createAddressSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { isDefault, ...addressData } = validationResult.data;
+    const userId = req.user.id;
+
+    // The first address a user saves always becomes the default
+    const existingCount = await Address.countDocuments({ user: userId });
+
+    let address = await Address.create({
+      ...addressData,
+      user: userId,
+    });
+
+    if (isDefault || existingCount === 0) {
+      address = await Address.setDefaultForUser(userId, address._id);
+    }
+
+    // Keep the user's address references in sync
+    await User.findByIdAndUpdate(userId, {
+      $addToSet: { addresses: address._id },
+    });
+
+    res.status(201).json({
+      message: 'Address created successfully',
+      data: {
+        address,
+      },
+    });
+  } catch (error) {
+    console.error('Create address error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default createAddress;
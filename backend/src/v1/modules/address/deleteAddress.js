@@ -0,0 +1,57 @@
+import Address from './Address.model.js';
+import User from '../user/User.model.js';
+
+const deleteAddress = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid address ID',
+      });
+    }
+
+    const address = await Address.findOneAndDelete({ _id: id, user: userId });
+    if (!address) {
+      return res.status(404).json({
+        message: 'Address not found',
+      });
+    }
+
+    await User.findByIdAndUpdate(userId, {
+      $pull: { addresses: address._id },
+    });
+
+    // Promote the most recent remaining address if the default was removed
+    let newDefaultAddress = null;
+    if (address.isDefault) {
+      const nextAddress = await Address.findOne({ user: userId }).sort({
+        createdAt: -1,
+      });
+      if (nextAddress) {
+        newDefaultAddress = await Address.setDefaultForUser(
+          userId,
+          nextAddress._id,
+        );
+      }
+    }
+
+    res.status(200).json({
+      message: 'Address deleted successfully',
+      data: {
+        deletedAddressId: address._id,
+        newDefaultAddress,
+      },
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default deleteAddress;
@@ -0,0 +1,28 @@
+import Address from './Address.model.js';
+
+const getAddresses = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Default address first, then most recently created
+    const addresses = await Address.find({ user: userId })
+      .sort({ isDefault: -1, createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      message: 'Addresses retrieved successfully',
+      data: {
+        addresses,
+        defaultAddress: addresses.find(address => address.isDefault) || null,
+      },
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getAddresses;
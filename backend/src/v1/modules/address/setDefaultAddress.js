@@ -0,0 +1,39 @@
+import Address from './Address.model.js';
+
+const setDefaultAddress = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid address ID',
+      });
+    }
+
+    const exists = await Address.exists({ _id: id, user: userId });
+    if (!exists) {
+      return res.status(404).json({
+        message: 'Address not found',
+      });
+    }
+
+    const address = await Address.setDefaultForUser(userId, id);
+
+    res.status(200).json({
+      message: 'Default address updated successfully',
+      data: {
+        address,
+      },
+    });
+  } catch (error) {
+    console.error('Set default address error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default setDefaultAddress;
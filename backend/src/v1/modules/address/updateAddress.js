@@ -0,0 +1,75 @@
+import { z } from 'zod';
+import Address from './Address.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+const updateAddressSchema = z.object({
+  label: z.string().max(50, 'Label cannot exceed 50 characters').optional(),
+  fullName: z.string().min(1, 'Full name is required').trim().optional(),
+  phone: z.string().min(1, 'Phone number is required').trim().optional(),
+  email: z.string().email().optional(),
+  street: z.string().min(1, 'Street address is required').trim().optional(),
+  city: z.string().min(1, 'City is required').trim().optional(),
+  state: z.string().min(1, 'State is required').trim().optional(),
+  postalCode: z.string().min(1, 'Postal code is required').trim().optional(),
+  country: z.string().optional(),
+  landmark: z.string().optional(),
+  addressType: z.enum(['home', 'office', 'other']).optional(),
+  isDefault: z.boolean().optional(),
+});
+
+const updateAddress = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid address ID',
+      });
+    }
+
+    // Validate input
+    const validationResult = updateAddressSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { isDefault, ...updates } = validationResult.data;
+    const userId = req.user.id;
+
+    let address = await Address.findOneAndUpdate(
+      { _id: id, user: userId },
+      { $set: updates },
+      { new: true, runValidators: true },
+    );
+
+    if (!address) {
+      return res.status(404).json({
+        message: 'Address not found',
+      });
+    }
+
+    // Unsetting the default is done by choosing another default instead
+    if (isDefault && !address.isDefault) {
+      address = await Address.setDefaultForUser(userId, address._id);
+    }
+
+    res.status(200).json({
+      message: 'Address updated successfully',
+      data: {
+        address,
+      },
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default updateAddress;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ENTITY_TYPES = [
+  'product',
+  'category',
+  'coupon',
+  'order',
+  'settings',
+  'review',
+  'user',
+];
+
+// Who changed what: one entry per staff change, written by recordAuditLog()
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      email: String,
+      role: String,
+    },
+    action: { type: String, required: true }, // e.g. product.update, order.status
+    entityType: { type: String, enum: AUDIT_ENTITY_TYPES, required: true },
+    entityId: { type: String, required: true }, // Document ID, or the section for settings
+    entityLabel: String, // Human-readable name: product name, order number, coupon code
+    // Only the fields that changed; "before" is absent on creation, "after" on deletion
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    ipAddress: String,
+    userAgent: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
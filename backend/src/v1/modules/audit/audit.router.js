@@ -0,0 +1,15 @@
+import express from 'express';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+
+// Import audit controllers
+import getAuditLogs from './getAuditLogs.js';
+
+const auditRouter = express.Router();
+
+// Staff routes - who changed what (audit.read)
+auditRouter.use(authorize(PERMISSIONS.AUDIT_READ));
+
+auditRouter.get('/', getAuditLogs); // GET /audit-logs - Audit trail with filters
+
+export default auditRouter;
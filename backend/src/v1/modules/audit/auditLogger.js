@@ -0,0 +1,99 @@
+import AuditLog from './AuditLog.model.js';
+import getClientIp from '../../utils/getClientIp.js';
+
+// Bookkeeping fields that change on every save and say nothing about the change
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+const REDACTED = '[redacted]';
+const isSensitive = field => /password|secret|token|otp/i.test(field);
+
+const isPlainObject = value =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !value._bsontype;
+
+// Mongoose documents to plain data, so ObjectIds and dates compare by value
+const toPlain = value =>
+  value && typeof value.toObject === 'function'
+    ? value.toObject({ depopulate: true })
+    : value;
+
+// { 'pricing.total': 10, tags: ['a'] }: nested objects are flattened, arrays kept whole
+const flatten = (value, prefix = '', into = {}) => {
+  for (const [key, child] of Object.entries(value || {})) {
+    if (!prefix && IGNORED_FIELDS.has(key)) continue;
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, field, into);
+    } else {
+      into[field] = child;
+    }
+  }
+  return into;
+};
+
+const serialize = value => JSON.stringify(value ?? null);
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @returns {Array<Object>} [{ field, before, after }], sensitive values redacted
+ */
+export const diffRecords = (before, after) => {
+  const flatBefore = flatten(JSON.parse(serialize(toPlain(before))));
+  const flatAfter = flatten(JSON.parse(serialize(toPlain(after))));
+  const fields = new Set([
+    ...Object.keys(flatBefore),
+    ...Object.keys(flatAfter),
+  ]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (serialize(flatBefore[field]) === serialize(flatAfter[field])) continue;
+    const change = { field };
+    if (before)
+      change.before = isSensitive(field) ? REDACTED : flatBefore[field];
+    if (after) change.after = isSensitive(field) ? REDACTED : flatAfter[field];
+    changes.push(change);
+  }
+  return changes;
+};
+
+/**
+ * Records a staff change in the audit log. Runs after the change is saved and
+ * never throws: a failed write is logged, not allowed to fail the request.
+ * @param {Object} req - Express request (actor, IP, user agent)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'product.update'
+ * @param {string} entry.entityType - One of AUDIT_ENTITY_TYPES
+ * @param {string} entry.entityId - Document ID (or settings section)
+ * @param {string} [entry.entityLabel] - Human-readable name
+ * @param {Object|null} [entry.before] - Record before the change
+ * @param {Object|null} [entry.after] - Record after the change
+ * @returns {Promise<void>}
+ */
+export const recordAuditLog = async (
+  req,
+  { action, entityType, entityId, entityLabel, before = null, after = null },
+) => {
+  try {
+    await AuditLog.create({
+      actor: {
+        user: req.user?._id,
+        email: req.user?.email,
+        role: req.user?.role,
+      },
+      action,
+      entityType,
+      entityId: String(entityId),
+      entityLabel,
+      changes: diffRecords(before, after),
+      ipAddress: getClientIp(req),
+      userAgent: req.get('user-agent'),
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log (${action}):`, error);
+  }
+};
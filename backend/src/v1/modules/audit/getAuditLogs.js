@@ -0,0 +1,102 @@
+import AuditLog, { AUDIT_ENTITY_TYPES } from './AuditLog.model.js';
+
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      actor,
+      actorEmail,
+      action,
+      entityType,
+      entityId,
+      from,
+      to,
+      sortOrder = 'desc',
+    } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (actor) {
+      if (!actor.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          message: 'Invalid actor ID',
+        });
+      }
+      query['actor.user'] = actor;
+    }
+
+    if (actorEmail) {
+      query['actor.email'] = actorEmail.toLowerCase().trim();
+    }
+
+    if (action) {
+      // "product" matches every product.* action
+      query.action = action.includes('.')
+        ? action
+        : { $regex: `^${action.replace(/[^a-z_]/gi, '')}\\.` };
+    }
+
+    if (entityType) {
+      if (!AUDIT_ENTITY_TYPES.includes(entityType)) {
+        return res.status(400).json({
+          message: `Invalid entity type. Allowed types: ${AUDIT_ENTITY_TYPES.join(', ')}`,
+        });
+      }
+      query.entityType = entityType;
+    }
+
+    if (entityId) {
+      query.entityId = entityId;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({
+          message: 'Invalid date range',
+        });
+      }
+    }
+
+    // Execute query with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [logs, totalCount] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: sortOrder === 'desc' ? -1 : 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.status(200).json({
+      message: 'Audit logs retrieved successfully',
+      data: {
+        logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getAuditLogs;
@@ -2,6 +2,7 @@ import { z } from 'zod';
 import Cart from './Cart.model.js';
 import Product from '../product/Product.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import resolveCartVariant from './resolveCartVariant.js';
 
 const addToCartSchema = z.object({
   productId: z.string().min(1, 'Product ID is required'),
@@ -44,55 +45,21 @@ const addToCart = async (req, res) => {
     }
 
     // Handle variant validation and stock check
-    let selectedVariant = null;
-    let availableStock = product.stock;
-    let productPrice = product.price;
-    let discountPrice = product.discountPrice;
-    let variantData = {};
-
-    if (product.hasVariants) {
-      if (!variantId && !variant?.color && !variant?.size) {
-        return res.status(400).json({
-          message: 'This product requires variant selection (color/size)',
-        });
-      }
-
-      // Find variant by ID or color/size combination
-      if (variantId) {
-        selectedVariant = product.getVariantById(variantId);
-      } else if (variant) {
-        selectedVariant = product.variants.find(
-          v =>
-            v.isActive &&
-            (!variant.color || v.color === variant.color.toLowerCase()) &&
-            (!variant.size || v.size === variant.size.toUpperCase()),
-        );
-      }
-
-      if (!selectedVariant) {
-        return res.status(400).json({
-          message: 'Selected variant is not available',
-        });
-      }
-
-      if (!selectedVariant.isActive) {
-        return res.status(400).json({
-          message: 'Selected variant is not active',
-        });
-      }
-
-      availableStock = selectedVariant.stock;
-      productPrice = selectedVariant.price || product.price;
-      discountPrice = selectedVariant.discountPrice || product.discountPrice;
-
-      variantData = {
-        variantId: selectedVariant._id,
-        color: selectedVariant.color,
-        size: selectedVariant.size,
-        sku: selectedVariant.sku,
-      };
+    const resolved = resolveCartVariant(product, { variantId, variant });
+    if (resolved.error) {
+      return res.status(400).json({
+        message: resolved.error,
+      });
     }
 
+    const {
+      selectedVariant,
+      availableStock,
+      productPrice,
+      discountPrice,
+      variantData,
+    } = resolved;
+
     // Check stock availability
     if (product.trackInventory && availableStock < quantity) {
       return res.status(400).json({
@@ -1,5 +1,5 @@
 import express from 'express';
-import verifyToken from '../../middlewares/verifyToken.js';
+import authorize from '../../middlewares/authorize.js';
 
 // Import cart controllers
 import addToCart from './addToCart.js';
@@ -13,7 +13,7 @@ import validateCart from './validateCart.js';
 const cartRouter = express.Router();
 
 // All cart routes require authentication
-cartRouter.use(verifyToken);
+cartRouter.use(authorize());
 
 // Cart management routes
 cartRouter.get('/', getCart); // GET /cart - Get user's cart
@@ -1,4 +1,5 @@
 import Cart from './Cart.model.js';
+import { resolveSalePrice } from '../product/salePricing.js';
 
 const getCart = async (req, res) => {
   try {
@@ -9,7 +10,7 @@ const getCart = async (req, res) => {
       {
         path: 'items.product',
         select:
-          'name slug images price discountPrice isActive hasVariants variants stock trackInventory',
+          'name slug images price discountPrice saleStartDate saleEndDate isActive hasVariants variants stock trackInventory',
         populate: {
           path: 'category',
           select: 'name slug',
@@ -42,8 +43,7 @@ const getCart = async (req, res) => {
       }
 
       let availableStock = product.stock;
-      let currentPrice = product.price;
-      let currentDiscountPrice = product.discountPrice;
+      let selectedVariant = null;
       let stockIssue = false;
       let priceChanged = false;
 
@@ -62,10 +62,14 @@ const getCart = async (req, res) => {
         }
 
         availableStock = variant.stock;
-        currentPrice = variant.price || product.price;
-        currentDiscountPrice = variant.discountPrice || product.discountPrice;
+        selectedVariant = variant;
       }
 
+      // Current price, with the discount only while its sale window is open
+      const pricing = resolveSalePrice(product, selectedVariant);
+      const currentPrice = pricing.price;
+      const currentDiscountPrice = pricing.discountPrice ?? undefined;
+
       // Check stock availability
       if (product.trackInventory && availableStock < item.quantity) {
         if (availableStock === 0) {
@@ -128,7 +132,7 @@ const getCart = async (req, res) => {
         {
           path: 'items.product',
           select:
-            'name slug images price discountPrice isActive hasVariants variants stock trackInventory',
+            'name slug images price discountPrice saleStartDate saleEndDate isActive hasVariants variants stock trackInventory',
           populate: {
             path: 'category',
             select: 'name slug',
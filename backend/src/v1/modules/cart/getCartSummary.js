@@ -1,4 +1,9 @@
 import Cart from './Cart.model.js';
+import Product from '../product/Product.model.js';
+import { evaluatePromotions } from '../promotion/promotionEngine.js';
+import { resolveSalePrice } from '../product/salePricing.js';
+
+const round = value => Math.round(value * 100) / 100;
 
 const getCartSummary = async (req, res) => {
   try {
@@ -16,6 +21,8 @@ const getCartSummary = async (req, res) => {
             itemCount: 0,
             subtotal: 0,
             totalDiscount: 0,
+            promotionDiscount: 0,
+            promotions: [],
             finalTotal: 0,
             isEmpty: true,
             cartAge: 0,
@@ -24,24 +31,86 @@ const getCartSummary = async (req, res) => {
       });
     }
 
+    // Categories are needed for category-scoped promotions, prices for re-pricing
+    const products = await Product.find({
+      _id: { $in: cart.items.map(item => item.product) },
+    }).select(
+      'category price discountPrice saleStartDate saleEndDate hasVariants variants',
+    );
+    const productById = new Map(
+      products.map(product => [product._id.toString(), product]),
+    );
+
+    // Re-price like checkout does: the price stored in the cart may predate a
+    // sale window opening or closing
+    const lines = cart.items.map(item => {
+      const product = productById.get(item.product.toString());
+      if (!product) {
+        return {
+          price: item.price,
+          discountPrice: item.discountPrice,
+          effectivePrice: item.effectivePrice,
+          categoryId: undefined,
+        };
+      }
+
+      const variant =
+        product.hasVariants && item.variant?.variantId
+          ? product.getVariantById(item.variant.variantId)
+          : null;
+      const { price, discountPrice, effectivePrice } = resolveSalePrice(
+        product,
+        variant,
+      );
+      return {
+        price,
+        discountPrice: discountPrice ?? undefined,
+        effectivePrice,
+        categoryId: product.category,
+      };
+    });
+
+    // Evaluate automatic promotions the same way checkout does
+    const promotionResult = await evaluatePromotions(
+      cart.items.map((item, index) => ({
+        product: item.product,
+        categoryId: lines[index].categoryId,
+        quantity: item.quantity,
+        lineTotal: lines[index].effectivePrice * item.quantity,
+      })),
+    );
+
+    const subtotal = cart.items.reduce(
+      (total, item, index) => total + lines[index].price * item.quantity,
+      0,
+    );
+    const discountedTotal = cart.items.reduce(
+      (total, item, index) =>
+        total + lines[index].effectivePrice * item.quantity,
+      0,
+    );
+
     // Calculate summary
     const summary = {
       totalItems: cart.totalItems,
       itemCount: cart.totals.itemCount,
-      subtotal: cart.totals.subtotal,
-      totalDiscount: cart.totals.totalDiscount,
-      finalTotal: cart.totals.finalTotal,
+      subtotal: round(subtotal),
+      totalDiscount: round(subtotal - discountedTotal),
+      promotionDiscount: promotionResult.discount,
+      promotions: promotionResult.appliedPromotions,
+      finalTotal: round(discountedTotal - promotionResult.discount),
       isEmpty: cart.isEmpty,
       cartAge: cart.ageInDays,
       lastActivity: cart.lastActivity,
-      itemDetails: cart.items.map(item => ({
+      itemDetails: cart.items.map((item, index) => ({
         productId: item.product,
         productName: item.productSnapshot?.name,
         quantity: item.quantity,
-        price: item.price,
-        discountPrice: item.discountPrice,
-        effectivePrice: item.effectivePrice,
-        lineTotal: item.effectivePrice * item.quantity,
+        price: lines[index].price,
+        discountPrice: lines[index].discountPrice,
+        effectivePrice: lines[index].effectivePrice,
+        lineTotal: round(lines[index].effectivePrice * item.quantity),
+        promotionDiscount: promotionResult.lineDiscounts[index] || 0,
         variant: item.variant,
       })),
     };
@@ -0,0 +1,65 @@
+import { resolveSalePrice } from '../product/salePricing.js';
+
+/**
+ * Resolves the variant, price and available stock for a product being added to a cart
+ * @param {Object} product - Product document
+ * @param {Object} selection - Variant selection from the request
+ * @param {string} [selection.variantId] - Variant ID
+ * @param {Object} [selection.variant] - Color/size combination
+ * @returns {Object} Either { error } or { selectedVariant, availableStock, productPrice, discountPrice, variantData }
+ */
+const resolveCartVariant = (product, { variantId, variant } = {}) => {
+  let selectedVariant = null;
+  let availableStock = product.stock;
+  let variantData = {};
+
+  if (product.hasVariants) {
+    if (!variantId && !variant?.color && !variant?.size) {
+      return {
+        error: 'This product requires variant selection (color/size)',
+      };
+    }
+
+    // Find variant by ID or color/size combination
+    if (variantId) {
+      selectedVariant = product.getVariantById(variantId);
+    } else if (variant) {
+      selectedVariant = product.variants.find(
+        v =>
+          v.isActive &&
+          (!variant.color || v.color === variant.color.toLowerCase()) &&
+          (!variant.size || v.size === variant.size.toUpperCase()),
+      );
+    }
+
+    if (!selectedVariant) {
+      return { error: 'Selected variant is not available' };
+    }
+
+    if (!selectedVariant.isActive) {
+      return { error: 'Selected variant is not active' };
+    }
+
+    availableStock = selectedVariant.stock;
+
+    variantData = {
+      variantId: selectedVariant._id,
+      color: selectedVariant.color,
+      size: selectedVariant.size,
+      sku: selectedVariant.sku,
+    };
+  }
+
+  // Discount only applies while its sale window is open
+  const pricing = resolveSalePrice(product, selectedVariant);
+
+  return {
+    selectedVariant,
+    availableStock,
+    productPrice: pricing.price,
+    discountPrice: pricing.discountPrice ?? undefined,
+    variantData,
+  };
+};
+
+export default resolveCartVariant;
@@ -2,6 +2,7 @@ import { z } from 'zod';
 import Cart from './Cart.model.js';
 import Product from '../product/Product.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import { resolveSalePrice } from '../product/salePricing.js';
 
 const validateCartSchema = z.object({
   includeDetails: z.boolean().default(false),
@@ -26,7 +27,7 @@ const validateCart = async (req, res) => {
       {
         path: 'items.product',
         select:
-          'name slug price discountPrice isActive hasVariants variants stock trackInventory',
+          'name slug price discountPrice saleStartDate saleEndDate isActive hasVariants variants stock trackInventory',
       },
     ]);
 
@@ -67,8 +68,7 @@ const validateCart = async (req, res) => {
         hasErrors = true;
       } else {
         let availableStock = product.stock;
-        let currentPrice = product.price;
-        let currentDiscountPrice = product.discountPrice;
+        let selectedVariant = null;
 
         // Validate variant if applicable
         if (product.hasVariants) {
@@ -97,9 +97,7 @@ const validateCart = async (req, res) => {
               hasErrors = true;
             } else {
               availableStock = variant.stock;
-              currentPrice = variant.price || product.price;
-              currentDiscountPrice =
-                variant.discountPrice || product.discountPrice;
+              selectedVariant = variant;
             }
           }
         }
@@ -124,8 +122,13 @@ const validateCart = async (req, res) => {
           }
         }
 
+        // Current price, with the discount only while its sale window is open
+        const pricing = resolveSalePrice(product, selectedVariant);
+        const currentPrice = pricing.price;
+        const currentDiscountPrice = pricing.discountPrice ?? undefined;
+
         // Check price changes
-        const currentEffectivePrice = currentDiscountPrice || currentPrice;
+        const currentEffectivePrice = pricing.effectivePrice;
         if (item.effectivePrice !== currentEffectivePrice) {
           itemIssues.push({
             type: 'price_changed',
@@ -1,5 +1,6 @@
 import express from 'express';
-import verifyAdminOrModerator from '../../middlewares/verifyAdminOrModerator.js';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
 import createCategory from './createCategory.js';
 import updateCategory from './updateCategory.js';
 import deleteCategory from './deleteCategory.js';
@@ -13,14 +14,18 @@ const categoryRouter = express.Router();
 // Public routes
 categoryRouter.get('/', getCategories);
 
-// Protected routes (Admin/Moderator only)
+// Protected routes (categories.write)
 // Get deleted categories (for restoration)
-categoryRouter.get('/deleted', verifyAdminOrModerator, getDeletedCategories);
+categoryRouter.get(
+  '/deleted',
+  authorize(PERMISSIONS.CATEGORIES_WRITE),
+  getDeletedCategories,
+);
 
 // Create new category
 categoryRouter.post(
   '/',
-  verifyAdminOrModerator,
+  authorize(PERMISSIONS.CATEGORIES_WRITE),
   uploadSingle('image'), // Handle single image upload with field name 'image'
   handleMulterError, // Handle multer-specific errors
   createCategory,
@@ -29,16 +34,24 @@ categoryRouter.post(
 // Update existing category
 categoryRouter.put(
   '/:id',
-  verifyAdminOrModerator,
+  authorize(PERMISSIONS.CATEGORIES_WRITE),
   uploadSingle('image'), // Handle optional image upload
   handleMulterError,
   updateCategory,
 );
 
 // Delete category (soft delete)
-categoryRouter.delete('/:id', verifyAdminOrModerator, deleteCategory);
+categoryRouter.delete(
+  '/:id',
+  authorize(PERMISSIONS.CATEGORIES_WRITE),
+  deleteCategory,
+);
 
 // Restore deleted category
-categoryRouter.patch('/:id/restore', verifyAdminOrModerator, restoreCategory);
+categoryRouter.patch(
+  '/:id/restore',
+  authorize(PERMISSIONS.CATEGORIES_WRITE),
+  restoreCategory,
+);
 
 export default categoryRouter;
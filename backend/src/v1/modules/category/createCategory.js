@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Category from './Category.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 import { uploadImage } from '../../utils/uploadImage.js';
 
@@ -107,6 +108,14 @@ const createCategory = async (req, res, next) => {
     // Populate parent information before returning
     await newCategory.populate('parent', 'name slug');
 
+    await recordAuditLog(req, {
+      action: 'category.create',
+      entityType: 'category',
+      entityId: newCategory._id,
+      entityLabel: newCategory.name,
+      after: newCategory,
+    });
+
     res.status(201).json({
       message: 'Category created successfully',
       category: newCategory,
@@ -1,4 +1,5 @@
 import Category from './Category.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 const deleteCategory = async (req, res, next) => {
   try {
@@ -70,6 +71,15 @@ const deleteCategory = async (req, res, next) => {
       { new: true },
     );
 
+    await recordAuditLog(req, {
+      action: 'category.delete',
+      entityType: 'category',
+      entityId: id,
+      entityLabel: category.name,
+      before: category,
+      after: deletedCategory,
+    });
+
     console.log(`Category soft deleted: ${category.name} (ID: ${id})`);
 
     res.status(200).json({
@@ -1,4 +1,5 @@
 import Category from './Category.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 const restoreCategory = async (req, res, next) => {
   try {
@@ -75,6 +76,15 @@ const restoreCategory = async (req, res, next) => {
       },
     ).populate('parent', 'name slug');
 
+    await recordAuditLog(req, {
+      action: 'category.restore',
+      entityType: 'category',
+      entityId: id,
+      entityLabel: restoredCategory.name,
+      before: deletedCategory,
+      after: restoredCategory,
+    });
+
     console.log(`Category restored: ${restoredCategory.name} (ID: ${id})`);
 
     res.status(200).json({
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Category from './Category.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 import { uploadImage } from '../../utils/uploadImage.js';
 
@@ -171,6 +172,15 @@ const updateCategory = async (req, res, next) => {
       runValidators: true, // Run mongoose validators
     }).populate('parent', 'name slug');
 
+    await recordAuditLog(req, {
+      action: 'category.update',
+      entityType: 'category',
+      entityId: id,
+      entityLabel: updatedCategory.name,
+      before: existingCategory,
+      after: updatedCategory,
+    });
+
     res.status(200).json({
       message: 'Category updated successfully',
       category: updatedCategory,
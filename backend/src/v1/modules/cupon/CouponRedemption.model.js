@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// One record per order that used a coupon; drives per-customer usage limits
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: [true, 'Coupon is required'],
+    },
+    // Registered customer, or guestEmail for guest checkouts
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    guestEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order is required'],
+    },
+    orderNumber: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Discount amount is required'],
+      min: [0, 'Discount amount cannot be negative'],
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Released redemptions (cancelled/returned orders) no longer count towards limits
+    status: {
+      type: String,
+      enum: ['active', 'released'],
+      default: 'active',
+    },
+    releasedAt: Date,
+    releaseReason: {
+      type: String,
+      enum: ['cancelled', 'returned'],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, guestEmail: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, redeemedAt: -1 });
+couponRedemptionSchema.index({ order: 1, coupon: 1 }, { unique: true });
+
+// Static method to count a customer's active redemptions of a coupon
+couponRedemptionSchema.statics.countForCustomer = function (
+  couponId,
+  { userId, guestEmail },
+  session = null,
+) {
+  const filter = { coupon: couponId, status: 'active' };
+  if (userId) {
+    filter.user = userId;
+  } else {
+    filter.guestEmail = guestEmail?.toLowerCase();
+  }
+
+  return this.countDocuments(filter).session(session);
+};
+
+const CouponRedemption = mongoose.model(
+  'CouponRedemption',
+  couponRedemptionSchema,
+);
+
+export default CouponRedemption;
@@ -104,6 +104,12 @@ const couponSchema = new mongoose.Schema(
         message: 'Usage limit cannot be less than current usage count',
       },
     },
+    // Maximum redemptions per customer (user or guest email); empty means unlimited
+    perUserLimit: {
+      type: Number,
+      default: null,
+      min: [1, 'Per-user limit must be at least 1'],
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -153,11 +159,17 @@ couponSchema.virtual('isExpired').get(function () {
   return this.expiresAt < new Date();
 });
 
+// Virtual for checking if coupon has not started yet
+couponSchema.virtual('isNotStarted').get(function () {
+  return Boolean(this.startDate && this.startDate > new Date());
+});
+
 // Virtual for checking if coupon is valid
 couponSchema.virtual('isValid').get(function () {
   return (
     this.isActive &&
     !this.isExpired &&
+    !this.isNotStarted &&
     (!this.usageLimit || this.usageCount < this.usageLimit)
   );
 });
@@ -183,9 +195,14 @@ couponSchema.methods.isApplicableToUser = function (userId) {
     return true;
   }
 
-  // Check specific user restriction
+  // Check specific user restriction (guests never match an allow-list)
   if (this.userRestrictions.specificUsers.length > 0) {
-    return this.userRestrictions.specificUsers.includes(userId);
+    return (
+      Boolean(userId) &&
+      this.userRestrictions.specificUsers.some(
+        id => id.toString() === userId.toString(),
+      )
+    );
   }
 
   return true; // Will need additional logic for first time users in controller
@@ -196,6 +213,7 @@ couponSchema.methods.validateForOrder = function (
   orderSubtotal,
   userId = null,
   userOrderCount = 0,
+  userRedemptionCount = 0,
 ) {
   const errors = [];
 
@@ -203,6 +221,10 @@ couponSchema.methods.validateForOrder = function (
     errors.push('Coupon is not active');
   }
 
+  if (this.isNotStarted) {
+    errors.push('Coupon is not valid yet');
+  }
+
   if (this.isExpired) {
     errors.push('Coupon has expired');
   }
@@ -211,6 +233,17 @@ couponSchema.methods.validateForOrder = function (
     errors.push('Coupon usage limit exceeded');
   }
 
+  // Guests could redeem again under another email, so per-customer limits need an account
+  if (this.perUserLimit && !userId) {
+    errors.push('Please log in to use this coupon');
+  } else if (this.perUserLimit && userRedemptionCount >= this.perUserLimit) {
+    errors.push(
+      this.perUserLimit === 1
+        ? 'You have already used this coupon'
+        : `This coupon can only be used ${this.perUserLimit} times per customer`,
+    );
+  }
+
   if (orderSubtotal < this.minPurchase) {
     errors.push(`Minimum purchase amount is $${this.minPurchase}`);
   }
@@ -219,8 +252,12 @@ couponSchema.methods.validateForOrder = function (
     errors.push('This coupon is only for first-time customers');
   }
 
-  if (userId && !this.isApplicableToUser(userId)) {
-    errors.push('This coupon is not applicable to your account');
+  if (!this.isApplicableToUser(userId)) {
+    errors.push(
+      userId
+        ? 'This coupon is not applicable to your account'
+        : 'Please log in to use this coupon',
+    );
   }
 
   return {
@@ -229,6 +266,29 @@ couponSchema.methods.validateForOrder = function (
   };
 };
 
+// Instance method to check if a line is in the coupon's product/category scope
+couponSchema.methods.appliesToItem = function (productId, categoryId = null) {
+  const hasProductScope = this.applicableProducts.length > 0;
+  const hasCategoryScope = this.applicableCategories.length > 0;
+
+  // No scope means the coupon applies to the whole cart
+  if (!hasProductScope && !hasCategoryScope) {
+    return true;
+  }
+
+  const inProducts =
+    hasProductScope &&
+    this.applicableProducts.some(id => id.toString() === productId?.toString());
+  const inCategories =
+    hasCategoryScope &&
+    Boolean(categoryId) &&
+    this.applicableCategories.some(
+      id => id.toString() === categoryId.toString(),
+    );
+
+  return inProducts || inCategories;
+};
+
 // Instance method to calculate discount
 couponSchema.methods.calculateDiscount = function (subtotal) {
   let discount = 0;
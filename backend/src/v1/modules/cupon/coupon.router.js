@@ -1,20 +1,29 @@
 import express from 'express';
-import verifyToken from '../../middlewares/verifyToken.js';
-import verifyAdmin from '../../middlewares/verifyAdmin.js';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+import {
+  rateLimit,
+  RATE_LIMIT_POLICIES,
+} from '../../middlewares/rateLimiter.js';
 import createCoupon from './createCoupon.js';
 import getAllCoupons from './getAllCoupons.js';
 import getCouponById from './getCouponById.js';
 import updateCoupon from './updateCoupon.js';
 import deleteCoupon from './deleteCoupon.js';
 import validateCoupon from './validateCoupon.js';
+import getCouponRedemptions from './getCouponRedemptions.js';
 
 const router = express.Router();
 
 // Public route - validate coupon (used during checkout)
-router.post('/validate', validateCoupon);
+router.post(
+  '/validate',
+  rateLimit(RATE_LIMIT_POLICIES.couponValidate),
+  validateCoupon,
+);
 
-// Admin only routes
-router.use(verifyToken, verifyAdmin); // All routes below require admin access
+// Staff routes
+router.use(authorize(PERMISSIONS.COUPONS_READ)); // All routes below require coupons.read
 
 // Get all coupons with filtering and pagination
 router.get('/', getAllCoupons);
@@ -22,13 +31,16 @@ router.get('/', getAllCoupons);
 // Get single coupon by ID
 router.get('/:id', getCouponById);
 
+// Get redemption history for a coupon
+router.get('/:id/redemptions', getCouponRedemptions);
+
 // Create new coupon
-router.post('/', createCoupon);
+router.post('/', authorize(PERMISSIONS.COUPONS_WRITE), createCoupon);
 
 // Update coupon
-router.patch('/:id', updateCoupon);
+router.patch('/:id', authorize(PERMISSIONS.COUPONS_WRITE), updateCoupon);
 
 // Delete coupon
-router.delete('/:id', deleteCoupon);
+router.delete('/:id', authorize(PERMISSIONS.COUPONS_WRITE), deleteCoupon);
 
 export default router;
@@ -0,0 +1,156 @@
+import Coupon from './Cupon.model.js';
+import CouponRedemption from './CouponRedemption.model.js';
+import Order from '../order/Order.model.js';
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Counts a customer's previous (non-cancelled) orders for first-order-only coupons
+ * @param {Object} params
+ * @param {string} [params.userId] - Registered user ID
+ * @param {string} [params.guestEmail] - Guest checkout email
+ * @returns {Promise<number>} Previous order count
+ */
+const countPreviousOrders = async ({ userId, guestEmail }) => {
+  if (userId) {
+    return Order.countDocuments({ user: userId, status: { $ne: 'cancelled' } });
+  }
+  if (guestEmail) {
+    return Order.countDocuments({
+      guestEmail: guestEmail.toLowerCase(),
+      status: { $ne: 'cancelled' },
+    });
+  }
+  return 0;
+};
+
+/**
+ * Splits a discount across lines in proportion to their line totals.
+ * Rounding leftovers go to the last line so the parts add up to the discount.
+ * @param {Array<number>} lineTotals - Line totals of the eligible lines
+ * @param {number} discount - Discount to split
+ * @returns {Array<number>} Discount per line
+ */
+const prorateDiscount = (lineTotals, discount) => {
+  const total = lineTotals.reduce((sum, lineTotal) => sum + lineTotal, 0);
+  let remaining = discount;
+
+  return lineTotals.map((lineTotal, index) => {
+    if (index === lineTotals.length - 1) return round(remaining);
+
+    const share = total > 0 ? round((discount * lineTotal) / total) : 0;
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Evaluates a coupon code against a cart. Used by both coupon validation and checkout
+ * so the discount a customer is quoted is the discount the order gets.
+ * @param {Object} params
+ * @param {string} params.code - Coupon code (case-insensitive)
+ * @param {Array<Object>} [params.items] - Lines with product, lineTotal and categoryId
+ * @param {number} [params.subtotal] - Cart subtotal; only needed when items are not given
+ * @param {string} [params.userId] - Registered user ID
+ * @param {string} [params.guestEmail] - Guest email, used for first-order-only coupons
+ * @returns {Promise<Object>} { valid, errors, coupon, discount, eligibleSubtotal, lineDiscounts }
+ */
+export const evaluateCoupon = async ({
+  code,
+  items = null,
+  subtotal = 0,
+  userId = null,
+  guestEmail = null,
+}) => {
+  const invalid = (errors, coupon = null) => ({
+    valid: false,
+    errors,
+    coupon,
+    discount: 0,
+    eligibleSubtotal: 0,
+    lineDiscounts: [],
+  });
+
+  const coupon = await Coupon.findOne({
+    code: code.toUpperCase(),
+    isActive: true,
+  });
+  if (!coupon) {
+    return invalid(['Invalid coupon code']);
+  }
+
+  const isScoped =
+    coupon.applicableProducts.length > 0 ||
+    coupon.applicableCategories.length > 0;
+  if (!items && isScoped) {
+    return invalid(['Cart items are required to validate this coupon'], coupon);
+  }
+
+  const cartSubtotal = items
+    ? items.reduce((total, item) => total + item.lineTotal, 0)
+    : subtotal;
+
+  const userOrderCount = coupon.userRestrictions.firstTimeOnly
+    ? await countPreviousOrders({ userId, guestEmail })
+    : 0;
+
+  const userRedemptionCount =
+    coupon.perUserLimit && userId
+      ? await CouponRedemption.countForCustomer(coupon._id, { userId })
+      : 0;
+
+  const validation = coupon.validateForOrder(
+    cartSubtotal,
+    userId,
+    userOrderCount,
+    userRedemptionCount,
+  );
+  if (!validation.isValid) {
+    return invalid(validation.errors, coupon);
+  }
+
+  // Without items the whole subtotal is eligible (unscoped coupons only)
+  if (!items) {
+    return {
+      valid: true,
+      errors: [],
+      coupon,
+      discount: coupon.calculateDiscount(cartSubtotal),
+      eligibleSubtotal: round(cartSubtotal),
+      lineDiscounts: [],
+    };
+  }
+
+  const eligible = items.map(item =>
+    coupon.appliesToItem(item.product, item.categoryId),
+  );
+  const eligibleTotals = items
+    .filter((item, index) => eligible[index])
+    .map(item => item.lineTotal);
+
+  if (eligibleTotals.length === 0) {
+    return invalid(['Coupon does not apply to any items in your cart'], coupon);
+  }
+
+  const eligibleSubtotal = eligibleTotals.reduce(
+    (total, lineTotal) => total + lineTotal,
+    0,
+  );
+  const discount = coupon.calculateDiscount(eligibleSubtotal);
+  const eligibleDiscounts = prorateDiscount(eligibleTotals, discount);
+
+  // Discount per cart line, in the same order as items (0 for ineligible lines)
+  let eligibleIndex = 0;
+  const lineDiscounts = eligible.map(isEligible =>
+    isEligible ? eligibleDiscounts[eligibleIndex++] : 0,
+  );
+
+  return {
+    valid: true,
+    errors: [],
+    coupon,
+    discount,
+    eligibleSubtotal: round(eligibleSubtotal),
+    lineDiscounts,
+  };
+};
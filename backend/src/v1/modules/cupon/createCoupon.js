@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Coupon from './Cupon.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for creating coupon
@@ -59,6 +60,12 @@ const createCouponSchema = z.object({
     .min(1, 'Usage limit must be at least 1')
     .optional()
     .nullable(),
+  perUserLimit: z
+    .number()
+    .int()
+    .min(1, 'Per-user limit must be at least 1')
+    .optional()
+    .nullable(),
   applicableCategories: z
     .array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid category ID'))
     .optional()
@@ -101,6 +108,7 @@ const createCoupon = async (req, res) => {
       startDate,
       expiresAt,
       usageLimit,
+      perUserLimit,
       applicableCategories,
       applicableProducts,
       userRestrictions,
@@ -139,6 +147,7 @@ const createCoupon = async (req, res) => {
       startDate,
       expiresAt,
       usageLimit,
+      perUserLimit,
       applicableCategories,
       applicableProducts,
       userRestrictions,
@@ -151,6 +160,14 @@ const createCoupon = async (req, res) => {
     // Populate creator info for response
     await coupon.populate('createdBy', 'firstName lastName email');
 
+    await recordAuditLog(req, {
+      action: 'coupon.create',
+      entityType: 'coupon',
+      entityId: coupon._id,
+      entityLabel: coupon.code,
+      after: coupon,
+    });
+
     res.status(201).json({
       message: 'Coupon created successfully',
       coupon: {
@@ -165,6 +182,7 @@ const createCoupon = async (req, res) => {
         startDate: coupon.startDate,
         expiresAt: coupon.expiresAt,
         usageLimit: coupon.usageLimit,
+        perUserLimit: coupon.perUserLimit,
         usageCount: coupon.usageCount,
         isActive: coupon.isActive,
         isExpired: coupon.isExpired,
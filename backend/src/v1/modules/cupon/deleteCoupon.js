@@ -1,4 +1,6 @@
 import Coupon from './Cupon.model.js';
+import CouponRedemption from './CouponRedemption.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 const deleteCoupon = async (req, res) => {
   try {
@@ -19,8 +21,11 @@ const deleteCoupon = async (req, res) => {
       });
     }
 
-    // Check if coupon has been used
-    if (coupon.usageCount > 0) {
+    // Check if coupon has been used (released redemptions still keep their history)
+    if (
+      coupon.usageCount > 0 ||
+      (await CouponRedemption.exists({ coupon: coupon._id }))
+    ) {
       return res.status(400).json({
         message:
           'Cannot delete coupon that has been used. You can deactivate it instead.',
@@ -31,6 +36,14 @@ const deleteCoupon = async (req, res) => {
     // Delete coupon
     await Coupon.findByIdAndDelete(id);
 
+    await recordAuditLog(req, {
+      action: 'coupon.delete',
+      entityType: 'coupon',
+      entityId: id,
+      entityLabel: coupon.code,
+      before: coupon,
+    });
+
     res.status(200).json({
       message: 'Coupon deleted successfully',
       deletedCoupon: {
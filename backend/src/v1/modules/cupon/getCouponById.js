@@ -37,6 +37,7 @@ const getCouponById = async (req, res) => {
         startDate: coupon.startDate,
         expiresAt: coupon.expiresAt,
         usageLimit: coupon.usageLimit,
+        perUserLimit: coupon.perUserLimit,
         usageCount: coupon.usageCount,
         isActive: coupon.isActive,
         isExpired: coupon.isExpired,
@@ -0,0 +1,164 @@
+import { z } from 'zod';
+import mongoose from 'mongoose';
+import Coupon from './Cupon.model.js';
+import CouponRedemption from './CouponRedemption.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+// Validation schema for query parameters
+const getRedemptionsQuerySchema = z.object({
+  page: z
+    .string()
+    .transform(val => parseInt(val))
+    .pipe(z.number().int().min(1))
+    .default('1'),
+  limit: z
+    .string()
+    .transform(val => parseInt(val))
+    .pipe(z.number().int().min(1).max(100))
+    .default('20'),
+  status: z.enum(['all', 'active', 'released']).default('all'),
+  userId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID')
+    .optional(),
+  guestEmail: z.string().email().optional(),
+});
+
+const getCouponRedemptions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid coupon ID',
+      });
+    }
+
+    // Validate query parameters
+    const validationResult = getRedemptionsQuerySchema.safeParse(req.query);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { page, limit, status, userId, guestEmail } = validationResult.data;
+
+    const coupon = await Coupon.findById(id).select(
+      'code name usageCount usageLimit perUserLimit',
+    );
+    if (!coupon) {
+      return res.status(404).json({
+        message: 'Coupon not found',
+      });
+    }
+
+    // Build filter object
+    const filter = { coupon: coupon._id };
+    if (status !== 'all') {
+      filter.status = status;
+    }
+    if (userId) {
+      filter.user = userId;
+    }
+    if (guestEmail) {
+      filter.guestEmail = guestEmail.toLowerCase();
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    // Execute queries
+    const [redemptions, totalRedemptions, stats] = await Promise.all([
+      CouponRedemption.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('order', 'orderNumber status pricing.total')
+        .sort({ redeemedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      CouponRedemption.countDocuments(filter),
+      // Summary over every redemption of this coupon, regardless of filters
+      CouponRedemption.aggregate([
+        { $match: { coupon: new mongoose.Types.ObjectId(id) } },
+        {
+          $group: {
+            _id: null,
+            totalRedemptions: { $sum: 1 },
+            activeRedemptions: {
+              $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] },
+            },
+            releasedRedemptions: {
+              $sum: { $cond: [{ $eq: ['$status', 'released'] }, 1, 0] },
+            },
+            totalDiscount: {
+              $sum: {
+                $cond: [{ $eq: ['$status', 'active'] }, '$amount', 0],
+              },
+            },
+            uniqueUsers: { $addToSet: '$user' },
+            uniqueGuests: { $addToSet: '$guestEmail' },
+          },
+        },
+      ]),
+    ]);
+
+    const summary = stats[0];
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalRedemptions / limit);
+
+    res.status(200).json({
+      message: 'Coupon redemptions retrieved successfully',
+      coupon: {
+        id: coupon._id,
+        code: coupon.code,
+        name: coupon.name,
+        usageCount: coupon.usageCount,
+        usageLimit: coupon.usageLimit,
+        perUserLimit: coupon.perUserLimit,
+      },
+      redemptions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRedemptions,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      statistics: summary
+        ? {
+            totalRedemptions: summary.totalRedemptions,
+            activeRedemptions: summary.activeRedemptions,
+            releasedRedemptions: summary.releasedRedemptions,
+            totalDiscount: Math.round(summary.totalDiscount * 100) / 100,
+            uniqueCustomers:
+              summary.uniqueUsers.filter(Boolean).length +
+              summary.uniqueGuests.filter(Boolean).length,
+          }
+        : {
+            totalRedemptions: 0,
+            activeRedemptions: 0,
+            releasedRedemptions: 0,
+            totalDiscount: 0,
+            uniqueCustomers: 0,
+          },
+      filters: {
+        status,
+        userId,
+        guestEmail,
+      },
+    });
+  } catch (error) {
+    console.error('Get coupon redemptions error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getCouponRedemptions;
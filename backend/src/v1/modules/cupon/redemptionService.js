@@ -0,0 +1,103 @@
+import Coupon from './Cupon.model.js';
+import CouponRedemption from './CouponRedemption.model.js';
+
+/**
+ * Thrown when a coupon's global or per-customer limit is reached at redemption time
+ */
+export class CouponRedemptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponRedemptionError';
+  }
+}
+
+/**
+ * Redeems a coupon for an order: increments usageCount and writes the redemption record.
+ * Must run inside the checkout transaction. Concurrent checkouts for the same coupon
+ * both update the coupon document, so one of them hits a write conflict and is retried,
+ * and the retry sees the other's redemption when re-checking the per-customer limit.
+ * @param {Object} params
+ * @param {Object} params.coupon - Coupon document
+ * @param {Object} params.order - Order document (must have _id and orderNumber)
+ * @param {number} params.amount - Discount applied to the order
+ * @param {string} [params.userId] - Registered user ID
+ * @param {string} [params.guestEmail] - Guest email
+ * @param {Object} session - Mongoose client session
+ * @returns {Promise<Object>} Redemption document
+ */
+export const redeemCoupon = async (
+  { coupon, order, amount, userId, guestEmail },
+  session,
+) => {
+  const couponUpdate = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usageCount: 1 } },
+    { session },
+  );
+
+  if (couponUpdate.modifiedCount === 0) {
+    throw new CouponRedemptionError('Coupon usage limit exceeded');
+  }
+
+  if (coupon.perUserLimit) {
+    if (!userId) {
+      throw new CouponRedemptionError('Please log in to use this coupon');
+    }
+    const redemptionCount = await CouponRedemption.countForCustomer(
+      coupon._id,
+      { userId },
+      session,
+    );
+
+    if (redemptionCount >= coupon.perUserLimit) {
+      throw new CouponRedemptionError('You have already used this coupon');
+    }
+  }
+
+  const [redemption] = await CouponRedemption.create(
+    [
+      {
+        coupon: coupon._id,
+        user: userId || undefined,
+        guestEmail: userId ? undefined : guestEmail,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        amount,
+      },
+    ],
+    { session },
+  );
+
+  return redemption;
+};
+
+/**
+ * Releases an order's coupon redemption so it no longer counts towards usage limits.
+ * Idempotent: only an active redemption is released, so repeated status changes are safe.
+ * @param {Object} order - Order document
+ * @param {Object} session - Mongoose client session (call inside a transaction)
+ * @param {string} reason - 'cancelled' or 'returned'
+ * @returns {Promise<Object|null>} Released redemption, or null if there was none
+ */
+export const releaseCouponRedemption = async (order, session, reason) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: 'active' },
+    { status: 'released', releasedAt: new Date(), releaseReason: reason },
+    { new: true, session },
+  );
+  if (!redemption) return null;
+
+  await Coupon.updateOne(
+    { _id: redemption.coupon, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session },
+  );
+
+  return redemption;
+};
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Coupon from './Cupon.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for updating coupon
@@ -38,6 +39,12 @@ const updateCouponSchema = z.object({
     .min(1, 'Usage limit must be at least 1')
     .optional()
     .nullable(),
+  perUserLimit: z
+    .number()
+    .int()
+    .min(1, 'Per-user limit must be at least 1')
+    .optional()
+    .nullable(),
   isActive: z.boolean().optional(),
   applicableCategories: z
     .array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid category ID'))
@@ -139,6 +146,15 @@ const updateCoupon = async (req, res) => {
       });
     }
 
+    await recordAuditLog(req, {
+      action: 'coupon.update',
+      entityType: 'coupon',
+      entityId: id,
+      entityLabel: updatedCoupon.code,
+      before: existingCoupon,
+      after: updatedCoupon,
+    });
+
     res.status(200).json({
       message: 'Coupon updated successfully',
       coupon: {
@@ -153,6 +169,7 @@ const updateCoupon = async (req, res) => {
         startDate: updatedCoupon.startDate,
         expiresAt: updatedCoupon.expiresAt,
         usageLimit: updatedCoupon.usageLimit,
+        perUserLimit: updatedCoupon.perUserLimit,
         usageCount: updatedCoupon.usageCount,
         isActive: updatedCoupon.isActive,
         isExpired: updatedCoupon.isExpired,
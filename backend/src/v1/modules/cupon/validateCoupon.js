@@ -1,17 +1,38 @@
 import { z } from 'zod';
-import Coupon from './Cupon.model.js';
-import Order from '../order/Order.model.js';
+import { evaluateCoupon } from './couponEngine.js';
+import resolveQuoteItems from '../order/resolveQuoteItems.js';
+import { evaluatePromotions } from '../promotion/promotionEngine.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for coupon validation
-const validateCouponSchema = z.object({
-  code: z.string().min(1, 'Coupon code is required'),
-  subtotal: z.number().min(0, 'Subtotal must be a positive number'),
-  userId: z
-    .string()
-    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID')
-    .optional(),
-});
+const validateCouponSchema = z
+  .object({
+    code: z.string().min(1, 'Coupon code is required'),
+    // Cart lines, priced from the database; required for product/category coupons
+    items: z
+      .array(
+        z.object({
+          productId: z.string().min(1, 'Product ID is required'),
+          quantity: z.number().int().min(1, 'Quantity must be at least 1'),
+          variantId: z.string().optional(),
+        }),
+      )
+      .min(1, 'At least one item is required')
+      .optional(),
+    subtotal: z
+      .number()
+      .min(0, 'Subtotal must be a positive number')
+      .optional(),
+    userId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID')
+      .optional(),
+    guestEmail: z.string().email().optional(),
+  })
+  .refine(data => data.items || data.subtotal !== undefined, {
+    message: 'Either items or subtotal is required',
+    path: ['items'],
+  });
 
 const validateCoupon = async (req, res) => {
   try {
@@ -24,47 +45,56 @@ const validateCoupon = async (req, res) => {
       });
     }
 
-    const { code, subtotal, userId } = validationResult.data;
+    const { code, items, userId, guestEmail } = validationResult.data;
+    let { subtotal } = validationResult.data;
 
-    // Find coupon
-    const coupon = await Coupon.findOne({
-      code: code.toUpperCase(),
-      isActive: true,
+    // Price the cart lines from the database
+    let cartItems = null;
+    if (items) {
+      const resolved = await resolveQuoteItems(items);
+      if (resolved.error) {
+        return res.status(400).json({
+          message: resolved.error,
+          valid: false,
+        });
+      }
+      // Checkout applies coupons to what is left after automatic promotions
+      const promotionResult = await evaluatePromotions(resolved.items);
+      cartItems = resolved.items.map((item, index) => ({
+        ...item,
+        lineTotal: item.lineTotal - promotionResult.lineDiscounts[index],
+      }));
+      subtotal = resolved.subtotal - promotionResult.discount;
+    }
+
+    // Same engine as checkout, so the quoted discount is what the order gets
+    const result = await evaluateCoupon({
+      code,
+      items: cartItems,
+      subtotal,
+      userId,
+      guestEmail,
     });
 
-    if (!coupon) {
+    if (!result.coupon) {
       return res.status(404).json({
         message: 'Invalid coupon code',
         valid: false,
       });
     }
 
-    // Get user order count if userId provided (for first-time user validation)
-    let userOrderCount = 0;
-    if (userId) {
-      userOrderCount = await Order.countDocuments({
-        user: userId,
-        status: { $ne: 'cancelled' },
-      });
-    }
-
-    // Validate coupon for the order
-    const validation = coupon.validateForOrder(
-      subtotal,
-      userId,
-      userOrderCount,
-    );
-
-    if (!validation.isValid) {
+    if (!result.valid) {
       return res.status(400).json({
-        message: validation.errors[0], // Return first error
+        message: result.errors[0], // Return first error
         valid: false,
-        errors: validation.errors,
+        errors: result.errors,
       });
     }
 
+    const { coupon } = result;
+
     // Calculate discount
-    const discountAmount = coupon.calculateDiscount(subtotal);
+    const discountAmount = result.discount;
     const finalAmount = Math.max(0, subtotal - discountAmount);
 
     res.status(200).json({
@@ -81,7 +111,8 @@ const validateCoupon = async (req, res) => {
         remainingUses: coupon.remainingUses,
       },
       calculation: {
-        subtotal,
+        subtotal: Math.round(subtotal * 100) / 100,
+        eligibleSubtotal: result.eligibleSubtotal,
         discountAmount: Math.round(discountAmount * 100) / 100,
         finalAmount: Math.round(finalAmount * 100) / 100,
         savings: Math.round(discountAmount * 100) / 100,
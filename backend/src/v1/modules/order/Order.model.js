@@ -45,6 +45,26 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Tax charged on this line (after prorated order discounts)
+  tax: {
+    rate: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+  },
+  // Automatic promotion discount applied to this line
+  promotionDiscount: { type: Number, default: 0, min: 0 },
+  // Share of the coupon discount applied to this line (0 when out of coupon scope)
+  couponDiscount: { type: Number, default: 0, min: 0 },
+  // Weight per unit at time of order (for shipping)
+  unitWeight: { type: Number, default: 0 },
+  // Units already put back into stock (cancellation/return)
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Units and amount already refunded (see payment/refundService.js)
+  refundedQuantity: { type: Number, default: 0, min: 0 },
+  refundedAmount: { type: Number, default: 0, min: 0 },
   // Product snapshot for order history
   productSnapshot: {
     name: { type: String, required: true },
@@ -91,9 +111,17 @@ const paymentInfoSchema = new mongoose.Schema({
   },
   transactionId: { type: String, trim: true },
   gatewayResponse: mongoose.Schema.Types.Mixed,
+  // Online payment attempt (see payment module)
+  gateway: { type: String, trim: true }, // Adapter that handled the payment (bkash, nagad, card, mock)
+  gatewayPaymentId: { type: String, trim: true }, // Gateway's ID for the current attempt
+  attempts: { type: Number, default: 0, min: 0 },
+  intentCreatedAt: Date,
+  capturedAmount: { type: Number, default: 0, min: 0 }, // Amount confirmed by the gateway
+  failureReason: String,
   paidAt: Date,
   refundedAt: Date,
-  refundAmount: { type: Number, default: 0 },
+  refundAmount: { type: Number, default: 0 }, // Running total of completed and in-flight refunds
+  refundedShipping: { type: Number, default: 0, min: 0 }, // Part of refundAmount that was shipping
 });
 
 const orderTrackingSchema = new mongoose.Schema({
@@ -201,12 +229,36 @@ const orderSchema = new mongoose.Schema(
     pricing: {
       subtotal: { type: Number, required: true, min: 0 },
       itemDiscount: { type: Number, default: 0, min: 0 },
+      promotionDiscount: { type: Number, default: 0, min: 0 },
       couponDiscount: { type: Number, default: 0, min: 0 },
       shippingCost: { type: Number, default: 0, min: 0 },
       tax: { type: Number, default: 0, min: 0 },
+      taxLabel: { type: String, default: 'Tax' },
+      // Inclusive tax is already part of the item prices and not added to total
+      taxInclusive: { type: Boolean, default: false },
+      taxBreakdown: [
+        {
+          _id: false,
+          label: String,
+          rate: Number,
+          taxableAmount: Number,
+          amount: Number,
+        },
+      ],
       total: { type: Number, required: true, min: 0 },
     },
 
+    // Automatic promotions applied to the order (snapshot)
+    promotions: [
+      {
+        _id: false,
+        promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+        name: String,
+        type: { type: String },
+        discount: Number,
+      },
+    ],
+
     // Coupon information
     coupon: {
       code: String,
@@ -219,9 +271,9 @@ const orderSchema = new mongoose.Schema(
     shipping: {
       method: {
         type: String,
-        enum: ['standard', 'express', 'overnight', 'pickup'],
         default: 'standard',
-      },
+      }, // Name of a method from Settings.shipping.shippingMethods
+      zone: String, // Matched Settings.shipping.shippingZones name
       cost: { type: Number, default: 0 },
       estimatedDelivery: Date,
       actualDelivery: Date,
@@ -279,9 +331,20 @@ orderSchema.virtual('canBeCancelled').get(function () {
   return ['pending', 'confirmed', 'processing'].includes(this.status);
 });
 
-// Virtual for checking if order can be returned
-orderSchema.virtual('canBeReturned').get(function () {
-  return this.status === 'delivered' && this.ageInDays <= 7; // 7 days return policy
+// Checks the return window, counted from delivery. There is deliberately no
+// default and no virtual: the window always comes from Settings (returns.windowDays)
+orderSchema.methods.isWithinReturnWindow = function (windowDays) {
+  if (this.status !== 'delivered') return false;
+  const deliveredAt = this.deliveredAt || this.placedAt;
+  return Date.now() - deliveredAt <= windowDays * 24 * 60 * 60 * 1000;
+};
+
+// Virtual for refund state, derived from the refund running total
+orderSchema.virtual('refundStatus').get(function () {
+  const refunded = this.payment?.refundAmount || 0;
+  if (refunded <= 0) return 'none';
+  const captured = this.payment?.capturedAmount || this.pricing?.total || 0;
+  return refunded + 0.01 >= captured ? 'refunded' : 'partially_refunded';
 });
 
 // Virtual for current tracking status
@@ -382,17 +445,22 @@ orderSchema.methods.calculateTotal = function () {
   this.pricing = {
     subtotal,
     itemDiscount: this.pricing?.itemDiscount || 0,
+    promotionDiscount: this.pricing?.promotionDiscount || 0,
     couponDiscount: this.pricing?.couponDiscount || 0,
     shippingCost: this.shipping?.cost || 0,
     tax: this.pricing?.tax || 0,
+    taxLabel: this.pricing?.taxLabel,
+    taxInclusive: this.pricing?.taxInclusive || false,
+    taxBreakdown: this.pricing?.taxBreakdown || [],
   };
 
   this.pricing.total =
     this.pricing.subtotal -
     this.pricing.itemDiscount -
+    this.pricing.promotionDiscount -
     this.pricing.couponDiscount +
     this.pricing.shippingCost +
-    this.pricing.tax;
+    (this.pricing.taxInclusive ? 0 : this.pricing.tax);
 
   return this.pricing.total;
 };
@@ -477,6 +545,7 @@ orderSchema.index({ status: 1 });
 orderSchema.index({ placedAt: -1 });
 orderSchema.index({ guestEmail: 1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.gatewayPaymentId': 1 });
 orderSchema.index({ 'shipping.trackingNumber': 1 });
 
 const Order = mongoose.model('Order', orderSchema);
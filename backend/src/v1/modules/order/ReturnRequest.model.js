@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'size_fit',
+  'changed_mind',
+  'other',
+];
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order item _id
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    variant: {
+      color: String,
+      size: String,
+      sku: String,
+    },
+    quantity: { type: Number, required: true, min: 1 },
+    reason: { type: String, enum: RETURN_REASONS, required: true },
+    comment: { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: false },
+);
+
+const returnHistorySchema = new mongoose.Schema(
+  {
+    status: String,
+    note: String,
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    timestamp: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+// A customer's request to send back some units of a delivered order (RMA)
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: { type: String, required: true, unique: true },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    orderNumber: { type: String, required: true },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A return needs at least one item',
+      },
+    },
+    photos: [
+      {
+        _id: false,
+        url: String,
+        filename: String,
+      },
+    ],
+    // requested -> approved -> received; requested or approved -> rejected
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected', 'received'],
+      default: 'requested',
+    },
+    history: [returnHistorySchema],
+    adminNote: { type: String, trim: true },
+    rejectionReason: { type: String, trim: true },
+    // Stock and money each go back at most once per return
+    restockedItems: [
+      {
+        _id: false,
+        item: mongoose.Schema.Types.ObjectId,
+        quantity: Number,
+      },
+    ],
+    restockedAt: Date,
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+    refundedAmount: { type: Number, default: 0 },
+    approvedAt: Date,
+    rejectedAt: Date,
+    receivedAt: Date,
+  },
+  { timestamps: true },
+);
+
+returnRequestSchema.index({ order: 1, createdAt: -1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+returnRequestSchema.statics.generateRmaNumber = function () {
+  return `RMA-${Date.now()}-${crypto.randomInt(100, 1000)}`;
+};
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+export default ReturnRequest;
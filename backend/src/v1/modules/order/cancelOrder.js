@@ -1,6 +1,16 @@
 import { z } from 'zod';
 import Order from './Order.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import runInTransaction from '../../utils/runInTransaction.js';
+import { restoreOrderStock } from '../product/inventoryService.js';
+import { releaseCouponRedemption } from '../cupon/redemptionService.js';
+import {
+  formatRefundForResponse,
+  issueRefund,
+} from '../payment/refundService.js';
+import { sendOrderStatusEmail } from './orderNotifications.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { orderWebhookData } from '../webhook/webhookPayloads.js';
 
 const cancelOrderSchema = z.object({
   reason: z
@@ -55,18 +65,39 @@ const cancelOrder = async (req, res) => {
       timestamp: new Date(),
     });
 
-    // If payment was made, mark for refund
-    if (['completed', 'processing'].includes(order.payment.status)) {
-      order.payment.status = 'refunded';
-      order.payment.refundedAt = new Date();
-      order.payment.refundAmount = order.pricing.total;
-    }
+    // Status change, restock and coupon release commit together
+    const restockedItems = await runInTransaction(async session => {
+      const restocked = await restoreOrderStock(order, session);
+      await releaseCouponRedemption(order, session, 'cancelled');
+      await order.save({ session });
+      return restocked;
+    });
 
-    await order.save();
+    // Refund emails are sent by issueRefund, after this one
+    await sendOrderStatusEmail(order, 'cancelled');
+
+    // Online payments go straight back through the gateway. Other payments are
+    // refunded by an admin (POST /payments/:orderNumber/refund).
+    let refundInfo = null;
+    if (order.payment.status === 'completed' && order.payment.gateway) {
+      try {
+        const { refund } = await issueRefund(
+          order,
+          { full: true },
+          { reason: `Order cancelled by customer: ${reason}` },
+        );
+        refundInfo = formatRefundForResponse(refund);
+      } catch (error) {
+        // The cancellation stands; the failed refund stays in the ledger for an admin to retry
+        console.error('Cancel order refund error:', error);
+        refundInfo = {
+          status: 'failed',
+          message: 'Refund could not be processed',
+        };
+      }
+    }
 
-    // TODO: Restore product stock
-    // TODO: Send cancellation email
-    // TODO: Process refund if payment was made
+    emitWebhookEvent('order.cancelled', orderWebhookData(order));
 
     res.status(200).json({
       message: 'Order cancelled successfully',
@@ -74,13 +105,8 @@ const cancelOrder = async (req, res) => {
         orderNumber: order.orderNumber,
         status: order.status,
         cancellationReason: order.cancellationReason,
-        refundInfo:
-          order.payment.status === 'refunded'
-            ? {
-                amount: order.payment.refundAmount,
-                refundedAt: order.payment.refundedAt,
-              }
-            : null,
+        restockedItems,
+        refundInfo,
       },
     });
   } catch (error) {
@@ -0,0 +1,80 @@
+import ReturnRequest from './ReturnRequest.model.js';
+
+const getAllReturns = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      orderNumber,
+      search,
+      sortOrder = 'desc',
+    } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (orderNumber) {
+      query.orderNumber = orderNumber;
+    }
+
+    if (search) {
+      query.$or = [
+        { rmaNumber: { $regex: search, $options: 'i' } },
+        { orderNumber: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    // Execute query with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [returns, totalCount, statusStats] = await Promise.all([
+      ReturnRequest.find(query)
+        .populate('user', 'name email phone')
+        .populate('refund', 'amount status method')
+        .sort({ createdAt: sortOrder === 'desc' ? -1 : 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ReturnRequest.countDocuments(query),
+      ReturnRequest.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.status(200).json({
+      message: 'Returns retrieved successfully',
+      data: {
+        returns,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        summary: {
+          statusDistribution: statusStats.reduce((acc, stat) => {
+            acc[stat._id] = stat.count;
+            return acc;
+          }, {}),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get all returns error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getAllReturns;
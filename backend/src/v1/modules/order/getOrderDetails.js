@@ -1,15 +1,18 @@
 import Order from './Order.model.js';
+import Settings from '../settings/Settings.model.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+import { hasPermission } from '../../utils/permissions.js';
 
 const getOrderDetails = async (req, res) => {
   try {
     const { orderNumber } = req.params;
     const userId = req.user?.id;
 
-    // Build query - users can only see their own orders, admins can see all
+    // Build query - users can only see their own orders, staff with orders.read see all
     const query = { orderNumber };
 
-    // If not admin, restrict to user's orders
-    if (userId && !req.user.role.includes('admin')) {
+    // Without orders.read, restrict to user's orders
+    if (userId && !hasPermission(req.user, PERMISSIONS.ORDERS_READ)) {
       query.user = userId;
     }
 
@@ -30,12 +33,18 @@ const getOrderDetails = async (req, res) => {
       });
     }
 
+    // Return window comes from the store's return policy
+    const settings = await Settings.getSettings();
+    const { enabled: returnsEnabled, windowDays } = settings.returns;
+
     // Calculate additional order info
     const orderInfo = {
       ...order.toObject(),
       itemCount: order.totalItems,
       canBeCancelled: order.canBeCancelled,
-      canBeReturned: order.canBeReturned,
+      canBeReturned: returnsEnabled && order.isWithinReturnWindow(windowDays),
+      returnWindowDays: windowDays,
+      refundStatus: order.refundStatus,
       currentTracking: order.currentTracking,
       ageInDays: order.ageInDays,
     };
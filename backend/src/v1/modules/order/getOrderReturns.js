@@ -0,0 +1,43 @@
+import Order from './Order.model.js';
+import ReturnRequest from './ReturnRequest.model.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+import { hasPermission } from '../../utils/permissions.js';
+
+const getOrderReturns = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+
+    // Customers only see returns of their own orders
+    const query = { orderNumber };
+    if (!hasPermission(req.user, PERMISSIONS.RETURNS_MANAGE)) {
+      query.user = req.user.id;
+    }
+
+    const order = await Order.findOne(query).select('_id orderNumber');
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found',
+      });
+    }
+
+    const returns = await ReturnRequest.find({ order: order._id })
+      .populate('refund', 'amount status method gatewayRefundId completedAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: 'Returns retrieved successfully',
+      data: {
+        orderNumber: order.orderNumber,
+        returns,
+      },
+    });
+  } catch (error) {
+    console.error('Get order returns error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getOrderReturns;
@@ -0,0 +1,98 @@
+import { z } from 'zod';
+import Settings from '../settings/Settings.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import resolveQuoteItems from './resolveQuoteItems.js';
+import {
+  calculateShipping,
+  calculateEstimatedDelivery,
+  getEnabledShippingMethods,
+  ShippingError,
+} from './shippingCalculator.js';
+
+const shippingQuoteSchema = z.object({
+  address: z.object({
+    country: z.string().min(1, 'Country is required').default('Bangladesh'),
+    state: z.string().optional(),
+    postalCode: z.string().optional(),
+  }),
+  shippingMethod: z.string().trim().min(1).optional(),
+  // Items are priced and weighed from the database, never from the client
+  items: z
+    .array(
+      z.object({
+        productId: z.string().min(1, 'Product ID is required'),
+        quantity: z.number().int().min(1, 'Quantity must be at least 1'),
+        variantId: z.string().optional(),
+      }),
+    )
+    .min(1, 'At least one item is required'),
+});
+
+const getShippingQuote = async (req, res) => {
+  try {
+    // Validate input
+    const validationResult = shippingQuoteSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { address, shippingMethod, items } = validationResult.data;
+
+    // Resolve prices and weights from the database
+    const resolved = await resolveQuoteItems(items);
+    if (resolved.error) {
+      return res.status(400).json({
+        message: resolved.error,
+      });
+    }
+    const { items: quoteItems, subtotal } = resolved;
+
+    const settings = await Settings.getSettings();
+
+    // Quote every enabled method unless a specific one was requested
+    const methodNames = shippingMethod
+      ? [shippingMethod]
+      : getEnabledShippingMethods(settings.shipping).map(method => method.name);
+
+    const quotes = methodNames.map(method => {
+      const quote = calculateShipping({
+        shippingSettings: settings.shipping,
+        items: quoteItems,
+        subtotal,
+        address,
+        method,
+      });
+
+      return {
+        ...quote,
+        estimatedDelivery: calculateEstimatedDelivery(quote.estimatedDays),
+      };
+    });
+
+    res.status(200).json({
+      message: 'Shipping quote calculated successfully',
+      data: {
+        subtotal: Math.round(subtotal * 100) / 100,
+        freeShippingThreshold: settings.shipping.freeShippingThreshold,
+        quotes,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ShippingError) {
+      return res.status(400).json({
+        message: error.message,
+      });
+    }
+
+    console.error('Shipping quote error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getShippingQuote;
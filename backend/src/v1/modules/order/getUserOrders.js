@@ -1,4 +1,5 @@
 import Order from './Order.model.js';
+import Settings from '../settings/Settings.model.js';
 
 const getUserOrders = async (req, res) => {
   try {
@@ -39,6 +40,11 @@ const getUserOrders = async (req, res) => {
     const totalCount = await Order.countDocuments(query);
     const totalPages = Math.ceil(totalCount / parseInt(limit));
 
+    // Return window comes from the store's return policy
+    const settings = await Settings.getSettings();
+    const { enabled: returnsEnabled, windowDays } = settings.returns;
+    const returnWindowMs = windowDays * 24 * 60 * 60 * 1000;
+
     // Format orders for response
     const formattedOrders = orders.map(order => ({
       ...order,
@@ -47,10 +53,10 @@ const getUserOrders = async (req, res) => {
         order.status,
       ),
       canBeReturned:
+        returnsEnabled &&
         order.status === 'delivered' &&
-        Math.floor(
-          (new Date() - new Date(order.placedAt)) / (1000 * 60 * 60 * 24),
-        ) <= 7,
+        new Date() - new Date(order.deliveredAt || order.placedAt) <=
+          returnWindowMs,
     }));
 
     res.status(200).json({
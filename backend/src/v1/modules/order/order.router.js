@@ -1,7 +1,6 @@
 import express from 'express';
-import verifyToken from '../../middlewares/verifyToken.js';
-import verifyAdmin from '../../middlewares/verifyAdmin.js';
-import verifyAdminOrModerator from '../../middlewares/verifyAdminOrModerator.js';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
 
 // Import order controllers
 import placeOrder from './placeOrder.js';
@@ -12,27 +11,67 @@ import trackOrder from './trackOrder.js';
 import getAllOrders from './getAllOrders.js';
 import updateOrderStatus from './updateOrderStatus.js';
 import getOrderAnalytics from './getOrderAnalytics.js';
+import getShippingQuote from './getShippingQuote.js';
+import requestReturn from './requestReturn.js';
+import getOrderReturns from './getOrderReturns.js';
+import getAllReturns from './getAllReturns.js';
+import approveReturn from './approveReturn.js';
+import rejectReturn from './rejectReturn.js';
+import receiveReturn from './receiveReturn.js';
+import { uploadMultiple, handleMulterError } from '../../utils/multerConfig.js';
 
 const orderRouter = express.Router();
 
 // Public routes (with optional authentication)
 orderRouter.get('/track/:orderNumber', trackOrder); // GET /orders/track/:orderNumber - Track order (public)
+orderRouter.post('/shipping-quote', getShippingQuote); // POST /orders/shipping-quote - Shipping cost before checkout (public)
 
 // Customer routes (authentication required)
-orderRouter.use(verifyToken); // All routes below require authentication
+orderRouter.use(authorize()); // All routes below require authentication
 
 orderRouter.post('/', placeOrder); // POST /orders - Place new order
 orderRouter.get('/my-orders', getUserOrders); // GET /orders/my-orders - Get user's orders
+orderRouter.get(
+  '/returns',
+  authorize(PERMISSIONS.RETURNS_MANAGE),
+  getAllReturns,
+); // GET /orders/returns - Get all returns (admin)
 orderRouter.get('/:orderNumber', getOrderDetails); // GET /orders/:orderNumber - Get order details
 orderRouter.patch('/:orderNumber/cancel', cancelOrder); // PATCH /orders/:orderNumber/cancel - Cancel order
+orderRouter.post(
+  '/:orderNumber/returns',
+  uploadMultiple('photos', 10),
+  handleMulterError,
+  requestReturn,
+); // POST /orders/:orderNumber/returns - Request a return (multipart, optional photos)
+orderRouter.get('/:orderNumber/returns', getOrderReturns); // GET /orders/:orderNumber/returns - Returns of an order
 
-// Admin routes (admin/moderator access required)
-orderRouter.get('/', verifyAdminOrModerator, getAllOrders); // GET /orders - Get all orders (admin)
+// Staff routes (permission required)
+orderRouter.get('/', authorize(PERMISSIONS.ORDERS_READ), getAllOrders); // GET /orders - Get all orders (admin)
 orderRouter.put(
   '/:orderNumber/status',
-  verifyAdminOrModerator,
+  authorize(PERMISSIONS.ORDERS_UPDATE),
   updateOrderStatus,
 ); // PUT /orders/:orderNumber/status - Update order status
-orderRouter.get('/analytics/summary', verifyAdmin, getOrderAnalytics); // GET /orders/analytics/summary - Order analytics
+orderRouter.get(
+  '/analytics/summary',
+  authorize(PERMISSIONS.ANALYTICS_READ),
+  getOrderAnalytics,
+); // GET /orders/analytics/summary - Order analytics
+orderRouter.patch(
+  '/returns/:rmaNumber/approve',
+  authorize(PERMISSIONS.RETURNS_MANAGE),
+  approveReturn,
+); // PATCH /orders/returns/:rmaNumber/approve - Approve a return
+orderRouter.patch(
+  '/returns/:rmaNumber/reject',
+  authorize(PERMISSIONS.RETURNS_MANAGE),
+  rejectReturn,
+); // PATCH /orders/returns/:rmaNumber/reject - Reject a return
+orderRouter.patch(
+  '/returns/:rmaNumber/receive',
+  authorize(PERMISSIONS.RETURNS_MANAGE),
+  receiveReturn,
+); // PATCH /orders/returns/:rmaNumber/receive - Mark returned goods as received
 
 export default orderRouter;
@@ -0,0 +1,89 @@
+import User from '../user/User.model.js';
+import Settings from '../settings/Settings.model.js';
+import sendEmail from '../../utils/sendEmail.js';
+import orderStatusEmail from '../../emails/orderStatusEmail.js';
+
+// Settings.email entry that switches each lifecycle email on/off and sets its subject
+const EMAIL_SETTINGS = {
+  shipped: 'orderShipped',
+  out_for_delivery: 'orderOutForDelivery',
+  delivered: 'orderDelivered',
+  cancelled: 'orderCancelled',
+  refunded: 'orderRefunded',
+};
+
+/**
+ * Whether a status change has a lifecycle email
+ * @param {string} status - Order status or 'refunded'
+ * @returns {boolean}
+ */
+export const hasOrderStatusEmail = status => Boolean(EMAIL_SETTINGS[status]);
+
+// Registered customers get the email on their account; guests at guestEmail
+const resolveRecipient = async order => {
+  if (order.user) {
+    const user = order.user.email
+      ? order.user
+      : await User.findById(order.user).select('name email');
+    return {
+      email: user?.email,
+      name: user?.name || order.shippingAddress?.fullName,
+    };
+  }
+
+  return {
+    email: order.guestEmail,
+    name: order.shippingAddress?.fullName,
+  };
+};
+
+/**
+ * Emails the customer about an order lifecycle event, if that email is enabled
+ * in Settings.email. Never throws: a failed email must not fail the status change.
+ * @param {Object} order - Order document
+ * @param {string} event - shipped | out_for_delivery | delivered | cancelled | refunded
+ * @param {Object} [details]
+ * @param {Object} [details.refund] - Refund for the refunded email ({ amount, method })
+ * @returns {Promise<Object>} { sent, reason? }
+ */
+export const sendOrderStatusEmail = async (order, event, { refund } = {}) => {
+  try {
+    const settings = await Settings.getSettings();
+    const emailSettings = settings.email?.[EMAIL_SETTINGS[event]];
+    if (!emailSettings?.enabled) {
+      return { sent: false, reason: 'disabled' };
+    }
+
+    const recipient = await resolveRecipient(order);
+    if (!recipient.email) {
+      return { sent: false, reason: 'no_recipient' };
+    }
+
+    const html = orderStatusEmail({
+      order,
+      event,
+      refund,
+      customerName: recipient.name,
+      customerEmail: recipient.email,
+      companyName: process.env.COMPANY_NAME || 'E-Commerce Express',
+      logoUrl: process.env.LOGO_URL || '',
+      websiteUrl: process.env.WEBSITE_URL || 'http://localhost:3000',
+      supportEmail:
+        process.env.SUPPORT_EMAIL || 'support@ecommerce-express.com',
+      trackingUrl: process.env.TRACKING_URL || 'http://localhost:3000/orders',
+    });
+
+    // Subjects may use {orderNumber}, e.g. "Order Confirmation #{orderNumber}"
+    const subject = emailSettings.subject.replace(
+      /\{orderNumber\}/g,
+      order.orderNumber,
+    );
+
+    await sendEmail({ to: recipient.email, subject, html });
+    console.log(`Order ${event} email sent to: ${recipient.email}`);
+    return { sent: true };
+  } catch (error) {
+    console.error(`Failed to send order ${event} email:`, error);
+    return { sent: false, reason: 'error' };
+  }
+};
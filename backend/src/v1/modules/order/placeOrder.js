@@ -2,11 +2,37 @@ import { z } from 'zod';
 import Order from './Order.model.js';
 import Cart from '../cart/Cart.model.js';
 import Product from '../product/Product.model.js';
-import Coupon from '../cupon/Cupon.model.js';
+import Promotion from '../promotion/Promotion.model.js';
+import { evaluatePromotions } from '../promotion/promotionEngine.js';
+import { evaluateCoupon } from '../cupon/couponEngine.js';
+import {
+  redeemCoupon,
+  CouponRedemptionError,
+} from '../cupon/redemptionService.js';
 import User from '../user/User.model.js';
+import Address from '../address/Address.model.js';
+import Settings from '../settings/Settings.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import runInTransaction from '../../utils/runInTransaction.js';
+import {
+  reserveStock,
+  InsufficientStockError,
+} from '../product/inventoryService.js';
+import { resolveSalePrice } from '../product/salePricing.js';
+import {
+  calculateShipping,
+  calculateEstimatedDelivery,
+  ShippingError,
+} from './shippingCalculator.js';
+import { calculateTax } from './taxCalculator.js';
 import sendEmail from '../../utils/sendEmail.js';
 import orderConfirmationEmail from '../../emails/orderConfirmationEmail.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { orderWebhookData } from '../webhook/webhookPayloads.js';
+import {
+  isBlockedUntilVerified,
+  sendEmailNotVerifiedResponse,
+} from '../user/emailVerification.js';
 
 const shippingAddressSchema = z.object({
   fullName: z.string().min(1, 'Full name is required').trim(),
@@ -37,32 +63,41 @@ const cartItemSchema = z.object({
   // NO PRICE FIELDS - All pricing fetched from backend for security
 });
 
-const placeOrderSchema = z.object({
-  shippingAddress: shippingAddressSchema,
-  billingAddress: shippingAddressSchema.optional(),
-  sameAsBilling: z.boolean().default(true),
-  paymentMethod: z.enum([
-    'cash_on_delivery',
-    'bkash',
-    'nagad',
-    'rocket',
-    'bank_transfer',
-    'card',
-  ]),
-  shippingMethod: z
-    .enum(['standard', 'express', 'overnight', 'pickup'])
-    .default('standard'),
-  couponCode: z.string().optional(),
-  notes: z.string().optional(),
-  guestInfo: z
-    .object({
-      email: z.string().email(),
-      phone: z.string().min(1),
-    })
-    .optional(),
-  // Cart items for guest orders or when cart is managed locally
-  cartItems: z.array(cartItemSchema).optional(),
-});
+const placeOrderSchema = z
+  .object({
+    // Either an inline address or a saved address from the address book
+    shippingAddress: shippingAddressSchema.optional(),
+    addressId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid address ID')
+      .optional(),
+    billingAddress: shippingAddressSchema.optional(),
+    sameAsBilling: z.boolean().default(true),
+    paymentMethod: z.enum([
+      'cash_on_delivery',
+      'bkash',
+      'nagad',
+      'rocket',
+      'bank_transfer',
+      'card',
+    ]),
+    // Name of a shipping method from settings (defaults to the first enabled one)
+    shippingMethod: z.string().trim().min(1).optional(),
+    couponCode: z.string().optional(),
+    notes: z.string().optional(),
+    guestInfo: z
+      .object({
+        email: z.string().email(),
+        phone: z.string().min(1),
+      })
+      .optional(),
+    // Cart items for guest orders or when cart is managed locally
+    cartItems: z.array(cartItemSchema).optional(),
+  })
+  .refine(data => data.shippingAddress || data.addressId, {
+    message: 'Either shippingAddress or addressId is required',
+    path: ['shippingAddress'],
+  });
 
 const placeOrder = async (req, res) => {
   try {
@@ -76,7 +111,7 @@ const placeOrder = async (req, res) => {
     }
 
     const {
-      shippingAddress,
+      addressId,
       billingAddress,
       sameAsBilling,
       paymentMethod,
@@ -86,9 +121,38 @@ const placeOrder = async (req, res) => {
       guestInfo,
       cartItems,
     } = validationResult.data;
+    let { shippingAddress } = validationResult.data;
 
     const userId = req.user?.id;
 
+    if (req.user && (await isBlockedUntilVerified(req.user, 'checkout'))) {
+      return sendEmailNotVerifiedResponse(
+        res,
+        'Please verify your email address before placing an order',
+      );
+    }
+
+    // Resolve a saved address from the user's address book
+    if (addressId) {
+      if (!userId) {
+        return res.status(400).json({
+          message: 'Saved addresses are only available for registered users',
+        });
+      }
+
+      const savedAddress = await Address.findOne({
+        _id: addressId,
+        user: userId,
+      });
+      if (!savedAddress) {
+        return res.status(404).json({
+          message: 'Address not found',
+        });
+      }
+
+      shippingAddress = savedAddress.toShippingAddress();
+    }
+
     // For guest orders, validate guest info OR cartItems
     if (!userId && !guestInfo) {
       return res.status(400).json({
@@ -113,12 +177,11 @@ const placeOrder = async (req, res) => {
           });
         }
 
-        // Get actual prices from database (SECURITY: Never trust client-side prices)
-        let actualPrice = product.price;
-        let actualDiscountPrice = product.discountPrice || product.price;
+        let selectedVariant = null;
         let availableStock = product.stock;
+        let unitWeight = 0;
 
-        // If product has variants, get variant-specific pricing
+        // If product has variants, get variant-specific stock and weight
         if (product.hasVariants && cartItem.variant?.variantId) {
           const variant = product.getVariantById(cartItem.variant.variantId);
           if (!variant || !variant.isActive) {
@@ -126,15 +189,9 @@ const placeOrder = async (req, res) => {
               message: `Selected variant for "${product.name}" is no longer available`,
             });
           }
+          selectedVariant = variant;
           availableStock = variant.stock;
-
-          // Use variant pricing if available, otherwise use product pricing
-          actualPrice = variant.price || product.price;
-          actualDiscountPrice =
-            variant.discountPrice ||
-            variant.price ||
-            product.discountPrice ||
-            product.price;
+          unitWeight = variant.weight || 0;
         }
 
         // Check stock availability
@@ -146,19 +203,24 @@ const placeOrder = async (req, res) => {
           });
         }
 
-        // Calculate effective price (use discount price if available and valid)
-        const effectivePrice =
-          actualDiscountPrice < actualPrice ? actualDiscountPrice : actualPrice;
+        // Get actual prices from database (SECURITY: Never trust client-side prices)
+        // Discounts only apply while their sale window is open
+        const { price, effectivePrice } = resolveSalePrice(
+          product,
+          selectedVariant,
+        );
 
         // Create order item with actual database prices
         const orderItem = {
           product: product._id,
           quantity: cartItem.quantity,
           variant: cartItem.variant,
-          price: actualPrice,
-          discountPrice: actualDiscountPrice,
+          price,
+          discountPrice: effectivePrice,
           effectivePrice,
           lineTotal: effectivePrice * cartItem.quantity,
+          unitWeight,
+          categoryId: product.category?._id, // Used for tax classes, not stored
           productSnapshot: {
             name: product.name,
             image: product.images?.[0]?.url || '',
@@ -200,7 +262,9 @@ const placeOrder = async (req, res) => {
         }
 
         // Check stock
+        let selectedVariant = null;
         let availableStock = product.stock;
+        let unitWeight = 0;
         if (product.hasVariants && cartItem.variant?.variantId) {
           const variant = product.getVariantById(cartItem.variant.variantId);
           if (!variant || !variant.isActive) {
@@ -208,7 +272,9 @@ const placeOrder = async (req, res) => {
               message: `Selected variant for "${product.name}" is no longer available`,
             });
           }
+          selectedVariant = variant;
           availableStock = variant.stock;
+          unitWeight = variant.weight || 0;
         }
 
         if (product.trackInventory && availableStock < cartItem.quantity) {
@@ -219,15 +285,24 @@ const placeOrder = async (req, res) => {
           });
         }
 
+        // Re-price at checkout: the price stored in the cart may predate a sale
+        // window opening or closing
+        const { price, effectivePrice } = resolveSalePrice(
+          product,
+          selectedVariant,
+        );
+
         // Create order item
         const orderItem = {
           product: product._id,
           quantity: cartItem.quantity,
           variant: cartItem.variant,
-          price: cartItem.price,
-          discountPrice: cartItem.discountPrice,
-          effectivePrice: cartItem.effectivePrice,
-          lineTotal: cartItem.effectivePrice * cartItem.quantity,
+          price,
+          discountPrice: effectivePrice,
+          effectivePrice,
+          lineTotal: effectivePrice * cartItem.quantity,
+          unitWeight,
+          categoryId: product.category?._id, // Used for tax classes, not stored
           productSnapshot: {
             name: product.name,
             image: cartItem.productSnapshot?.image || product.images?.[0]?.url,
@@ -249,78 +324,25 @@ const placeOrder = async (req, res) => {
       });
     }
 
-    // Calculate shipping cost (BACKEND CONTROLLED - never trust client)
-    const calculateShippingCost = (
-      method,
-      subtotal,
-      country = 'Bangladesh',
-    ) => {
-      const shippingRates = {
-        standard: {
-          domestic: subtotal >= 500 ? 0 : 50, // Free shipping over 500
-          international: 200,
-        },
-        express: {
-          domestic: subtotal >= 1000 ? 50 : 100, // Discounted express for high orders
-          international: 400,
-        },
-        overnight: {
-          domestic: 150,
-          international: 600,
-        },
-        pickup: {
-          domestic: 0,
-          international: 0,
-        },
-      };
-
-      const isInternational = country !== 'Bangladesh';
-      return (
-        shippingRates[method]?.[
-          isInternational ? 'international' : 'domestic'
-        ] || 50
-      );
-    };
-
-    const shippingCost = calculateShippingCost(
-      shippingMethod,
-      subtotal,
-      shippingAddress.country,
-    );
-
-    // Calculate tax (BACKEND CONTROLLED)
-    const calculateTax = (subtotal, country = 'Bangladesh', state = '') => {
-      const taxRates = {
-        Bangladesh: {
-          default: 0.05, // 5% VAT
-          Dhaka: 0.05,
-          Chittagong: 0.05,
-          Sylhet: 0.03,
-          Khulna: 0.03,
-        },
-        // Add other countries if needed
-      };
-
-      const countryRates = taxRates[country];
-      if (!countryRates) return 0;
-
-      const rate = countryRates[state] || countryRates.default || 0;
-      return subtotal * rate;
-    };
-
-    const tax = calculateTax(
+    // Calculate shipping cost from store settings (BACKEND CONTROLLED - never trust client)
+    const settings = await Settings.getSettings();
+    const shippingQuote = calculateShipping({
+      shippingSettings: settings.shipping,
+      items: orderItems,
       subtotal,
-      shippingAddress.country,
-      shippingAddress.state,
-    );
+      address: shippingAddress,
+      method: shippingMethod,
+    });
+    const shippingCost = shippingQuote.cost;
 
     // Initialize pricing with backend-controlled values
     let pricing = {
       subtotal,
       itemDiscount: 0,
+      promotionDiscount: 0,
       couponDiscount: 0,
       shippingCost,
-      tax,
+      tax: 0,
       total: 0,
     };
 
@@ -332,69 +354,75 @@ const placeOrder = async (req, res) => {
       }
     });
 
-    // Apply coupon if provided
+    // Apply automatic promotions (BOGO, tiered, bundle, ...)
+    const promotionResult = await evaluatePromotions(orderItems);
+    orderItems.forEach((item, index) => {
+      item.promotionDiscount = promotionResult.lineDiscounts[index];
+    });
+    pricing.promotionDiscount = promotionResult.discount;
+
+    // Apply coupon if provided (same engine as POST /coupons/validate)
+    let coupon = null;
     let appliedCoupon = null;
     if (couponCode) {
-      const coupon = await Coupon.findOne({
-        code: couponCode.toUpperCase(),
-        isActive: true,
+      // Coupons apply to what is left after promotions
+      const couponResult = await evaluateCoupon({
+        code: couponCode,
+        items: orderItems.map(item => ({
+          ...item,
+          lineTotal: item.lineTotal - item.promotionDiscount,
+        })),
+        userId,
+        guestEmail: guestInfo?.email,
       });
 
-      if (!coupon) {
-        return res.status(400).json({
-          message: 'Invalid coupon code',
-        });
-      }
-
-      if (coupon.expiresAt && coupon.expiresAt < new Date()) {
-        return res.status(400).json({
-          message: 'Coupon has expired',
-        });
-      }
-
-      if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
-        return res.status(400).json({
-          message: 'Coupon usage limit exceeded',
-        });
-      }
-
-      if (subtotal < coupon.minPurchase) {
+      if (!couponResult.valid) {
         return res.status(400).json({
-          message: `Minimum purchase amount for this coupon is $${coupon.minPurchase}`,
+          message: couponResult.errors[0],
+          errors: couponResult.errors,
         });
       }
 
-      // Calculate discount
-      let discount = 0;
-      if (coupon.discountType === 'percent') {
-        discount = (subtotal * coupon.discountValue) / 100;
-        if (coupon.maxDiscount > 0) {
-          discount = Math.min(discount, coupon.maxDiscount);
-        }
-      } else {
-        discount = coupon.discountValue;
-      }
+      // Discount only lands on lines in the coupon's product/category scope
+      orderItems.forEach((item, index) => {
+        item.couponDiscount = couponResult.lineDiscounts[index];
+      });
 
-      pricing.couponDiscount = discount;
+      coupon = couponResult.coupon;
+      pricing.couponDiscount = couponResult.discount;
       appliedCoupon = {
         code: coupon.code,
         discountType: coupon.discountType,
         discountValue: coupon.discountValue,
-        appliedDiscount: discount,
+        appliedDiscount: couponResult.discount,
       };
-
-      // Update coupon usage
-      coupon.usageCount += 1;
-      await coupon.save();
     }
 
-    // Calculate total
+    // Calculate tax from store settings on the discounted lines (BACKEND CONTROLLED)
+    const taxResult = calculateTax({
+      taxSettings: settings.financial.taxSettings,
+      items: orderItems,
+      address: shippingAddress,
+    });
+    orderItems.forEach((item, index) => {
+      item.tax = {
+        rate: taxResult.lines[index].rate,
+        amount: taxResult.lines[index].amount,
+      };
+    });
+    pricing.tax = taxResult.amount;
+    pricing.taxLabel = taxResult.label;
+    pricing.taxInclusive = taxResult.inclusive;
+    pricing.taxBreakdown = taxResult.breakdown;
+
+    // Calculate total (inclusive tax is already part of the prices)
     pricing.total =
       pricing.subtotal -
       pricing.itemDiscount -
+      pricing.promotionDiscount -
       pricing.couponDiscount +
       pricing.shippingCost +
-      pricing.tax;
+      (pricing.taxInclusive ? 0 : pricing.tax);
 
     // SECURITY: Validate pricing to prevent manipulation
     const validatePricing = (calculatedPricing, items) => {
@@ -464,11 +492,15 @@ const placeOrder = async (req, res) => {
         status: paymentMethod === 'cash_on_delivery' ? 'pending' : 'pending',
       },
       pricing,
+      promotions: promotionResult.appliedPromotions,
       coupon: appliedCoupon,
       shipping: {
-        method: shippingMethod,
+        method: shippingQuote.method,
+        zone: shippingQuote.zone,
         cost: shippingCost,
-        estimatedDelivery: calculateEstimatedDelivery(shippingMethod),
+        estimatedDelivery: calculateEstimatedDelivery(
+          shippingQuote.estimatedDays,
+        ),
       },
       notes,
       source: 'web',
@@ -477,37 +509,60 @@ const placeOrder = async (req, res) => {
       userAgent: req.get('User-Agent'),
     };
 
-    const order = new Order(orderData);
-    await order.save();
+    // Order creation, stock reservation, promotion/coupon usage and cart conversion
+    // either all commit or all roll back
+    const order = await runInTransaction(async session => {
+      // Guarded decrement - fails instead of overselling
+      await reserveStock(orderItems, session);
+
+      const newOrder = new Order(orderData);
+      await newOrder.save({ session });
+
+      if (promotionResult.appliedPromotions.length > 0) {
+        await Promotion.updateMany(
+          {
+            _id: {
+              $in: promotionResult.appliedPromotions.map(
+                applied => applied.promotion,
+              ),
+            },
+          },
+          { $inc: { usageCount: 1 } },
+          { session },
+        );
+      }
 
-    console.log(`✅ New order created with order number: ${order.orderNumber}`);
-    console.log(`💰 Order total: $${order.pricing.total}`);
+      // Global and per-customer coupon limits are enforced here, atomically
+      if (coupon) {
+        await redeemCoupon(
+          {
+            coupon,
+            order: newOrder,
+            amount: pricing.couponDiscount,
+            userId,
+            guestEmail: guestInfo?.email,
+          },
+          session,
+        );
+      }
 
-    // Update product stock
-    for (const orderItem of orderItems) {
-      const product = await Product.findById(orderItem.product);
-      if (product && product.trackInventory) {
-        if (product.hasVariants && orderItem.variant?.variantId) {
-          const variant = product.getVariantById(orderItem.variant.variantId);
-          if (variant) {
-            variant.stock -= orderItem.quantity;
-          }
-        } else {
-          product.stock -= orderItem.quantity;
+      // Mark cart as converted and clear it (only for database carts)
+      if (userId && !cartItems) {
+        // Only clear database cart if we used database cart (not local cart)
+        const cart = await Cart.findOne({ user: userId }).session(session);
+        if (cart) {
+          await cart.markAsConverted();
+          await cart.clearCart();
         }
-        await product.save();
       }
-    }
 
-    // Mark cart as converted and clear it (only for database carts)
-    if (userId && !cartItems) {
-      // Only clear database cart if we used database cart (not local cart)
-      const cart = await Cart.findOne({ user: userId });
-      if (cart) {
-        await cart.markAsConverted();
-        await cart.clearCart();
-      }
-    }
+      return newOrder;
+    });
+
+    console.log(`✅ New order created with order number: ${order.orderNumber}`);
+    console.log(`💰 Order total: $${order.pricing.total}`);
+
+    emitWebhookEvent('order.created', orderWebhookData(order));
 
     // Populate order for response
     await order.populate([
@@ -564,6 +619,25 @@ const placeOrder = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return res.status(400).json({
+        message: `${error.message}. Only ${error.details.availableStock} available`,
+        ...error.details,
+      });
+    }
+
+    if (error instanceof ShippingError) {
+      return res.status(400).json({
+        message: error.message,
+      });
+    }
+
+    if (error instanceof CouponRedemptionError) {
+      return res.status(400).json({
+        message: error.message,
+      });
+    }
+
     console.error('Place order error:', error);
     res.status(500).json({
       message: 'Internal server error',
@@ -572,20 +646,4 @@ const placeOrder = async (req, res) => {
   }
 };
 
-// Helper function to calculate estimated delivery
-const calculateEstimatedDelivery = shippingMethod => {
-  const deliveryDays = {
-    standard: 5,
-    express: 3,
-    overnight: 1,
-    pickup: 0,
-  };
-
-  const days = deliveryDays[shippingMethod] || 5;
-  const estimatedDate = new Date();
-  estimatedDate.setDate(estimatedDate.getDate() + days);
-
-  return estimatedDate;
-};
-
 export default placeOrder;
@@ -0,0 +1,75 @@
+import { z } from 'zod';
+import ReturnRequest from './ReturnRequest.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import { ReturnRequestError, processReturnStep } from './returnService.js';
+import { RefundError } from '../payment/refundService.js';
+import { PaymentGatewayError } from '../payment/paymentGateway.js';
+
+const receiveReturnSchema = z.object({
+  note: z.string().trim().max(500).optional(),
+  // Received goods go back on the shelf and are refunded unless told otherwise
+  restock: z.boolean().default(true),
+  refund: z.boolean().default(true),
+  refundShipping: z.boolean().default(false),
+});
+
+const receiveReturn = async (req, res) => {
+  try {
+    // Validate input
+    const validationResult = receiveReturnSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findOne({
+      rmaNumber: req.params.rmaNumber,
+    });
+    if (!returnRequest) {
+      return res.status(404).json({
+        message: 'Return not found',
+      });
+    }
+
+    const {
+      returnRequest: updated,
+      refund,
+      restockedItems,
+    } = await processReturnStep(returnRequest, 'received', {
+      ...validationResult.data,
+      adminUserId: req.user.id,
+    });
+
+    res.status(200).json({
+      message: 'Return received successfully',
+      data: {
+        returnRequest: updated,
+        refund,
+        restockedItems,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ReturnRequestError || error instanceof RefundError) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+      });
+    }
+
+    if (error instanceof PaymentGatewayError) {
+      console.error('Receive return refund gateway error:', error.response);
+      return res.status(502).json({
+        message: error.message,
+      });
+    }
+
+    console.error('Receive return error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default receiveReturn;
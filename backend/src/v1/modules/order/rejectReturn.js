@@ -0,0 +1,83 @@
+import { z } from 'zod';
+import ReturnRequest from './ReturnRequest.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import { ReturnRequestError, processReturnStep } from './returnService.js';
+import { RefundError } from '../payment/refundService.js';
+import { PaymentGatewayError } from '../payment/paymentGateway.js';
+
+const rejectReturnSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(1, 'Rejection reason is required')
+    .max(500, 'Reason must be less than 500 characters'),
+  note: z.string().trim().max(500).optional(),
+  // A rejected return can still be restocked or refunded, e.g. as a goodwill gesture
+  restock: z.boolean().default(false),
+  refund: z.boolean().default(false),
+  refundShipping: z.boolean().default(false),
+});
+
+const rejectReturn = async (req, res) => {
+  try {
+    // Validate input
+    const validationResult = rejectReturnSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findOne({
+      rmaNumber: req.params.rmaNumber,
+    });
+    if (!returnRequest) {
+      return res.status(404).json({
+        message: 'Return not found',
+      });
+    }
+
+    const { reason, ...options } = validationResult.data;
+
+    const {
+      returnRequest: updated,
+      refund,
+      restockedItems,
+    } = await processReturnStep(returnRequest, 'rejected', {
+      ...options,
+      rejectionReason: reason,
+      adminUserId: req.user.id,
+    });
+
+    res.status(200).json({
+      message: 'Return rejected successfully',
+      data: {
+        returnRequest: updated,
+        refund,
+        restockedItems,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ReturnRequestError || error instanceof RefundError) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+      });
+    }
+
+    if (error instanceof PaymentGatewayError) {
+      console.error('Reject return refund gateway error:', error.response);
+      return res.status(502).json({
+        message: error.message,
+      });
+    }
+
+    console.error('Reject return error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default rejectReturn;
@@ -0,0 +1,192 @@
+import { z } from 'zod';
+import Order from './Order.model.js';
+import ReturnRequest, { RETURN_REASONS } from './ReturnRequest.model.js';
+import Settings from '../settings/Settings.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import { uploadImage } from '../../utils/uploadImage.js';
+import { getReturnedQuantities } from './returnService.js';
+
+// Multipart forms send items as a JSON string
+const parseJsonField = value => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const requestReturnSchema = z.object({
+  items: z.preprocess(
+    parseJsonField,
+    z
+      .array(
+        z.object({
+          itemId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid item ID'),
+          quantity: z.number().int().positive('Quantity must be at least 1'),
+          reason: z.enum(RETURN_REASONS),
+          comment: z
+            .string()
+            .trim()
+            .max(500, 'Comment must be less than 500 characters')
+            .optional(),
+        }),
+      )
+      .min(1, 'At least one item is required'),
+  ),
+});
+
+const requestReturn = async (req, res) => {
+  try {
+    // Validate input
+    const validationResult = requestReturnSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { items } = validationResult.data;
+    const { orderNumber } = req.params;
+    const userId = req.user.id;
+    const photos = req.files || [];
+
+    const settings = await Settings.getSettings();
+    const { enabled, windowDays, maxPhotos } = settings.returns;
+
+    if (!enabled) {
+      return res.status(400).json({
+        message: 'Returns are not accepted at the moment',
+      });
+    }
+
+    if (photos.length > maxPhotos) {
+      return res.status(400).json({
+        message: `A return can include at most ${maxPhotos} photo(s)`,
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber, user: userId });
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found',
+      });
+    }
+
+    if (!order.isWithinReturnWindow(windowDays)) {
+      return res.status(400).json({
+        message:
+          order.status === 'delivered'
+            ? `Returns are accepted within ${windowDays} day(s) of delivery`
+            : `Cannot return an order in "${order.status}" status`,
+      });
+    }
+
+    // Units already in another (not rejected) return cannot be requested again
+    const alreadyReturned = await getReturnedQuantities(order._id);
+    const returnItems = [];
+
+    for (const { itemId, quantity, reason, comment } of items) {
+      const item = order.items.id(itemId);
+      if (!item) {
+        return res.status(400).json({
+          message: `Order item ${itemId} not found`,
+        });
+      }
+
+      const available =
+        item.quantity - (alreadyReturned.get(item._id.toString()) || 0);
+      if (quantity > available) {
+        return res.status(400).json({
+          message: `Only ${available} unit(s) of "${item.productSnapshot.name}" can be returned`,
+        });
+      }
+      alreadyReturned.set(
+        item._id.toString(),
+        (alreadyReturned.get(item._id.toString()) || 0) + quantity,
+      );
+
+      returnItems.push({
+        item: item._id,
+        product: item.product,
+        name: item.productSnapshot.name,
+        variant: {
+          color: item.variant?.color,
+          size: item.variant?.size,
+          sku: item.variant?.sku,
+        },
+        quantity,
+        reason,
+        comment,
+      });
+    }
+
+    // Upload photos of the items
+    const uploadedPhotos = [];
+    for (const photo of photos) {
+      const uploadResult = await uploadImage(photo, {
+        folder: 'returns',
+        prefix: 'return',
+        storage: 'local', // Can be changed to 'cloudinary' or 'gcs' in the future
+      });
+
+      if (!uploadResult.success) {
+        return res.status(400).json({
+          message: 'Photo upload failed',
+          errors: uploadResult.errors,
+        });
+      }
+
+      uploadedPhotos.push({
+        url: uploadResult.url,
+        filename: uploadResult.filename,
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      rmaNumber: ReturnRequest.generateRmaNumber(),
+      order: order._id,
+      orderNumber: order.orderNumber,
+      user: userId,
+      items: returnItems,
+      photos: uploadedPhotos,
+      history: [
+        {
+          status: 'requested',
+          note: 'Return requested by customer',
+          updatedBy: userId,
+          timestamp: new Date(),
+        },
+      ],
+    });
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $push: {
+          tracking: {
+            status: order.status,
+            note: `Return ${returnRequest.rmaNumber} requested by customer`,
+            timestamp: new Date(),
+          },
+        },
+      },
+    );
+
+    res.status(201).json({
+      message: 'Return request submitted successfully',
+      data: {
+        returnRequest,
+      },
+    });
+  } catch (error) {
+    console.error('Request return error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default requestReturn;
@@ -0,0 +1,48 @@
+import Product from '../product/Product.model.js';
+import { resolveSalePrice } from '../product/salePricing.js';
+
+/**
+ * Prices request lines from the database for quotes and coupon checks (never trusts client prices)
+ * @param {Array<Object>} items - Lines with productId, quantity and optional variantId
+ * @returns {Promise<Object>} Either { error } or { items, subtotal }; each item has product, quantity, lineTotal, unitWeight and categoryId
+ */
+const resolveQuoteItems = async items => {
+  const resolvedItems = [];
+  let subtotal = 0;
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId);
+    if (!product || !product.isActive) {
+      return {
+        error: `Product with ID "${item.productId}" is no longer available`,
+      };
+    }
+
+    let variant = null;
+    let unitWeight = 0;
+    if (product.hasVariants && item.variantId) {
+      variant = product.getVariantById(item.variantId);
+      if (!variant || !variant.isActive) {
+        return {
+          error: `Selected variant for "${product.name}" is no longer available`,
+        };
+      }
+      unitWeight = variant.weight || 0;
+    }
+
+    const price = resolveSalePrice(product, variant).effectivePrice;
+    const lineTotal = price * item.quantity;
+    subtotal += lineTotal;
+    resolvedItems.push({
+      product: product._id,
+      quantity: item.quantity,
+      lineTotal,
+      unitWeight,
+      categoryId: product.category,
+    });
+  }
+
+  return { items: resolvedItems, subtotal };
+};
+
+export default resolveQuoteItems;
@@ -0,0 +1,210 @@
+import Order from './Order.model.js';
+import ReturnRequest from './ReturnRequest.model.js';
+import runInTransaction from '../../utils/runInTransaction.js';
+import { restoreOrderStock } from '../product/inventoryService.js';
+import { releaseCouponRedemption } from '../cupon/redemptionService.js';
+import { issueRefund } from '../payment/refundService.js';
+
+/**
+ * Thrown when a return request or step does not fit the order or the return's state
+ */
+export class ReturnRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReturnRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Steps an admin can take from each return status
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  rejected: [],
+  received: [],
+};
+
+/**
+ * Units of each order line already covered by returns (rejected ones excluded)
+ * @param {string} orderId - Order ID
+ * @param {Array<string>} [statuses] - Return statuses to count
+ * @returns {Promise<Map<string, number>>} Order item ID -> quantity
+ */
+export const getReturnedQuantities = async (
+  orderId,
+  statuses = ['requested', 'approved', 'received'],
+) => {
+  const returns = await ReturnRequest.find({
+    order: orderId,
+    status: { $in: statuses },
+  }).select('items.item items.quantity');
+
+  const quantities = new Map();
+  returns.forEach(returnRequest =>
+    returnRequest.items.forEach(({ item, quantity }) => {
+      const key = item.toString();
+      quantities.set(key, (quantities.get(key) || 0) + quantity);
+    }),
+  );
+  return quantities;
+};
+
+const returnLines = returnRequest =>
+  returnRequest.items.map(({ item, quantity }) => ({ itemId: item, quantity }));
+
+/**
+ * Moves a return to its next status. Each step can put the returned units back in
+ * stock and refund them (with prorated discounts and tax, see refundService.js);
+ * each of these happens at most once per return.
+ * The status is claimed first, so two admins acting at once cannot both refund.
+ * The refund runs before anything else is written; if it fails the claim is
+ * released and the return is left as it was.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {string} nextStatus - approved, rejected or received
+ * @param {Object} options
+ * @param {string} options.adminUserId - Acting admin/moderator
+ * @param {string} [options.note] - Note for the return history
+ * @param {string} [options.rejectionReason] - Why the return was rejected
+ * @param {boolean} [options.restock] - Put the returned units back in stock
+ * @param {boolean} [options.refund] - Refund the returned units
+ * @param {boolean} [options.refundShipping] - Include the shipping fee in the refund
+ * @returns {Promise<Object>} { returnRequest, order, refund, restockedItems }
+ */
+export const processReturnStep = async (
+  returnRequest,
+  nextStatus,
+  {
+    adminUserId,
+    note,
+    rejectionReason,
+    restock = false,
+    refund = false,
+    refundShipping = false,
+  },
+) => {
+  const previousStatus = returnRequest.status;
+  if (!RETURN_TRANSITIONS[previousStatus].includes(nextStatus)) {
+    throw new ReturnRequestError(
+      `Cannot move return from "${previousStatus}" to "${nextStatus}"`,
+    );
+  }
+  if (refund && returnRequest.refund) {
+    throw new ReturnRequestError('This return has already been refunded');
+  }
+
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: previousStatus },
+    { $set: { status: nextStatus } },
+    { new: true },
+  );
+  if (!claimed) {
+    throw new ReturnRequestError(
+      'Return changed while processing, please try again',
+      409,
+    );
+  }
+
+  let order = await Order.findById(claimed.order);
+  let issuedRefund = null;
+
+  if (refund) {
+    try {
+      const result = await issueRefund(
+        order,
+        { items: returnLines(claimed), shipping: refundShipping },
+        {
+          reason: `Return ${claimed.rmaNumber}${note ? `: ${note}` : ''}`,
+          refundedBy: adminUserId,
+        },
+      );
+      issuedRefund = result.refund;
+      order = result.order;
+    } catch (error) {
+      await ReturnRequest.updateOne(
+        { _id: claimed._id, status: nextStatus },
+        { $set: { status: previousStatus } },
+      );
+      throw error;
+    }
+
+    // The money has left: link the refund now, so it is not lost (or issued
+    // again) if the restock transaction below fails
+    await ReturnRequest.updateOne(
+      { _id: claimed._id },
+      {
+        $set: {
+          refund: issuedRefund._id,
+          refundedAmount: issuedRefund.amount,
+        },
+      },
+    );
+    claimed.refund = issuedRefund._id;
+    claimed.refundedAmount = issuedRefund.amount;
+  }
+
+  const now = new Date();
+  claimed.history.push({
+    status: nextStatus,
+    note: note || `Return ${nextStatus}`,
+    updatedBy: adminUserId,
+    timestamp: now,
+  });
+  if (note) claimed.adminNote = note;
+  if (nextStatus === 'approved') claimed.approvedAt = now;
+  if (nextStatus === 'received') claimed.receivedAt = now;
+  if (nextStatus === 'rejected') {
+    claimed.rejectedAt = now;
+    claimed.rejectionReason = rejectionReason;
+  }
+
+  order.tracking.push({
+    status: order.status,
+    note: `Return ${claimed.rmaNumber} ${nextStatus}${rejectionReason ? `. Reason: ${rejectionReason}` : ''}`,
+    updatedBy: adminUserId,
+    timestamp: now,
+  });
+
+  // Once every unit has come back, the whole order counts as returned
+  let fullyReturned = false;
+  if (nextStatus === 'received' && order.status === 'delivered') {
+    // Includes this return, which the claim above already marked received
+    const received = await getReturnedQuantities(order._id, ['received']);
+    fullyReturned = order.items.every(
+      item => (received.get(item._id.toString()) || 0) >= item.quantity,
+    );
+  }
+  if (fullyReturned) {
+    order.status = 'returned';
+    order.returnedAt = now;
+    // The status change adds its own tracking entry (see Order.model.js)
+    order.returnReason = `Returned in full (${claimed.rmaNumber})`;
+  }
+
+  const shouldRestock = restock && !claimed.restockedAt;
+
+  const restockedItems = await runInTransaction(async session => {
+    const restocked = shouldRestock
+      ? await restoreOrderStock(order, session, returnLines(claimed))
+      : [];
+    if (shouldRestock) {
+      claimed.restockedItems = restocked.map(({ itemId, quantity }) => ({
+        item: itemId,
+        quantity,
+      }));
+      claimed.restockedAt = now;
+    }
+    if (fullyReturned) {
+      await releaseCouponRedemption(order, session, 'returned');
+    }
+    await claimed.save({ session });
+    await order.save({ session });
+    return restocked;
+  });
+
+  return {
+    returnRequest: claimed,
+    order,
+    refund: issuedRefund,
+    restockedItems,
+  };
+};
@@ -0,0 +1,158 @@
+/**
+ * Thrown when an address or method cannot be shipped to under the current settings
+ */
+export class ShippingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShippingError';
+  }
+}
+
+// Used for methods configured without delivery estimates
+const DEFAULT_ESTIMATED_DAYS = { min: 3, max: 5 };
+
+const normalize = value =>
+  String(value || '')
+    .trim()
+    .toLowerCase();
+
+// Zip codes match exactly, or by prefix when the rule ends with "*" (e.g. "12*")
+const matchesZipCode = (rule, postalCode) => {
+  const normalizedRule = normalize(rule);
+  if (normalizedRule.endsWith('*')) {
+    return postalCode.startsWith(normalizedRule.slice(0, -1));
+  }
+  return normalizedRule === postalCode;
+};
+
+/**
+ * Finds the most specific shipping zone for an address (zip code > state > country)
+ * @param {Array<Object>} zones - Settings.shipping.shippingZones
+ * @param {Object} address - Address with country, state and postalCode
+ * @returns {Object|null} Matching zone or null
+ */
+export const resolveShippingZone = (zones = [], address = {}) => {
+  const country = normalize(address.country);
+  const state = normalize(address.state);
+  const postalCode = normalize(address.postalCode);
+
+  const inCountry = zone =>
+    !zone.countries?.length ||
+    zone.countries.some(value => normalize(value) === country);
+
+  const byZipCode = zones.find(
+    zone =>
+      inCountry(zone) &&
+      zone.zipCodes?.some(rule => matchesZipCode(rule, postalCode)),
+  );
+  if (byZipCode) return byZipCode;
+
+  const byState = zones.find(
+    zone =>
+      inCountry(zone) &&
+      !zone.zipCodes?.length &&
+      zone.states?.some(value => normalize(value) === state),
+  );
+  if (byState) return byState;
+
+  return (
+    zones.find(
+      zone =>
+        zone.countries?.length &&
+        inCountry(zone) &&
+        !zone.states?.length &&
+        !zone.zipCodes?.length,
+    ) || null
+  );
+};
+
+/**
+ * Returns the enabled shipping methods. A store without any cannot take orders,
+ * rather than shipping them for free.
+ * @param {Object} shippingSettings - Settings.shipping
+ * @returns {Array<Object>} Enabled methods
+ */
+export const getEnabledShippingMethods = shippingSettings => {
+  const methods = (shippingSettings?.shippingMethods || []).filter(
+    method => method.isEnabled !== false,
+  );
+  if (methods.length === 0) {
+    throw new ShippingError('No shipping methods are available yet');
+  }
+  return methods;
+};
+
+/**
+ * Calculates the shipping cost for a cart from Settings.shipping
+ * @param {Object} params
+ * @param {Object} params.shippingSettings - Settings.shipping
+ * @param {Array<Object>} params.items - Lines with quantity and unitWeight
+ * @param {number} params.subtotal - Merchandise subtotal used for the free shipping threshold
+ * @param {Object} params.address - Destination address
+ * @param {string} [params.method] - Shipping method name (defaults to the first enabled method)
+ * @returns {Object} { method, zone, cost, totalWeight, weightUnit, freeShippingApplied, estimatedDays }
+ */
+export const calculateShipping = ({
+  shippingSettings,
+  items = [],
+  subtotal = 0,
+  address = {},
+  method,
+}) => {
+  const methods = getEnabledShippingMethods(shippingSettings);
+  const selectedMethod = method
+    ? methods.find(m => normalize(m.name) === normalize(method))
+    : methods[0];
+
+  if (!selectedMethod) {
+    throw new ShippingError(`Shipping method "${method}" is not available`);
+  }
+
+  // When zones are configured, only addresses inside a zone can be shipped to
+  const zones = shippingSettings?.shippingZones || [];
+  const zone = resolveShippingZone(zones, address);
+  if (zones.length > 0 && !zone) {
+    throw new ShippingError('We do not ship to this address yet');
+  }
+
+  const totalWeight = items.reduce(
+    (total, item) => total + (item.unitWeight || 0) * item.quantity,
+    0,
+  );
+
+  const threshold = shippingSettings?.freeShippingThreshold || 0;
+  const freeShippingApplied =
+    shippingSettings?.enableShipping === false ||
+    (threshold > 0 && subtotal >= threshold);
+
+  let cost = 0;
+  if (!freeShippingApplied) {
+    cost =
+      (selectedMethod.price || 0) +
+      (zone?.shippingRate || 0) +
+      totalWeight * (selectedMethod.pricePerWeightUnit || 0);
+  }
+
+  return {
+    method: selectedMethod.name,
+    zone: zone?.name || null,
+    cost: Math.round(cost * 100) / 100,
+    totalWeight,
+    weightUnit: shippingSettings?.weightUnit || 'kg',
+    freeShippingApplied,
+    estimatedDays: selectedMethod.estimatedDays || DEFAULT_ESTIMATED_DAYS,
+  };
+};
+
+/**
+ * Estimated delivery date from a method's estimated days
+ * @param {Object} estimatedDays - { min, max }
+ * @returns {Date} Estimated delivery date
+ */
+export const calculateEstimatedDelivery = (estimatedDays = {}) => {
+  const days = estimatedDays.max ?? estimatedDays.min ?? 5;
+  const estimatedDate = new Date();
+  estimatedDate.setDate(estimatedDate.getDate() + days);
+
+  return estimatedDate;
+};
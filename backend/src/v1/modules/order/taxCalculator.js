@@ -0,0 +1,134 @@
+const normalize = value =>
+  String(value || '')
+    .trim()
+    .toLowerCase();
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Resolves the tax rate for a line: tax class (by category) > state rate > country rate > default rate
+ * @param {Object} taxSettings - Settings.financial.taxSettings
+ * @param {Object} params
+ * @param {Object} params.address - Destination address with country and state
+ * @param {string} [params.categoryId] - Category of the product
+ * @returns {Object} { rate, taxClass }
+ */
+export const resolveTaxRate = (taxSettings, { address = {}, categoryId }) => {
+  if (categoryId) {
+    const taxClass = (taxSettings?.taxClasses || []).find(candidate =>
+      candidate.categories?.some(id => id.toString() === categoryId.toString()),
+    );
+    if (taxClass) {
+      return { rate: taxClass.rate, taxClass: taxClass.name };
+    }
+  }
+
+  const country = normalize(address.country);
+  const state = normalize(address.state);
+  const regionalRates = taxSettings?.regionalRates || [];
+
+  const stateRate = regionalRates.find(
+    region =>
+      region.state &&
+      normalize(region.state) === state &&
+      (!region.country || normalize(region.country) === country),
+  );
+  if (stateRate) return { rate: stateRate.rate, taxClass: null };
+
+  const countryRate = regionalRates.find(
+    region =>
+      !region.state && region.country && normalize(region.country) === country,
+  );
+  if (countryRate) return { rate: countryRate.rate, taxClass: null };
+
+  return { rate: taxSettings?.taxRate || 0, taxClass: null };
+};
+
+/**
+ * Calculates tax per line from Settings.financial.taxSettings.
+ * A line's promotionDiscount and own couponDiscount are taken off before taxing; without a
+ * line couponDiscount the order-level discount is prorated across lines by line total.
+ * With tax-inclusive pricing the tax is extracted from the price instead of added.
+ * @param {Object} params
+ * @param {Object} params.taxSettings - Settings.financial.taxSettings
+ * @param {Array<Object>} params.items - Lines with lineTotal and optional categoryId, promotionDiscount and couponDiscount
+ * @param {Object} params.address - Destination address
+ * @param {number} [params.discount] - Order-level discount (e.g. coupon) to prorate
+ * @returns {Object} { amount, label, inclusive, lines, breakdown }
+ */
+export const calculateTax = ({
+  taxSettings,
+  items = [],
+  address = {},
+  discount = 0,
+}) => {
+  const label = taxSettings?.taxLabel || 'Tax';
+  const inclusive = Boolean(taxSettings?.taxInclusive);
+
+  if (taxSettings?.enableTax === false) {
+    return {
+      amount: 0,
+      label,
+      inclusive,
+      lines: items.map(() => ({ rate: 0, taxClass: null, amount: 0 })),
+      breakdown: [],
+    };
+  }
+
+  const merchandiseTotal = items.reduce(
+    (total, item) => total + item.lineTotal,
+    0,
+  );
+
+  const lines = items.map(item => {
+    const share = merchandiseTotal > 0 ? item.lineTotal / merchandiseTotal : 0;
+    const lineDiscount =
+      (item.promotionDiscount || 0) + (item.couponDiscount ?? discount * share);
+    const taxableAmount = Math.max(0, item.lineTotal - lineDiscount);
+    const { rate, taxClass } = resolveTaxRate(taxSettings, {
+      address,
+      categoryId: item.categoryId,
+    });
+
+    const amount = inclusive
+      ? taxableAmount - taxableAmount / (1 + rate / 100)
+      : (taxableAmount * rate) / 100;
+
+    return {
+      rate,
+      taxClass,
+      taxableAmount: round(taxableAmount),
+      amount: round(amount),
+    };
+  });
+
+  // Group lines by rate for the order's tax breakdown
+  const breakdown = [];
+  lines.forEach(line => {
+    if (line.rate === 0) return;
+
+    const lineLabel = line.taxClass ? `${label} (${line.taxClass})` : label;
+    const group = breakdown.find(
+      entry => entry.rate === line.rate && entry.label === lineLabel,
+    );
+    if (group) {
+      group.taxableAmount = round(group.taxableAmount + line.taxableAmount);
+      group.amount = round(group.amount + line.amount);
+    } else {
+      breakdown.push({
+        label: lineLabel,
+        rate: line.rate,
+        taxableAmount: line.taxableAmount,
+        amount: line.amount,
+      });
+    }
+  });
+
+  return {
+    amount: round(lines.reduce((total, line) => total + line.amount, 0)),
+    label,
+    inclusive,
+    lines,
+    breakdown,
+  };
+};
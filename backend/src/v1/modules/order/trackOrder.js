@@ -1,4 +1,6 @@
 import Order from './Order.model.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+import { hasPermission } from '../../utils/permissions.js';
 
 const trackOrder = async (req, res) => {
   try {
@@ -8,8 +10,8 @@ const trackOrder = async (req, res) => {
     // Build query - allow tracking by order number for both users and guests
     const query = { orderNumber };
 
-    // If user is logged in and not admin, restrict to their orders
-    if (userId && !req.user.role?.includes('admin')) {
+    // If user is logged in without orders.read, restrict to their orders
+    if (userId && !hasPermission(req.user, PERMISSIONS.ORDERS_READ)) {
       query.user = userId;
     }
 
@@ -1,6 +1,20 @@
 import { z } from 'zod';
 import Order from './Order.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import runInTransaction from '../../utils/runInTransaction.js';
+import { restoreOrderStock } from '../product/inventoryService.js';
+import { releaseCouponRedemption } from '../cupon/redemptionService.js';
+import {
+  formatRefundForResponse,
+  issueRefund,
+} from '../payment/refundService.js';
+import {
+  hasOrderStatusEmail,
+  sendOrderStatusEmail,
+} from './orderNotifications.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { orderWebhookData } from '../webhook/webhookPayloads.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 const updateOrderStatusSchema = z.object({
   status: z.enum([
@@ -18,6 +32,22 @@ const updateOrderStatusSchema = z.object({
   carrier: z.string().optional(),
   cancelReason: z.string().optional(),
   returnReason: z.string().optional(),
+  // Returned goods can be kept out of stock (e.g. damaged items)
+  restock: z.boolean().default(true),
+  // Cancelled and returned orders refund what is left of the payment unless told otherwise
+  refund: z.boolean().default(true),
+});
+
+// What a status change can touch, for the audit log
+const auditSnapshot = order => ({
+  status: order.status,
+  shipping: {
+    trackingNumber: order.shipping?.trackingNumber,
+    carrier: order.shipping?.carrier,
+  },
+  payment: { status: order.payment?.status },
+  cancellationReason: order.cancellationReason,
+  returnReason: order.returnReason,
 });
 
 const updateOrderStatus = async (req, res) => {
@@ -38,6 +68,8 @@ const updateOrderStatus = async (req, res) => {
       carrier,
       cancelReason,
       returnReason,
+      restock,
+      refund,
     } = validationResult.data;
     const { orderNumber } = req.params;
     const adminUserId = req.user.id;
@@ -69,6 +101,7 @@ const updateOrderStatus = async (req, res) => {
     }
 
     // Update order status
+    const before = auditSnapshot(order);
     const previousStatus = order.status;
     order.status = status;
 
@@ -102,6 +135,7 @@ const updateOrderStatus = async (req, res) => {
         if (order.payment.method === 'cash_on_delivery') {
           order.payment.status = 'completed';
           order.payment.paidAt = new Date();
+          order.payment.capturedAmount = order.pricing.total;
         }
         break;
 
@@ -110,12 +144,6 @@ const updateOrderStatus = async (req, res) => {
         if (cancelReason) {
           order.cancellationReason = cancelReason;
         }
-        // Handle refund for paid orders
-        if (['completed', 'processing'].includes(order.payment.status)) {
-          order.payment.status = 'refunded';
-          order.payment.refundedAt = new Date();
-          order.payment.refundAmount = order.pricing.total;
-        }
         break;
 
       case 'returned':
@@ -123,10 +151,6 @@ const updateOrderStatus = async (req, res) => {
         if (returnReason) {
           order.returnReason = returnReason;
         }
-        // Process refund
-        order.payment.status = 'refunded';
-        order.payment.refundedAt = new Date();
-        order.payment.refundAmount = order.pricing.total;
         break;
 
       case 'confirmed':
@@ -134,11 +158,67 @@ const updateOrderStatus = async (req, res) => {
         break;
     }
 
-    await order.save();
+    // Cancelled orders always release stock; returns unless told otherwise
+    const shouldRestock =
+      status === 'cancelled' || (status === 'returned' && restock);
+
+    const restockedItems = await runInTransaction(async session => {
+      const restocked = shouldRestock
+        ? await restoreOrderStock(order, session)
+        : [];
+      // Cancelled and returned orders give the coupon use back to the customer
+      if (['cancelled', 'returned'].includes(status)) {
+        await releaseCouponRedemption(order, session, status);
+      }
+      await order.save({ session });
+      return restocked;
+    });
+
+    // Let the customer know (refund emails are sent by issueRefund, after this one)
+    if (hasOrderStatusEmail(status)) {
+      await sendOrderStatusEmail(order, status);
+    }
+
+    // Refund the rest of the payment: online payments through the gateway,
+    // others (e.g. cash on delivery) recorded as a manual refund
+    let refundInfo = null;
+    if (
+      refund &&
+      ['cancelled', 'returned'].includes(status) &&
+      order.payment.status === 'completed'
+    ) {
+      try {
+        const { refund: issuedRefund } = await issueRefund(
+          order,
+          { full: true },
+          {
+            reason:
+              (status === 'cancelled' ? cancelReason : returnReason) ||
+              `Order ${status}`,
+            refundedBy: adminUserId,
+          },
+        );
+        refundInfo = formatRefundForResponse(issuedRefund);
+      } catch (error) {
+        // The status change stands; the refund can be retried from the payments API
+        console.error('Update order status refund error:', error);
+        refundInfo = { status: 'failed', message: error.message };
+      }
+    }
+
+    emitWebhookEvent(
+      status === 'cancelled' ? 'order.cancelled' : 'order.updated',
+      orderWebhookData(order),
+    );
 
-    // TODO: Send notification email to customer
-    // TODO: Update inventory for cancelled/returned orders
-    // TODO: Process actual refund for payment gateway
+    await recordAuditLog(req, {
+      action: 'order.status',
+      entityType: 'order',
+      entityId: order._id,
+      entityLabel: order.orderNumber,
+      before,
+      after: auditSnapshot(order),
+    });
 
     // Populate order for response
     await order.populate([
@@ -161,6 +241,9 @@ const updateOrderStatus = async (req, res) => {
           currentStatus: order.status,
           tracking: order.tracking,
           shippingInfo: order.shipping,
+          restockedItems,
+          refund: refundInfo,
+          refundStatus: order.refundStatus,
           timestamps: {
             placedAt: order.placedAt,
             confirmedAt: order.confirmedAt,
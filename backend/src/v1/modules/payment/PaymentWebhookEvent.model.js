@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One document per gateway webhook event; the unique index makes each event apply once
+const paymentWebhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, trim: true },
+    eventId: { type: String, required: true, trim: true },
+    type: { type: String, trim: true },
+    gatewayPaymentId: { type: String, trim: true },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    orderNumber: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ['processing', 'processed', 'ignored', 'failed'],
+      default: 'processing',
+    },
+    // What the event did: applied, no_change (already applied or stale), or why it was ignored
+    outcome: { type: String, trim: true },
+    error: String,
+    payload: mongoose.Schema.Types.Mixed,
+    attempts: { type: Number, default: 1, min: 1 },
+    processedAt: Date,
+  },
+  { timestamps: true },
+);
+
+paymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentWebhookEventSchema.index({ order: 1, createdAt: -1 });
+
+const PaymentWebhookEvent = mongoose.model(
+  'PaymentWebhookEvent',
+  paymentWebhookEventSchema,
+);
+export default PaymentWebhookEvent;
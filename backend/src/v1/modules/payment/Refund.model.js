@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Order lines covered by a refund, with the discounts and tax prorated onto them
+const refundLineSchema = new mongoose.Schema(
+  {
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order item _id
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    quantity: { type: Number, required: true, min: 1 },
+    grossAmount: { type: Number, default: 0 }, // Line price share before discounts
+    promotionDiscount: { type: Number, default: 0 },
+    couponDiscount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    amount: { type: Number, required: true, min: 0 }, // What the customer gets back for these units
+  },
+  { _id: false },
+);
+
+// One document per refund issued against an order (the refund ledger)
+const refundSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    orderNumber: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    lines: [refundLineSchema],
+    shippingAmount: { type: Number, default: 0, min: 0 },
+    // Part of the amount not tied to lines or shipping (goodwill, rounding of a full refund)
+    adjustmentAmount: { type: Number, default: 0, min: 0 },
+    reason: { type: String, required: true, trim: true },
+    // gateway: sent back through the payment gateway; manual: cash, bank transfer, etc.
+    method: {
+      type: String,
+      enum: ['gateway', 'manual'],
+      required: true,
+    },
+    gateway: { type: String, trim: true },
+    gatewayRefundId: { type: String, trim: true },
+    reference: { type: String, trim: true }, // Receipt or transfer reference for manual refunds
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending',
+    },
+    failureReason: String,
+    gatewayResponse: mongoose.Schema.Types.Mixed,
+    // Who issued it; null when the system refunded on the customer's behalf
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    completedAt: Date,
+  },
+  { timestamps: true },
+);
+
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+export default Refund;
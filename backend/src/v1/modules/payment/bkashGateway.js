@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import {
+  PaymentGatewayError,
+  WebhookSignatureError,
+  readGatewayConfig,
+  requestGateway,
+} from './paymentGateway.js';
+
+// bKash Tokenized Checkout (https://developer.bka.sh)
+const getConfig = () => ({
+  ...readGatewayConfig('bKash', {
+    appKey: 'BKASH_APP_KEY',
+    appSecret: 'BKASH_APP_SECRET',
+    username: 'BKASH_USERNAME',
+    password: 'BKASH_PASSWORD',
+  }),
+  baseUrl:
+    process.env.BKASH_BASE_URL ||
+    'https://tokenized.sandbox.bka.sh/v1.2.0-beta',
+});
+
+// Grant tokens are valid for an hour; reuse one until shortly before it expires
+let cachedToken = null;
+
+const getToken = async config => {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.idToken;
+  }
+
+  const data = await requestGateway(
+    `${config.baseUrl}/tokenized/checkout/token/grant`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        username: config.username,
+        password: config.password,
+      },
+      body: JSON.stringify({
+        app_key: config.appKey,
+        app_secret: config.appSecret,
+      }),
+    },
+  );
+
+  if (!data?.id_token) {
+    throw new PaymentGatewayError(
+      data?.statusMessage || 'bKash token grant failed',
+      data,
+    );
+  }
+
+  cachedToken = {
+    idToken: data.id_token,
+    expiresAt: Date.now() + ((data.expires_in || 3600) - 60) * 1000,
+  };
+  return cachedToken.idToken;
+};
+
+const callApi = async (path, body) => {
+  const config = getConfig();
+  const idToken = await getToken(config);
+
+  return requestGateway(`${config.baseUrl}/tokenized/checkout${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      Authorization: idToken,
+      'X-APP-Key': config.appKey,
+    },
+    body: JSON.stringify(body),
+  });
+};
+
+// Maps a bKash payment (execute or status response) to a verification result
+const toVerification = data => {
+  if (data?.transactionStatus === 'Completed') {
+    return {
+      status: 'completed',
+      transactionId: data.trxID,
+      amount: parseFloat(data.amount),
+      response: data,
+    };
+  }
+
+  if (['Initiated', 'Pending Authorized'].includes(data?.transactionStatus)) {
+    return { status: 'pending', response: data };
+  }
+
+  return {
+    status: 'failed',
+    reason: data?.statusMessage || 'bKash payment was not completed',
+    response: data,
+  };
+};
+
+// bKash delivers webhooks through AWS SNS; messages are signed with an SNS certificate
+const SNS_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+const SNS_SIGNED_FIELDS = {
+  Notification: [
+    'Message',
+    'MessageId',
+    'Subject',
+    'Timestamp',
+    'TopicArn',
+    'Type',
+  ],
+  SubscriptionConfirmation: [
+    'Message',
+    'MessageId',
+    'SubscribeURL',
+    'Timestamp',
+    'Token',
+    'TopicArn',
+    'Type',
+  ],
+};
+const snsCertificates = new Map();
+
+const getSnsCertificate = async url => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'https:' || !SNS_CERT_HOST.test(hostname)) {
+    throw new WebhookSignatureError('Untrusted signing certificate URL');
+  }
+
+  if (!snsCertificates.has(url)) {
+    let response;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+    } catch (error) {
+      throw new PaymentGatewayError(
+        `SNS signing certificate is unreachable: ${error.message}`,
+      );
+    }
+    if (!response.ok) {
+      throw new PaymentGatewayError('SNS signing certificate is unavailable');
+    }
+    snsCertificates.set(url, await response.text());
+  }
+  return snsCertificates.get(url);
+};
+
+const verifySnsMessage = async message => {
+  const fields = SNS_SIGNED_FIELDS[message.Type];
+  if (!fields || !message.Signature || !message.SigningCertURL) {
+    throw new WebhookSignatureError();
+  }
+
+  const stringToSign = fields
+    .filter(field => message[field] !== undefined)
+    .map(field => `${field}\n${message[field]}\n`)
+    .join('');
+  const certificate = await getSnsCertificate(message.SigningCertURL);
+  const valid = crypto
+    .createVerify(message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1')
+    .update(stringToSign)
+    .verify(certificate, message.Signature, 'base64');
+
+  if (!valid) {
+    throw new WebhookSignatureError();
+  }
+};
+
+const bkashGateway = {
+  name: 'bkash',
+
+  async createIntent({ order, amount, callbackUrl }) {
+    const data = await callApi('/create', {
+      mode: '0011',
+      payerReference: order.shippingAddress?.phone || order.orderNumber,
+      callbackURL: callbackUrl,
+      amount: amount.toFixed(2),
+      currency: 'BDT',
+      intent: 'sale',
+      merchantInvoiceNumber: order.orderNumber,
+    });
+
+    if (!data?.paymentID || !data?.bkashURL) {
+      throw new PaymentGatewayError(
+        data?.statusMessage || 'bKash payment could not be created',
+        data,
+      );
+    }
+
+    return {
+      gatewayPaymentId: data.paymentID,
+      redirectUrl: data.bkashURL,
+      response: data,
+    };
+  },
+
+  parseCallback(params) {
+    return {
+      gatewayPaymentId: params.paymentID,
+      status: ['success', 'failure', 'cancel'].includes(params.status)
+        ? params.status
+        : 'failure',
+      params,
+    };
+  },
+
+  async verify({ gatewayPaymentId, callback }) {
+    // A successful callback must be executed once to capture the payment;
+    // anything else (or an already executed payment) is checked by status query
+    if (callback?.status === 'success') {
+      const executed = await callApi('/execute', {
+        paymentID: gatewayPaymentId,
+      });
+      if (executed?.transactionStatus) {
+        return toVerification(executed);
+      }
+    }
+
+    const data = await callApi('/payment/status', {
+      paymentID: gatewayPaymentId,
+    });
+    return toVerification(data);
+  },
+
+  async refund({ payment, amount, reason }) {
+    const data = await callApi('/payment/refund', {
+      paymentID: payment.gatewayPaymentId,
+      trxID: payment.transactionId,
+      amount: amount.toFixed(2),
+      sku: 'order',
+      reason: (reason || 'Refund').slice(0, 255),
+    });
+
+    if (data?.transactionStatus !== 'Completed' || !data?.refundTrxID) {
+      throw new PaymentGatewayError(
+        data?.statusMessage || 'bKash refund failed',
+        data,
+      );
+    }
+
+    return {
+      refundId: data.refundTrxID,
+      amount: parseFloat(data.amount),
+      response: data,
+    };
+  },
+
+  async parseWebhook({ rawBody }) {
+    // Any AWS topic can produce a valid SNS signature, so only ours is accepted
+    const { topicArn } = readGatewayConfig('bKash webhook', {
+      topicArn: 'BKASH_WEBHOOK_TOPIC_ARN',
+    });
+
+    let message;
+    try {
+      message = JSON.parse(rawBody.toString());
+    } catch {
+      throw new WebhookSignatureError('Malformed webhook body');
+    }
+
+    await verifySnsMessage(message);
+    if (message.TopicArn !== topicArn) {
+      throw new WebhookSignatureError('Unexpected webhook topic');
+    }
+
+    if (message.Type === 'SubscriptionConfirmation') {
+      await requestGateway(message.SubscribeURL);
+      return { eventId: message.MessageId, type: message.Type, result: null };
+    }
+
+    const payment = JSON.parse(message.Message);
+    return {
+      eventId: message.MessageId,
+      type: payment.transactionStatus,
+      gatewayPaymentId: payment.paymentID,
+      orderNumber: payment.merchantInvoiceNumber,
+      result: toVerification(payment),
+    };
+  },
+};
+
+export default bkashGateway;
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import {
+  PaymentGatewayError,
+  WebhookSignatureError,
+  readGatewayConfig,
+  requestGateway,
+  signaturesMatch,
+} from './paymentGateway.js';
+
+// Card payments through the SSLCommerz hosted checkout (v4)
+const getConfig = () => ({
+  ...readGatewayConfig('Card gateway', {
+    storeId: 'SSLCOMMERZ_STORE_ID',
+    storePassword: 'SSLCOMMERZ_STORE_PASSWORD',
+  }),
+  baseUrl: process.env.SSLCOMMERZ_BASE_URL || 'https://sandbox.sslcommerz.com',
+  currency: process.env.PAYMENT_CURRENCY || 'BDT',
+});
+
+const validatorUrl = (config, script, params) =>
+  `${config.baseUrl}/validator/api/${script}?${new URLSearchParams({
+    ...params,
+    store_id: config.storeId,
+    store_passwd: config.storePassword,
+    format: 'json',
+  })}`;
+
+const md5 = value => crypto.createHash('md5').update(value).digest('hex');
+
+// Maps an SSLCommerz validation record to a verification result
+const toVerification = (data, gatewayPaymentId) => {
+  if (['VALID', 'VALIDATED'].includes(data?.status)) {
+    if (data.tran_id !== gatewayPaymentId) {
+      return {
+        status: 'failed',
+        reason: 'Card payment does not belong to this order',
+        response: data,
+      };
+    }
+
+    return {
+      status: 'completed',
+      transactionId: data.bank_tran_id,
+      amount: parseFloat(data.amount),
+      response: data,
+    };
+  }
+
+  if (['PENDING', 'UNATTEMPTED'].includes(data?.status)) {
+    return { status: 'pending', response: data };
+  }
+
+  return {
+    status: 'failed',
+    reason: data?.error || `Card payment ${data?.status || 'failed'}`,
+    response: data,
+  };
+};
+
+const cardGateway = {
+  name: 'card',
+
+  async createIntent({ order, amount, callbackUrl }) {
+    const config = getConfig();
+    const tranId = `${order.orderNumber}-${(order.payment?.attempts || 0) + 1}`;
+    const address = order.shippingAddress || {};
+
+    const data = await requestGateway(
+      `${config.baseUrl}/gwprocess/v4/api.php`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          store_id: config.storeId,
+          store_passwd: config.storePassword,
+          total_amount: amount.toFixed(2),
+          currency: config.currency,
+          tran_id: tranId,
+          // The gateway posts the outcome back; one callback handles all three
+          success_url: callbackUrl,
+          fail_url: callbackUrl,
+          cancel_url: callbackUrl,
+          cus_name: address.fullName || 'Customer',
+          cus_email:
+            address.email || order.guestEmail || 'customer@example.com',
+          cus_phone: address.phone || order.guestPhone || '',
+          cus_add1: address.street || '',
+          cus_city: address.city || '',
+          cus_postcode: address.postalCode || '',
+          cus_country: address.country || 'Bangladesh',
+          shipping_method: 'NO',
+          product_name: `Order ${order.orderNumber}`,
+          product_category: 'general',
+          product_profile: 'general',
+        }),
+      },
+    );
+
+    if (data?.status !== 'SUCCESS' || !data?.GatewayPageURL) {
+      throw new PaymentGatewayError(
+        data?.failedreason || 'Card payment could not be created',
+        data,
+      );
+    }
+
+    return {
+      gatewayPaymentId: tranId,
+      redirectUrl: data.GatewayPageURL,
+      response: data,
+    };
+  },
+
+  parseCallback(params) {
+    let status = 'failure';
+    if (params.status === 'VALID') status = 'success';
+    else if (params.status === 'CANCELLED') status = 'cancel';
+
+    return { gatewayPaymentId: params.tran_id, status, params };
+  },
+
+  async verify({ gatewayPaymentId, callback }) {
+    const config = getConfig();
+
+    // Validate the callback's val_id; without one, look the transaction up by ID
+    if (callback?.params?.val_id) {
+      const data = await requestGateway(
+        validatorUrl(config, 'validationserverAPI.php', {
+          val_id: callback.params.val_id,
+        }),
+      );
+      return toVerification(data, gatewayPaymentId);
+    }
+
+    const data = await requestGateway(
+      validatorUrl(config, 'merchantTransIDvalidationAPI.php', {
+        tran_id: gatewayPaymentId,
+      }),
+    );
+    const records = data?.element || [];
+    const validRecord = records.find(record =>
+      ['VALID', 'VALIDATED'].includes(record.status),
+    );
+    return toVerification(validRecord || records[0] || data, gatewayPaymentId);
+  },
+
+  async refund({ payment, amount, reason }) {
+    const config = getConfig();
+    const data = await requestGateway(
+      validatorUrl(config, 'merchantTransIDvalidationAPI.php', {
+        bank_tran_id: payment.transactionId,
+        refund_trans_id: `${payment.gatewayPaymentId}-R${Date.now()}`,
+        refund_amount: amount.toFixed(2),
+        refund_remarks: (reason || 'Refund').slice(0, 255),
+      }),
+    );
+
+    if (data?.APIConnect !== 'DONE' || data?.status !== 'success') {
+      throw new PaymentGatewayError(
+        data?.errorReason || 'Card refund failed',
+        data,
+      );
+    }
+
+    return { refundId: data.refund_ref_id, amount, response: data };
+  },
+
+  // IPN: a form post signed with verify_sign, the MD5 of the fields named in
+  // verify_key plus the MD5 of the store password, sorted and joined as key=value&...
+  async parseWebhook({ rawBody }) {
+    const config = getConfig();
+    const params = Object.fromEntries(new URLSearchParams(rawBody.toString()));
+
+    if (!params.verify_sign || !params.verify_key) {
+      throw new WebhookSignatureError();
+    }
+
+    const signed = { store_passwd: md5(config.storePassword) };
+    for (const key of params.verify_key.split(',')) {
+      signed[key] = params[key] ?? '';
+    }
+    const hashString = Object.keys(signed)
+      .sort()
+      .map(key => `${key}=${signed[key]}`)
+      .join('&');
+
+    if (!signaturesMatch(params.verify_sign, md5(hashString))) {
+      throw new WebhookSignatureError();
+    }
+
+    return {
+      // IPNs carry no event ID; a validation ID is unique per successful payment
+      eventId: params.val_id || `${params.tran_id}:${params.status}`,
+      type: params.status,
+      gatewayPaymentId: params.tran_id,
+      // Transaction IDs are <orderNumber>-<attempt>
+      orderNumber: params.tran_id?.replace(/-\d+$/, ''),
+      result: toVerification(params, params.tran_id),
+    };
+  },
+};
+
+export default cardGateway;
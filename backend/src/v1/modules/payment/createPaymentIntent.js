@@ -0,0 +1,106 @@
+import Order from '../order/Order.model.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+import { hasPermission } from '../../utils/permissions.js';
+import { getGatewayForMethod } from './gatewayRegistry.js';
+import { PaymentGatewayError } from './paymentGateway.js';
+import { buildCallbackUrl } from './paymentService.js';
+
+const createPaymentIntent = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+
+    // Customers can only pay their own orders
+    const query = { orderNumber };
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_UPDATE)) {
+      query.user = req.user.id;
+    }
+
+    const order = await Order.findOne(query);
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found',
+      });
+    }
+
+    const gateway = getGatewayForMethod(order.payment?.method);
+    if (!gateway) {
+      return res.status(400).json({
+        message: `Payment method "${order.payment?.method}" is not paid online`,
+      });
+    }
+
+    if (['cancelled', 'returned'].includes(order.status)) {
+      return res.status(400).json({
+        message: `Cannot pay for an order in "${order.status}" status`,
+      });
+    }
+
+    if (['completed', 'refunded'].includes(order.payment.status)) {
+      return res.status(409).json({
+        message: 'Order is already paid',
+      });
+    }
+
+    const amount = order.pricing.total;
+    const intent = await gateway.createIntent({
+      order,
+      amount,
+      currency: process.env.PAYMENT_CURRENCY || 'BDT',
+      callbackUrl: buildCallbackUrl(gateway.name, req),
+      clientIp: req.ip,
+    });
+
+    // Guarded so an attempt never replaces a payment completed meanwhile
+    const updatedOrder = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        'payment.status': { $in: ['pending', 'processing', 'failed'] },
+      },
+      {
+        $set: {
+          'payment.status': 'processing',
+          'payment.gateway': gateway.name,
+          'payment.gatewayPaymentId': intent.gatewayPaymentId,
+          'payment.gatewayResponse': intent.response,
+          'payment.intentCreatedAt': new Date(),
+        },
+        $unset: { 'payment.failureReason': '' },
+        $inc: { 'payment.attempts': 1 },
+      },
+      { new: true },
+    );
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        message: 'Order is already paid',
+      });
+    }
+
+    res.status(201).json({
+      message: 'Payment initiated successfully',
+      data: {
+        orderNumber: order.orderNumber,
+        gateway: gateway.name,
+        paymentId: intent.gatewayPaymentId,
+        redirectUrl: intent.redirectUrl,
+        amount,
+        attempt: updatedOrder.payment.attempts,
+      },
+    });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      console.error('Create payment intent gateway error:', error.response);
+      return res.status(502).json({
+        message: error.message,
+      });
+    }
+
+    console.error('Create payment intent error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default createPaymentIntent;
@@ -0,0 +1,61 @@
+import bkashGateway from './bkashGateway.js';
+import nagadGateway from './nagadGateway.js';
+import cardGateway from './cardGateway.js';
+import mockGateway from './mockGateway.js';
+import { PaymentGatewayError } from './paymentGateway.js';
+
+const gateways = {
+  bkash: bkashGateway,
+  nagad: nagadGateway,
+  card: cardGateway,
+  mock: mockGateway,
+};
+
+// Order payment methods that are paid online, and the adapter that handles each
+const ONLINE_PAYMENT_METHODS = {
+  bkash: 'bkash',
+  nagad: 'nagad',
+  card: 'card',
+};
+
+// PAYMENT_GATEWAY=mock routes every online payment through the mock gateway
+const useMockGateway = () => {
+  if (process.env.PAYMENT_GATEWAY !== 'mock') return false;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new PaymentGatewayError(
+      'The mock payment gateway cannot be used in production',
+    );
+  }
+  return true;
+};
+
+/**
+ * Checks whether an order payment method is paid through a gateway
+ * @param {string} method - Order payment method
+ * @returns {boolean} True for online payment methods
+ */
+export const isOnlinePaymentMethod = method =>
+  Boolean(ONLINE_PAYMENT_METHODS[method]);
+
+/**
+ * Returns the gateway adapter for an order payment method
+ * @param {string} method - Order payment method
+ * @returns {Object|null} Gateway adapter, or null if the method is not paid online
+ */
+export const getGatewayForMethod = method => {
+  if (!isOnlinePaymentMethod(method)) return null;
+  return useMockGateway()
+    ? mockGateway
+    : gateways[ONLINE_PAYMENT_METHODS[method]];
+};
+
+/**
+ * Returns a gateway adapter by name (as used in callback URLs)
+ * @param {string} name - Gateway name
+ * @returns {Object|null} Gateway adapter, or null if unknown or disabled
+ */
+export const getGatewayByName = name => {
+  if (name === 'mock' && !useMockGateway()) return null;
+  return gateways[name] || null;
+};
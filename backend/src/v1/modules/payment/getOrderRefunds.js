@@ -0,0 +1,55 @@
+import Order from '../order/Order.model.js';
+import Refund from './Refund.model.js';
+import {
+  formatRefundForResponse,
+  refundableAmountOf,
+} from './refundService.js';
+
+// Refund ledger of one order, with what can still be refunded per line
+const getOrderRefunds = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found',
+      });
+    }
+
+    const refunds = await Refund.find({ order: order._id })
+      .populate('refundedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: 'Refunds retrieved successfully',
+      data: {
+        orderNumber: order.orderNumber,
+        refundStatus: order.refundStatus,
+        refundedAmount: order.payment?.refundAmount || 0,
+        refundableAmount: refundableAmountOf(order),
+        refundableShipping: Math.max(
+          0,
+          (order.pricing.shippingCost || 0) -
+            (order.payment?.refundedShipping || 0),
+        ),
+        items: order.items.map(item => ({
+          itemId: item._id,
+          name: item.productSnapshot.name,
+          quantity: item.quantity,
+          refundedQuantity: item.refundedQuantity || 0,
+          refundedAmount: item.refundedAmount || 0,
+        })),
+        refunds: refunds.map(formatRefundForResponse),
+      },
+    });
+  } catch (error) {
+    console.error('Get order refunds error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getOrderRefunds;
@@ -0,0 +1,64 @@
+import { getGatewayByName } from './gatewayRegistry.js';
+import { applyPaymentResult, findOrderForPayment } from './paymentService.js';
+
+// Customers land on this storefront page after paying
+const resultUrl = (params = {}) =>
+  `${process.env.WEBSITE_URL || 'http://localhost:3000'}/checkout/payment-result?${new URLSearchParams(params)}`;
+
+// Gateways send the customer back here (GET redirect or form POST), never trusted
+// on its own: successful callbacks are verified with the gateway before applying
+const handlePaymentCallback = async (req, res) => {
+  try {
+    const gateway = getGatewayByName(req.params.provider);
+    if (!gateway) {
+      return res.status(404).json({
+        message: 'Unknown payment gateway',
+      });
+    }
+
+    const callback = gateway.parseCallback({ ...req.query, ...req.body });
+    if (!callback.gatewayPaymentId) {
+      return res.redirect(resultUrl({ status: 'failed' }));
+    }
+
+    const order = await findOrderForPayment(
+      gateway.name,
+      callback.gatewayPaymentId,
+    );
+
+    if (!order) {
+      return res.redirect(resultUrl({ status: 'failed' }));
+    }
+
+    const result =
+      callback.status === 'success'
+        ? await gateway.verify({
+            gatewayPaymentId: callback.gatewayPaymentId,
+            callback,
+            payment: order.payment,
+            amount: order.pricing.total,
+          })
+        : {
+            status: 'failed',
+            reason:
+              callback.status === 'cancel'
+                ? 'Payment cancelled by customer'
+                : 'Payment was not completed',
+            response: callback.params,
+          };
+
+    const { order: updatedOrder } = await applyPaymentResult(order, result);
+
+    res.redirect(
+      resultUrl({
+        orderNumber: updatedOrder.orderNumber,
+        status: updatedOrder.payment.status,
+      }),
+    );
+  } catch (error) {
+    console.error('Payment callback error:', error);
+    res.redirect(resultUrl({ status: 'error' }));
+  }
+};
+
+export default handlePaymentCallback;
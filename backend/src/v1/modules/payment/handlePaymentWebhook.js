@@ -0,0 +1,195 @@
+import PaymentWebhookEvent from './PaymentWebhookEvent.model.js';
+import { getGatewayByName } from './gatewayRegistry.js';
+import {
+  PaymentGatewayError,
+  WebhookSignatureError,
+} from './paymentGateway.js';
+import { applyPaymentResult, findOrderForPayment } from './paymentService.js';
+
+// An event stuck in processing this long (e.g. the server restarted) may be claimed again
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+// Seconds a gateway is asked to wait before retrying an event that is still being processed
+const IN_FLIGHT_RETRY_AFTER_SECONDS = 30;
+
+// Records a new event, or claims an earlier delivery of it that failed or stalled.
+// Returns null when another delivery of the event holds it (handled, or being handled now).
+const claimEvent = async (provider, event) => {
+  try {
+    return await PaymentWebhookEvent.create({
+      provider,
+      eventId: event.eventId,
+      type: event.type,
+      gatewayPaymentId: event.gatewayPaymentId,
+      orderNumber: event.orderNumber,
+      payload: event.result?.response,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    return PaymentWebhookEvent.findOneAndUpdate(
+      {
+        provider,
+        eventId: event.eventId,
+        $or: [
+          { status: 'failed' },
+          {
+            status: 'processing',
+            updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+          },
+        ],
+      },
+      {
+        $set: { status: 'processing' },
+        $unset: { error: '' },
+        $inc: { attempts: 1 },
+      },
+      { new: true },
+    );
+  }
+};
+
+const finishEvent = (webhookEvent, fields) =>
+  PaymentWebhookEvent.updateOne(
+    { _id: webhookEvent._id },
+    { $set: { ...fields, processedAt: new Date() } },
+  );
+
+// Gateways call this server-to-server. The body arrives raw (see app.js) so the
+// signature can be checked against the exact bytes that were signed.
+const handlePaymentWebhook = async (req, res) => {
+  let webhookEvent = null;
+
+  try {
+    const gateway = getGatewayByName(req.params.provider);
+    if (!gateway?.parseWebhook) {
+      return res.status(404).json({
+        message: 'Webhooks are not supported for this gateway',
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        message: 'Webhook body is missing',
+      });
+    }
+
+    const event = await gateway.parseWebhook({
+      rawBody: req.body,
+      headers: req.headers,
+    });
+
+    if (!event.eventId) {
+      return res.status(400).json({
+        message: 'Webhook event ID is missing',
+      });
+    }
+
+    webhookEvent = await claimEvent(gateway.name, event);
+    if (!webhookEvent) {
+      const existing = await PaymentWebhookEvent.findOne({
+        provider: gateway.name,
+        eventId: event.eventId,
+      }).select('status');
+
+      if (['processed', 'ignored'].includes(existing?.status)) {
+        return res.status(200).json({
+          message: 'Event already processed',
+          data: { eventId: event.eventId, duplicate: true },
+        });
+      }
+
+      // Still running elsewhere and may yet fail: make the gateway retry
+      // instead of acknowledging an outcome nobody knows yet
+      res.set('Retry-After', String(IN_FLIGHT_RETRY_AFTER_SECONDS));
+      return res.status(409).json({
+        message: 'Event is being processed, please retry later',
+        data: { eventId: event.eventId },
+      });
+    }
+
+    // Acknowledge events we cannot act on, so the gateway stops retrying them
+    if (!event.result) {
+      await finishEvent(webhookEvent, {
+        status: 'ignored',
+        outcome: 'no_payment_outcome',
+      });
+      return res.status(200).json({
+        message: 'Event ignored',
+        data: { eventId: event.eventId, outcome: 'no_payment_outcome' },
+      });
+    }
+
+    const order = await findOrderForPayment(
+      gateway.name,
+      event.gatewayPaymentId,
+      event.orderNumber,
+    );
+    if (!order) {
+      await finishEvent(webhookEvent, {
+        status: 'ignored',
+        outcome: 'order_not_found',
+      });
+      return res.status(200).json({
+        message: 'Event ignored',
+        data: { eventId: event.eventId, outcome: 'order_not_found' },
+      });
+    }
+
+    // Guarded update: replayed or out-of-order events leave a completed payment alone
+    const { applied } = await applyPaymentResult(
+      order,
+      event.result,
+      event.gatewayPaymentId || order.payment.gatewayPaymentId,
+    );
+    const outcome = applied ? 'applied' : 'no_change';
+
+    await finishEvent(webhookEvent, {
+      status: 'processed',
+      outcome,
+      order: order._id,
+      orderNumber: order.orderNumber,
+    });
+
+    res.status(200).json({
+      message: 'Webhook processed successfully',
+      data: { eventId: event.eventId, outcome },
+    });
+  } catch (error) {
+    if (error instanceof WebhookSignatureError) {
+      return res.status(401).json({
+        message: error.message,
+      });
+    }
+
+    console.error('Payment webhook error:', error);
+
+    // Let the gateway's retry process the event again
+    if (webhookEvent) {
+      await PaymentWebhookEvent.updateOne(
+        { _id: webhookEvent._id },
+        { $set: { status: 'failed', error: error.message } },
+      ).catch(updateError =>
+        console.error('Payment webhook event update error:', updateError),
+      );
+    }
+
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({
+        message: 'Malformed webhook body',
+      });
+    }
+
+    if (error instanceof PaymentGatewayError) {
+      return res.status(502).json({
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default handlePaymentWebhook;
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { WebhookSignatureError, signaturesMatch } from './paymentGateway.js';
+
+// Offline gateway for development and tests. Nothing leaves the server and every
+// result follows from the inputs: the redirect URL points straight back at our
+// callback with status=success (edit it to failure or cancel to try other outcomes)
+const mockGateway = {
+  name: 'mock',
+
+  async createIntent({ order, amount, callbackUrl }) {
+    const gatewayPaymentId = `MOCK-${order.orderNumber}-${
+      (order.payment?.attempts || 0) + 1
+    }`;
+    const redirectUrl = `${callbackUrl}?${new URLSearchParams({
+      paymentId: gatewayPaymentId,
+      status: 'success',
+    })}`;
+
+    return {
+      gatewayPaymentId,
+      redirectUrl,
+      response: { gatewayPaymentId, amount, redirectUrl },
+    };
+  },
+
+  parseCallback(params) {
+    return {
+      gatewayPaymentId: params.paymentId,
+      status: ['success', 'failure', 'cancel'].includes(params.status)
+        ? params.status
+        : 'failure',
+      params,
+    };
+  },
+
+  async verify({ gatewayPaymentId, callback, amount }) {
+    // Without a callback the mock has nothing to report yet
+    if (!callback) {
+      return { status: 'pending', response: { gatewayPaymentId } };
+    }
+
+    if (callback.status !== 'success') {
+      return {
+        status: 'failed',
+        reason: `Mock payment ${callback.status}`,
+        response: { gatewayPaymentId, status: callback.status },
+      };
+    }
+
+    return {
+      status: 'completed',
+      transactionId: `MOCKTRX-${gatewayPaymentId}`,
+      amount,
+      response: { gatewayPaymentId, status: 'success', amount },
+    };
+  },
+
+  async refund({ payment, amount }) {
+    // Cumulative refunded amount keeps refund IDs unique per refund
+    // (refundAmount already includes this refund, see refundService.js)
+    const refundedTotal = Math.round((payment.refundAmount || amount) * 100);
+    const refundId = `MOCKRF-${payment.transactionId}-${refundedTotal}`;
+
+    return { refundId, amount, response: { refundId, amount } };
+  },
+
+  // Body: { id, type: 'payment.completed' | 'payment.failed', paymentId, amount, reason },
+  // signed with an HMAC-SHA256 hex digest of the raw body in the X-Mock-Signature header
+  async parseWebhook({ rawBody, headers }) {
+    const expected = crypto
+      .createHmac(
+        'sha256',
+        process.env.MOCK_WEBHOOK_SECRET || 'mock-webhook-secret',
+      )
+      .update(rawBody)
+      .digest('hex');
+    if (!signaturesMatch(headers['x-mock-signature'], expected)) {
+      throw new WebhookSignatureError();
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    let result = null;
+    if (event.type === 'payment.completed') {
+      result = {
+        status: 'completed',
+        transactionId: `MOCKTRX-${event.paymentId}`,
+        amount: event.amount,
+        response: event,
+      };
+    } else if (event.type === 'payment.failed') {
+      result = {
+        status: 'failed',
+        reason: event.reason || 'Mock payment failed',
+        response: event,
+      };
+    }
+
+    return {
+      eventId: event.id,
+      type: event.type,
+      gatewayPaymentId: event.paymentId,
+      // Payment IDs are MOCK-<orderNumber>-<attempt>
+      orderNumber: event.paymentId?.replace(/^MOCK-/, '').replace(/-\d+$/, ''),
+      result,
+    };
+  },
+};
+
+export default mockGateway;
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import {
+  PaymentGatewayError,
+  readGatewayConfig,
+  requestGateway,
+} from './paymentGateway.js';
+
+// Nagad merchant checkout API (v-0.2.0)
+const getConfig = () => ({
+  ...readGatewayConfig('Nagad', {
+    merchantId: 'NAGAD_MERCHANT_ID',
+    merchantNumber: 'NAGAD_MERCHANT_NUMBER',
+    publicKey: 'NAGAD_PG_PUBLIC_KEY',
+    privateKey: 'NAGAD_MERCHANT_PRIVATE_KEY',
+  }),
+  baseUrl:
+    process.env.NAGAD_BASE_URL ||
+    'http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0',
+});
+
+// Keys are issued as bare base64; wrap them so crypto can read them
+const toPem = (key, type) =>
+  key.includes('-----BEGIN')
+    ? key
+    : `-----BEGIN ${type} KEY-----\n${key}\n-----END ${type} KEY-----`;
+
+const encrypt = (data, config) =>
+  crypto
+    .publicEncrypt(
+      {
+        key: toPem(config.publicKey, 'PUBLIC'),
+        padding: crypto.constants.RSA_PKCS1_PADDING,
+      },
+      Buffer.from(JSON.stringify(data)),
+    )
+    .toString('base64');
+
+const sign = (data, config) =>
+  crypto
+    .sign(
+      'sha256',
+      Buffer.from(JSON.stringify(data)),
+      toPem(config.privateKey, 'PRIVATE'),
+    )
+    .toString('base64');
+
+// Nagad encrypts responses with PKCS#1 v1.5, which Node no longer decrypts directly,
+// so decrypt without padding and strip it here (0x00 0x02 <random> 0x00 <message>)
+const decrypt = (data, config) => {
+  const block = crypto.privateDecrypt(
+    {
+      key: toPem(config.privateKey, 'PRIVATE'),
+      padding: crypto.constants.RSA_NO_PADDING,
+    },
+    Buffer.from(data, 'base64'),
+  );
+  const separator = block.indexOf(0, 2);
+  if (block[0] !== 0 || block[1] !== 2 || separator < 0) {
+    throw new PaymentGatewayError('Nagad response could not be decrypted');
+  }
+  return JSON.parse(block.subarray(separator + 1).toString());
+};
+
+// Nagad expects Bangladesh local time as yyyyMMddHHmmss
+const formatDateTime = (date = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: 'Asia/Dhaka',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false,
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value]),
+  );
+  return `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}${parts.second}`;
+};
+
+const headers = clientIp => ({
+  'Content-Type': 'application/json',
+  Accept: 'application/json',
+  'X-KM-Api-Version': 'v-0.2.0',
+  'X-KM-IP-V4': clientIp || '127.0.0.1',
+  'X-KM-Client-Type': 'PC_WEB',
+});
+
+const nagadGateway = {
+  name: 'nagad',
+
+  async createIntent({ order, amount, callbackUrl, clientIp }) {
+    const config = getConfig();
+    // Nagad order IDs must be alphanumeric and unique per attempt
+    const orderId = `${order.orderNumber.replace(/[^a-zA-Z0-9]/g, '')}T${
+      (order.payment?.attempts || 0) + 1
+    }`;
+    const dateTime = formatDateTime();
+
+    const initSensitive = {
+      merchantId: config.merchantId,
+      datetime: dateTime,
+      orderId,
+      challenge: crypto.randomBytes(20).toString('hex'),
+    };
+    const initialized = await requestGateway(
+      `${config.baseUrl}/api/dfs/check-out/initialize/${config.merchantId}/${orderId}?locale=EN`,
+      {
+        method: 'POST',
+        headers: headers(clientIp),
+        body: JSON.stringify({
+          accountNumber: config.merchantNumber,
+          dateTime,
+          sensitiveData: encrypt(initSensitive, config),
+          signature: sign(initSensitive, config),
+        }),
+      },
+    );
+
+    if (!initialized?.sensitiveData) {
+      throw new PaymentGatewayError(
+        initialized?.message || 'Nagad payment could not be initialized',
+        initialized,
+      );
+    }
+
+    const { paymentReferenceId, challenge } = decrypt(
+      initialized.sensitiveData,
+      config,
+    );
+
+    const completeSensitive = {
+      merchantId: config.merchantId,
+      orderId,
+      currencyCode: '050', // BDT
+      amount: amount.toFixed(2),
+      challenge,
+    };
+    const completed = await requestGateway(
+      `${config.baseUrl}/api/dfs/check-out/complete/${paymentReferenceId}`,
+      {
+        method: 'POST',
+        headers: headers(clientIp),
+        body: JSON.stringify({
+          sensitiveData: encrypt(completeSensitive, config),
+          signature: sign(completeSensitive, config),
+          merchantCallbackURL: callbackUrl,
+          additionalMerchantInfo: { orderNumber: order.orderNumber },
+        }),
+      },
+    );
+
+    if (completed?.status !== 'Success' || !completed?.callBackUrl) {
+      throw new PaymentGatewayError(
+        completed?.message || 'Nagad payment could not be created',
+        completed,
+      );
+    }
+
+    return {
+      gatewayPaymentId: paymentReferenceId,
+      redirectUrl: completed.callBackUrl,
+      response: completed,
+    };
+  },
+
+  parseCallback(params) {
+    let status = 'failure';
+    if (params.status === 'Success') status = 'success';
+    else if (['Aborted', 'Cancelled'].includes(params.status)) {
+      status = 'cancel';
+    }
+
+    return { gatewayPaymentId: params.payment_ref_id, status, params };
+  },
+
+  async verify({ gatewayPaymentId }) {
+    const config = getConfig();
+    const data = await requestGateway(
+      `${config.baseUrl}/api/dfs/verify/payment/${gatewayPaymentId}`,
+      { headers: headers() },
+    );
+
+    if (data?.status === 'Success') {
+      return {
+        status: 'completed',
+        transactionId: data.issuerPaymentRefNo || data.paymentRefId,
+        amount: parseFloat(data.amount),
+        response: data,
+      };
+    }
+
+    if (['Ready', 'InProgress'].includes(data?.status)) {
+      return { status: 'pending', response: data };
+    }
+
+    return {
+      status: 'failed',
+      reason: data?.message || `Nagad payment ${data?.status || 'failed'}`,
+      response: data,
+    };
+  },
+
+  async refund() {
+    throw new PaymentGatewayError(
+      'Nagad refunds are not available through the API; refund the customer from the Nagad merchant portal',
+    );
+  },
+};
+
+export default nagadGateway;
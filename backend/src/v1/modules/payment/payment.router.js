@@ -0,0 +1,42 @@
+import express from 'express';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+
+// Import payment controllers
+import createPaymentIntent from './createPaymentIntent.js';
+import handlePaymentCallback from './handlePaymentCallback.js';
+import handlePaymentWebhook from './handlePaymentWebhook.js';
+import verifyPayment from './verifyPayment.js';
+import refundPayment from './refundPayment.js';
+import getOrderRefunds from './getOrderRefunds.js';
+
+const paymentRouter = express.Router();
+
+// Gateway callbacks (public - the gateway redirects or posts the customer back here)
+paymentRouter.get('/callback/:provider', handlePaymentCallback); // GET /payments/callback/:provider - Gateway redirect
+paymentRouter.post(
+  '/callback/:provider',
+  express.urlencoded({ extended: false }),
+  handlePaymentCallback,
+); // POST /payments/callback/:provider - Gateway form post (card)
+
+// Gateway webhooks (public - authenticated by signature; body arrives raw, see app.js)
+paymentRouter.post('/webhook/:provider', handlePaymentWebhook); // POST /payments/webhook/:provider - Signed payment event
+
+// Customer routes (authentication required)
+paymentRouter.post('/:orderNumber/intent', authorize(), createPaymentIntent); // POST /payments/:orderNumber/intent - Start payment, returns redirect URL
+paymentRouter.get('/:orderNumber/verify', authorize(), verifyPayment); // GET /payments/:orderNumber/verify - Check payment status with the gateway
+
+// Staff routes (orders.refund)
+paymentRouter.post(
+  '/:orderNumber/refund',
+  authorize(PERMISSIONS.ORDERS_REFUND),
+  refundPayment,
+); // POST /payments/:orderNumber/refund - Refund lines, shipping or an amount
+paymentRouter.get(
+  '/:orderNumber/refunds',
+  authorize(PERMISSIONS.ORDERS_REFUND),
+  getOrderRefunds,
+); // GET /payments/:orderNumber/refunds - Refund ledger of an order
+
+export default paymentRouter;
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+
+/**
+ * Payment gateway interface. Every adapter (bkashGateway, nagadGateway, cardGateway,
+ * mockGateway) is a plain object with these members:
+ *
+ * - name: string - Adapter name, used in callback URLs and stored on payment.gateway
+ * - createIntent({ order, amount, currency, callbackUrl })
+ *     -> { gatewayPaymentId, redirectUrl, response }
+ * - parseCallback(params) - Query/body the gateway sends the customer back with
+ *     -> { gatewayPaymentId, status: 'success' | 'failure' | 'cancel', params }
+ * - verify({ gatewayPaymentId, callback, payment, amount })
+ *     -> { status: 'completed' | 'failed' | 'pending', transactionId, amount, reason, response }
+ * - refund({ payment, amount, reason }) -> { refundId, amount, response }
+ * - parseWebhook({ rawBody, headers }) - Optional; verifies the signature of a webhook call
+ *     -> { eventId, type, gatewayPaymentId, orderNumber, result } where result has the
+ *        shape of verify()'s result, or is null for events that carry no payment outcome
+ *
+ * Adapters throw PaymentGatewayError when the gateway cannot be reached or rejects a request,
+ * and WebhookSignatureError when a webhook's signature does not check out.
+ */
+
+// Gateways that do not answer within this time are treated as unavailable
+const GATEWAY_TIMEOUT_MS = 30000;
+
+/**
+ * Thrown when a payment gateway is misconfigured, unreachable or rejects a request
+ */
+export class PaymentGatewayError extends Error {
+  constructor(message, response = null) {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.response = response;
+  }
+}
+
+/**
+ * Thrown when a webhook call cannot be authenticated as coming from the gateway
+ */
+export class WebhookSignatureError extends Error {
+  constructor(message = 'Invalid webhook signature') {
+    super(message);
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+/**
+ * Compares two signatures in constant time
+ * @param {string} received - Signature from the request
+ * @param {string} expected - Signature we computed
+ * @returns {boolean} True if they match
+ */
+export const signaturesMatch = (received, expected) => {
+  const receivedBuffer = Buffer.from(String(received || ''));
+  const expectedBuffer = Buffer.from(expected);
+  return (
+    receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer)
+  );
+};
+
+/**
+ * Reads the environment variables an adapter needs
+ * @param {string} gatewayName - Name used in the error message
+ * @param {Object} variables - Map of config key to environment variable name
+ * @returns {Object} Config values by key
+ */
+export const readGatewayConfig = (gatewayName, variables) => {
+  const config = {};
+  const missing = [];
+
+  for (const [key, envName] of Object.entries(variables)) {
+    config[key] = process.env[envName];
+    if (!config[key]) missing.push(envName);
+  }
+
+  if (missing.length > 0) {
+    throw new PaymentGatewayError(
+      `${gatewayName} is not configured (missing ${missing.join(', ')})`,
+    );
+  }
+
+  return config;
+};
+
+/**
+ * Calls a gateway endpoint and parses the JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - fetch options (method, headers, body)
+ * @returns {Promise<Object>} Parsed response body
+ */
+export const requestGateway = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new PaymentGatewayError(
+      `Payment gateway is unreachable: ${error.message}`,
+    );
+  }
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    data = null;
+  }
+
+  if (!response.ok) {
+    throw new PaymentGatewayError(
+      `Payment gateway responded with status ${response.status}`,
+      data,
+    );
+  }
+
+  return data;
+};
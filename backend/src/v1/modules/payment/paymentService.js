@@ -0,0 +1,165 @@
+import Order from '../order/Order.model.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { orderWebhookData } from '../webhook/webhookPayloads.js';
+
+// Names used in tracking notes
+const GATEWAY_LABELS = {
+  bkash: 'bKash',
+  nagad: 'Nagad',
+  card: 'card',
+  mock: 'mock gateway',
+};
+
+export const gatewayLabel = name => GATEWAY_LABELS[name] || name;
+
+/**
+ * Builds the URL a gateway sends the customer back to
+ * @param {string} gatewayName - Gateway adapter name
+ * @param {Object} req - Express request (used when API_URL is not set)
+ * @returns {string} Callback URL
+ */
+export const buildCallbackUrl = (gatewayName, req) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/v1/payments/callback/${gatewayName}`;
+};
+
+/**
+ * Finds the order a gateway payment belongs to. Falls back to the order number
+ * for results of an earlier attempt, which is no longer the order's current one.
+ * @param {string} gatewayName - Gateway adapter name
+ * @param {string} [gatewayPaymentId] - Gateway's payment ID
+ * @param {string} [orderNumber] - Order number, if the gateway reports it
+ * @returns {Promise<Object|null>} Order document
+ */
+export const findOrderForPayment = async (
+  gatewayName,
+  gatewayPaymentId,
+  orderNumber,
+) => {
+  if (gatewayPaymentId) {
+    const order = await Order.findOne({
+      'payment.gateway': gatewayName,
+      'payment.gatewayPaymentId': gatewayPaymentId,
+    });
+    if (order) return order;
+  }
+
+  if (!orderNumber) return null;
+  return Order.findOne({ orderNumber, 'payment.gateway': gatewayName });
+};
+
+/**
+ * Applies a verified gateway result to an order's payment.
+ * Updates are guarded on the payment status, so a completed payment never moves
+ * back and a result reported twice (callback, status check, webhook) is applied once.
+ * A success from any attempt completes the payment; a failure only counts for the
+ * current attempt, so a late failure of an earlier attempt cannot fail a retry.
+ * @param {Object} order - Order document
+ * @param {Object} result - Result of gateway.verify() or a webhook
+ * @param {string} [gatewayPaymentId] - Attempt the result belongs to (defaults to the current one)
+ * @returns {Promise<Object>} { applied, order } with the latest order document
+ */
+export const applyPaymentResult = async (
+  order,
+  result,
+  gatewayPaymentId = order.payment.gatewayPaymentId,
+) => {
+  if (result.status === 'pending') {
+    return { applied: false, order };
+  }
+
+  const label = gatewayLabel(order.payment.gateway);
+  const filter = { _id: order._id };
+  let update;
+
+  if (result.status === 'completed') {
+    filter['payment.status'] = { $in: ['pending', 'processing', 'failed'] };
+
+    // Money moved but not the amount we asked for: keep it for manual review
+    if (result.amount + 0.01 < order.pricing.total) {
+      const reason = `Paid amount ${result.amount} does not match order total ${order.pricing.total}`;
+      update = {
+        $set: {
+          'payment.status': 'processing',
+          'payment.gatewayPaymentId': gatewayPaymentId,
+          'payment.transactionId': result.transactionId,
+          'payment.gatewayResponse': result.response,
+          'payment.failureReason': reason,
+        },
+        $push: {
+          tracking: {
+            status: order.status,
+            note: `Payment via ${label} needs review: ${reason}`,
+            timestamp: new Date(),
+          },
+        },
+      };
+    } else {
+      update = {
+        $set: {
+          'payment.status': 'completed',
+          'payment.gatewayPaymentId': gatewayPaymentId,
+          'payment.transactionId': result.transactionId,
+          'payment.capturedAmount': result.amount,
+          'payment.gatewayResponse': result.response,
+          'payment.paidAt': new Date(),
+        },
+        $unset: { 'payment.failureReason': '' },
+        $push: {
+          tracking: {
+            status: order.status,
+            note: `Payment of ${result.amount} received via ${label} (transaction ${result.transactionId})`,
+            timestamp: new Date(),
+          },
+        },
+      };
+    }
+  } else {
+    filter['payment.gatewayPaymentId'] = gatewayPaymentId;
+    filter['payment.status'] = { $in: ['pending', 'processing'] };
+    update = {
+      $set: {
+        'payment.status': 'failed',
+        'payment.gatewayResponse': result.response,
+        'payment.failureReason': result.reason || 'Payment failed',
+      },
+      $push: {
+        tracking: {
+          status: order.status,
+          note: `Payment via ${label} failed: ${result.reason || 'Payment failed'}`,
+          timestamp: new Date(),
+        },
+      },
+    };
+  }
+
+  const updatedOrder = await Order.findOneAndUpdate(filter, update, {
+    new: true,
+  });
+
+  if (!updatedOrder) {
+    return { applied: false, order: await Order.findById(order._id) };
+  }
+
+  emitWebhookEvent('order.updated', orderWebhookData(updatedOrder));
+  return { applied: true, order: updatedOrder };
+};
+
+/**
+ * Payment fields safe to return to customers and admins
+ * @param {Object} order - Order document
+ * @returns {Object} Payment summary
+ */
+export const formatPaymentForResponse = order => ({
+  orderNumber: order.orderNumber,
+  method: order.payment?.method,
+  status: order.payment?.status,
+  gateway: order.payment?.gateway,
+  transactionId: order.payment?.transactionId,
+  amount: order.pricing?.total,
+  capturedAmount: order.payment?.capturedAmount || 0,
+  refundAmount: order.payment?.refundAmount || 0,
+  paidAt: order.payment?.paidAt,
+  refundedAt: order.payment?.refundedAt,
+  failureReason: order.payment?.failureReason,
+});
@@ -0,0 +1,96 @@
+import { z } from 'zod';
+import Order from '../order/Order.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import { PaymentGatewayError } from './paymentGateway.js';
+import { formatPaymentForResponse } from './paymentService.js';
+import {
+  RefundError,
+  formatRefundForResponse,
+  issueRefund,
+} from './refundService.js';
+
+const refundSchema = z.object({
+  // Order lines to refund; discounts and tax are prorated onto them
+  items: z
+    .array(
+      z.object({
+        itemId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid item ID'),
+        quantity: z.number().int().positive('Quantity must be at least 1'),
+      }),
+    )
+    .optional(),
+  // Refund the shipping fee
+  shipping: z.boolean().optional(),
+  // Extra amount not tied to lines (goodwill); alone it refunds just that amount
+  amount: z.number().positive('Refund amount must be positive').optional(),
+  reason: z
+    .string()
+    .trim()
+    .min(1, 'Refund reason is required')
+    .max(500, 'Reason must be less than 500 characters'),
+  // Defaults to the gateway for online payments, manual otherwise
+  method: z.enum(['gateway', 'manual']).optional(),
+  reference: z.string().trim().max(200).optional(),
+});
+
+const refundPayment = async (req, res) => {
+  try {
+    const validationResult = refundSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { items, shipping, amount, reason, method, reference } =
+      validationResult.data;
+    const { orderNumber } = req.params;
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found',
+      });
+    }
+
+    // Nothing selected refunds everything not yet refunded
+    const full = !items?.length && !shipping && !amount;
+
+    const { refund, order: updatedOrder } = await issueRefund(
+      order,
+      { items, shipping, amount, full },
+      { reason, refundedBy: req.user.id, method, reference },
+    );
+
+    res.status(200).json({
+      message: 'Refund processed successfully',
+      data: {
+        refund: formatRefundForResponse(refund),
+        refundStatus: updatedOrder.refundStatus,
+        payment: formatPaymentForResponse(updatedOrder),
+      },
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+      });
+    }
+
+    if (error instanceof PaymentGatewayError) {
+      console.error('Refund payment gateway error:', error.response);
+      return res.status(502).json({
+        message: error.message,
+      });
+    }
+
+    console.error('Refund payment error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default refundPayment;
@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import Order from '../order/Order.model.js';
+import Refund from './Refund.model.js';
+import runInTransaction from '../../utils/runInTransaction.js';
+import { getGatewayByName } from './gatewayRegistry.js';
+import { gatewayLabel } from './paymentService.js';
+import { sendOrderStatusEmail } from '../order/orderNotifications.js';
+
+/**
+ * Thrown when a refund request does not fit the order (bad lines, over the cap, wrong state)
+ */
+export class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Amount actually collected for an order. Gateway payments record it when
+ * captured; older or offline-paid orders fall back to the order total.
+ * @param {Object} order - Order document
+ * @returns {number} Captured amount
+ */
+export const capturedAmountOf = order => {
+  if (order.payment?.capturedAmount > 0) return order.payment.capturedAmount;
+  return ['completed', 'refunded'].includes(order.payment?.status)
+    ? order.pricing.total
+    : 0;
+};
+
+/**
+ * Amount that can still be refunded (captured minus refunds so far)
+ * @param {Object} order - Order document
+ * @returns {number} Refundable amount
+ */
+export const refundableAmountOf = order =>
+  Math.max(
+    0,
+    round(capturedAmountOf(order) - (order.payment?.refundAmount || 0)),
+  );
+
+/**
+ * What the customer paid for one order line: its price after promotion and
+ * coupon discounts, plus its tax when tax is charged on top of prices
+ * @param {Object} order - Order document
+ * @param {Object} item - Order item
+ * @returns {number} Net paid for the line
+ */
+const lineNetAmount = (order, item) =>
+  round(
+    item.lineTotal -
+      (item.promotionDiscount || 0) -
+      (item.couponDiscount || 0) +
+      (order.pricing.taxInclusive ? 0 : item.tax?.amount || 0),
+  );
+
+/**
+ * Prices a refund request against an order without changing anything.
+ * Line refunds prorate the line's promotion discount, coupon share and tax by
+ * quantity; refunding a line's last units returns whatever is left of its net
+ * amount, so partial refunds of a line always add up to what was paid for it.
+ * @param {Object} order - Order document
+ * @param {Object} request
+ * @param {Array<Object>} [request.items] - { itemId, quantity } order lines to refund
+ * @param {boolean} [request.shipping] - Refund the shipping fee not yet refunded
+ * @param {number} [request.amount] - Extra amount not tied to lines (goodwill)
+ * @param {boolean} [request.full] - Refund everything still refundable
+ * @returns {Object} { lines, shippingAmount, adjustmentAmount, amount }
+ */
+export const calculateRefund = (
+  order,
+  { items = [], shipping = false, amount = 0, full = false },
+) => {
+  const refundable = refundableAmountOf(order);
+  const requestedItems = full
+    ? order.items
+        .filter(item => item.quantity > (item.refundedQuantity || 0))
+        .map(item => ({
+          itemId: item._id,
+          quantity: item.quantity - (item.refundedQuantity || 0),
+        }))
+    : items;
+
+  const seen = new Set();
+  const lines = requestedItems.map(({ itemId, quantity }) => {
+    const item = order.items.id(itemId);
+    if (!item) {
+      throw new RefundError(`Order item ${itemId} not found`);
+    }
+    if (seen.has(String(item._id))) {
+      throw new RefundError(`Order item ${itemId} is listed more than once`);
+    }
+    seen.add(String(item._id));
+
+    const remaining = item.quantity - (item.refundedQuantity || 0);
+    if (quantity > remaining) {
+      throw new RefundError(
+        `Only ${remaining} unit(s) of "${item.productSnapshot.name}" can still be refunded`,
+      );
+    }
+
+    const share = quantity / item.quantity;
+    const netAmount = lineNetAmount(order, item);
+
+    return {
+      item: item._id,
+      product: item.product,
+      name: item.productSnapshot.name,
+      quantity,
+      grossAmount: round(item.lineTotal * share),
+      promotionDiscount: round((item.promotionDiscount || 0) * share),
+      couponDiscount: round((item.couponDiscount || 0) * share),
+      tax: round((item.tax?.amount || 0) * share),
+      amount:
+        quantity === remaining
+          ? Math.max(0, round(netAmount - (item.refundedAmount || 0)))
+          : round(netAmount * share),
+    };
+  });
+
+  const remainingShipping = round(
+    (order.pricing.shippingCost || 0) - (order.payment?.refundedShipping || 0),
+  );
+  if (shipping && !full && remainingShipping <= 0) {
+    throw new RefundError('Shipping has already been refunded');
+  }
+  const shippingAmount = shipping || full ? Math.max(0, remainingShipping) : 0;
+
+  const linesAmount = round(lines.reduce((sum, line) => sum + line.amount, 0));
+  let adjustmentAmount = round(amount || 0);
+  let total = round(linesAmount + shippingAmount + adjustmentAmount);
+
+  // A full refund returns exactly what is left of the capture
+  if (full) {
+    adjustmentAmount = Math.max(0, round(refundable - total));
+    total = refundable;
+  }
+
+  if (total <= 0) {
+    throw new RefundError('Nothing to refund');
+  }
+  if (total > refundable + 0.001) {
+    throw new RefundError(
+      `Refund of ${total} exceeds the refundable amount of ${refundable}`,
+    );
+  }
+
+  return { lines, shippingAmount, adjustmentAmount, amount: total };
+};
+
+// Undoes a reservation whose gateway refund failed, whatever else changed on the order since
+const releaseReservation = (order, refund) =>
+  Order.updateOne(
+    { _id: order._id },
+    {
+      $inc: {
+        __v: 1,
+        'payment.refundAmount': -refund.amount,
+        'payment.refundedShipping': -refund.shippingAmount,
+        ...Object.fromEntries(
+          refund.lines.flatMap((line, index) => [
+            [`items.$[line${index}].refundedQuantity`, -line.quantity],
+            [`items.$[line${index}].refundedAmount`, -line.amount],
+          ]),
+        ),
+      },
+    },
+    {
+      arrayFilters: refund.lines.map((line, index) => ({
+        [`line${index}._id`]: line.item,
+      })),
+    },
+  );
+
+/**
+ * Issues a refund and records it in the refund ledger.
+ * The amount is reserved on the order first (refund total, refunded units per
+ * line) in the same transaction that writes the ledger entry; the order's
+ * version check makes concurrent refunds fail instead of exceeding the capture.
+ * Gateway refunds are then sent to the gateway and the reservation is released
+ * if it refuses. Manual refunds (cash, bank transfer) complete immediately.
+ * The customer gets the refunded email once the refund has completed.
+ * @param {Object} order - Order document
+ * @param {Object} request - See calculateRefund()
+ * @param {Object} options
+ * @param {string} options.reason - Why the money is returned
+ * @param {string} [options.refundedBy] - Acting user ID (null for system refunds)
+ * @param {string} [options.method] - 'gateway' or 'manual' (defaults to how the order was paid)
+ * @param {string} [options.reference] - Receipt/transfer reference for manual refunds
+ * @returns {Promise<Object>} { refund, order } with the ledger entry and latest order
+ */
+export const issueRefund = async (
+  order,
+  request,
+  { reason, refundedBy = null, method, reference },
+) => {
+  if (order.payment?.status !== 'completed') {
+    throw new RefundError(
+      `Cannot refund a payment in "${order.payment?.status}" status`,
+    );
+  }
+
+  const refundMethod = method || (order.payment.gateway ? 'gateway' : 'manual');
+  const gateway =
+    refundMethod === 'gateway' ? getGatewayByName(order.payment.gateway) : null;
+  if (refundMethod === 'gateway' && !gateway) {
+    throw new RefundError(
+      'This payment was not made through a payment gateway',
+    );
+  }
+
+  const calculation = calculateRefund(order, request);
+  const now = new Date();
+
+  const refund = new Refund({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    ...calculation,
+    reason,
+    method: refundMethod,
+    gateway: gateway?.name,
+    reference,
+    refundedBy,
+    ...(refundMethod === 'manual' && { status: 'completed', completedAt: now }),
+  });
+
+  // Reserve the refund on the order
+  order.payment.refundAmount = round(
+    (order.payment.refundAmount || 0) + calculation.amount,
+  );
+  order.payment.refundedShipping = round(
+    (order.payment.refundedShipping || 0) + calculation.shippingAmount,
+  );
+  calculation.lines.forEach(line => {
+    const item = order.items.id(line.item);
+    item.refundedQuantity = (item.refundedQuantity || 0) + line.quantity;
+    item.refundedAmount = round((item.refundedAmount || 0) + line.amount);
+  });
+
+  const fullyRefunded = order.refundStatus === 'refunded';
+
+  if (refundMethod === 'manual') {
+    order.payment.refundedAt = now;
+    if (fullyRefunded) order.payment.status = 'refunded';
+    order.tracking.push({
+      status: order.status,
+      note: `Refund of ${calculation.amount} recorded${reference ? ` (reference ${reference})` : ''}. Reason: ${reason}`,
+      updatedBy: refundedBy,
+      timestamp: now,
+    });
+  }
+
+  order.increment();
+
+  try {
+    await runInTransaction(async session => {
+      await refund.save({ session });
+      await order.save({ session });
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new RefundError(
+        'Order changed while refunding, please try again',
+        409,
+      );
+    }
+    throw error;
+  }
+
+  if (refundMethod === 'manual') {
+    await sendOrderStatusEmail(order, 'refunded', { refund });
+    return { refund, order };
+  }
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await gateway.refund({
+      payment: order.payment,
+      amount: calculation.amount,
+      reason,
+    });
+  } catch (error) {
+    await releaseReservation(order, refund);
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    refund.gatewayResponse = error.response;
+    await refund.save();
+    throw error;
+  }
+
+  refund.status = 'completed';
+  refund.gatewayRefundId = gatewayRefund.refundId;
+  refund.gatewayResponse = gatewayRefund.response;
+  refund.completedAt = new Date();
+  await refund.save();
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id },
+    {
+      $set: {
+        'payment.refundedAt': refund.completedAt,
+        ...(fullyRefunded && { 'payment.status': 'refunded' }),
+      },
+      $push: {
+        tracking: {
+          status: order.status,
+          note: `Refund of ${calculation.amount} issued via ${gatewayLabel(gateway.name)} (refund ${gatewayRefund.refundId}). Reason: ${reason}`,
+          updatedBy: refundedBy,
+          timestamp: refund.completedAt,
+        },
+      },
+    },
+    { new: true },
+  );
+
+  await sendOrderStatusEmail(updatedOrder, 'refunded', { refund });
+
+  return { refund, order: updatedOrder };
+};
+
+/**
+ * Refund fields returned to admins and customers
+ * @param {Object} refund - Refund document
+ * @returns {Object} Refund summary
+ */
+export const formatRefundForResponse = refund => ({
+  id: refund._id,
+  amount: refund.amount,
+  lines: refund.lines,
+  shippingAmount: refund.shippingAmount,
+  adjustmentAmount: refund.adjustmentAmount,
+  reason: refund.reason,
+  method: refund.method,
+  gateway: refund.gateway,
+  gatewayRefundId: refund.gatewayRefundId,
+  reference: refund.reference,
+  status: refund.status,
+  failureReason: refund.failureReason,
+  refundedBy: refund.refundedBy,
+  createdAt: refund.createdAt,
+  completedAt: refund.completedAt,
+});
@@ -0,0 +1,64 @@
+import Order from '../order/Order.model.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+import { hasPermission } from '../../utils/permissions.js';
+import { getGatewayByName } from './gatewayRegistry.js';
+import { PaymentGatewayError } from './paymentGateway.js';
+import {
+  applyPaymentResult,
+  formatPaymentForResponse,
+} from './paymentService.js';
+
+// Checks an in-flight payment with its gateway, e.g. when the customer never
+// made it back through the callback
+const verifyPayment = async (req, res) => {
+  try {
+    const { orderNumber } = req.params;
+
+    const query = { orderNumber };
+    if (!hasPermission(req.user, PERMISSIONS.ORDERS_READ)) {
+      query.user = req.user.id;
+    }
+
+    let order = await Order.findOne(query);
+    if (!order) {
+      return res.status(404).json({
+        message: 'Order not found',
+      });
+    }
+
+    if (
+      order.payment?.status === 'processing' &&
+      order.payment.gatewayPaymentId
+    ) {
+      const gateway = getGatewayByName(order.payment.gateway);
+      if (gateway) {
+        const result = await gateway.verify({
+          gatewayPaymentId: order.payment.gatewayPaymentId,
+          payment: order.payment,
+          amount: order.pricing.total,
+        });
+        ({ order } = await applyPaymentResult(order, result));
+      }
+    }
+
+    res.status(200).json({
+      message: 'Payment status retrieved successfully',
+      data: formatPaymentForResponse(order),
+    });
+  } catch (error) {
+    if (error instanceof PaymentGatewayError) {
+      console.error('Verify payment gateway error:', error.response);
+      return res.status(502).json({
+        message: error.message,
+      });
+    }
+
+    console.error('Verify payment error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default verifyPayment;
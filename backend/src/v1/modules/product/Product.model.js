@@ -14,6 +14,9 @@ const productSchema = new mongoose.Schema(
     ],
     price: { type: Number, required: true }, // Base price
     discountPrice: Number, // Base discount price
+    // Sale window for discountPrice (open-ended when empty)
+    saleStartDate: { type: Date, default: null },
+    saleEndDate: { type: Date, default: null },
     stock: { type: Number, default: 0 }, // Total stock (sum of all variants or standalone)
     category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
     tags: [String],
@@ -35,6 +38,9 @@ const productSchema = new mongoose.Schema(
         }, // Optional size
         price: { type: Number }, // Variant-specific price (overrides base price)
         discountPrice: { type: Number }, // Variant-specific discount
+        // Variant sale window (falls back to the product's window when empty)
+        saleStartDate: { type: Date, default: null },
+        saleEndDate: { type: Date, default: null },
         stock: { type: Number, default: 0, min: 0 }, // Variant stock
         images: [
           {
@@ -2,6 +2,9 @@ import { z } from 'zod';
 import Product from './Product.model.js';
 import Category from '../category/Category.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { productWebhookData } from '../webhook/webhookPayloads.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 // Validation schema for product creation
 const createProductSchema = z
@@ -35,6 +38,18 @@ const createProductSchema = z
       .number()
       .positive('Discount price must be a positive number')
       .optional(),
+    saleStartDate: z
+      .string()
+      .datetime()
+      .transform(str => new Date(str))
+      .nullable()
+      .optional(),
+    saleEndDate: z
+      .string()
+      .datetime()
+      .transform(str => new Date(str))
+      .nullable()
+      .optional(),
     stock: z
       .number()
       .int('Stock must be an integer')
@@ -65,6 +80,18 @@ const createProductSchema = z
             .number()
             .positive('Variant discount price must be a positive number')
             .optional(),
+          saleStartDate: z
+            .string()
+            .datetime()
+            .transform(str => new Date(str))
+            .nullable()
+            .optional(),
+          saleEndDate: z
+            .string()
+            .datetime()
+            .transform(str => new Date(str))
+            .nullable()
+            .optional(),
           images: z
             .array(
               z.object({
@@ -140,6 +167,20 @@ const createProductSchema = z
       message: 'Variant discount price must be less than variant price',
       path: ['variants'],
     },
+  )
+  .refine(
+    data =>
+      // Validate sale windows end after they start
+      [data, ...(data.variants || [])].every(
+        window =>
+          !window.saleStartDate ||
+          !window.saleEndDate ||
+          window.saleStartDate < window.saleEndDate,
+      ),
+    {
+      message: 'Sale end date must be after sale start date',
+      path: ['saleEndDate'],
+    },
   );
 
 const createProduct = async (req, res, next) => {
@@ -152,6 +193,8 @@ const createProduct = async (req, res, next) => {
       images,
       price,
       discountPrice,
+      saleStartDate,
+      saleEndDate,
       stock,
       category,
       tags,
@@ -207,6 +250,8 @@ const createProduct = async (req, res, next) => {
       images,
       price,
       discountPrice,
+      saleStartDate,
+      saleEndDate,
       stock,
       category: category || undefined, // Don't pass null, use undefined
       tags,
@@ -254,6 +299,16 @@ const createProduct = async (req, res, next) => {
     // Populate category information before returning
     await newProduct.populate('category', 'name slug');
 
+    emitWebhookEvent('product.created', productWebhookData(newProduct));
+
+    await recordAuditLog(req, {
+      action: 'product.create',
+      entityType: 'product',
+      entityId: newProduct._id,
+      entityLabel: newProduct.name,
+      after: newProduct,
+    });
+
     res.status(201).json({
       message: 'Product created successfully',
       product: newProduct,
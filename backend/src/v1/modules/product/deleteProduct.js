@@ -1,4 +1,5 @@
 import Product from './Product.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 const deleteProduct = async (req, res, next) => {
   try {
@@ -36,6 +37,15 @@ const deleteProduct = async (req, res, next) => {
       { new: true },
     );
 
+    await recordAuditLog(req, {
+      action: 'product.delete',
+      entityType: 'product',
+      entityId: id,
+      entityLabel: product.name,
+      before: product,
+      after: deletedProduct,
+    });
+
     console.log(`Product deleted: ${product.name} (ID: ${id})`);
 
     res.status(200).json({
@@ -1,6 +1,11 @@
 import { z } from 'zod';
 import Product from './Product.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import {
+  resolveSalePrice,
+  onSaleFilter,
+  SALE_PRICE_FIELDS,
+} from './salePricing.js';
 
 // Validation schema for public query parameters (more restricted)
 const publicQuerySchema = z.object({
@@ -146,11 +151,10 @@ const getAllProductsPublic = async (req, res, next) => {
       filter.isFeatured = featured;
     }
 
-    // On sale filter (has discount)
-    if (onSale !== undefined) {
-      if (onSale) {
-        filter.discountPrice = { $exists: true, $ne: null, $gt: 0 };
-      }
+    // On sale filter (discount whose sale window is open right now)
+    const now = new Date();
+    if (onSale) {
+      filter.$and = [...(filter.$and || []), onSaleFilter(now)];
     }
 
     // In stock filter
@@ -204,7 +208,7 @@ const getAllProductsPublic = async (req, res, next) => {
         .limit(limit)
         .select(
           // Only select public-safe fields
-          'name description images price discountPrice category tags ' +
+          `name description images ${SALE_PRICE_FIELDS} category tags ` +
             'hasVariants variants isFeatured averageRating totalReviews ' +
             'views metaTitle metaDescription createdAt',
         )
@@ -219,16 +223,8 @@ const getAllProductsPublic = async (req, res, next) => {
 
     // Transform products for public consumption
     const publicProducts = products.map(product => {
-      // Calculate effective price (use discount price if available)
-      const effectivePrice = product.discountPrice || product.price;
-
-      // Calculate discount percentage
-      const discountPercentage =
-        product.discountPrice && product.price
-          ? Math.round(
-              ((product.price - product.discountPrice) / product.price) * 100,
-            )
-          : 0;
+      // Effective price and discount only inside the sale window
+      const productPricing = resolveSalePrice(product, null, now);
 
       // Calculate stock availability for variants
       let isInStock = false;
@@ -251,7 +247,7 @@ const getAllProductsPublic = async (req, res, next) => {
         // Calculate price range for variants
         if (availableVariants.length > 0) {
           const variantPrices = availableVariants.map(
-            v => v.discountPrice || v.price || product.price,
+            v => resolveSalePrice(product, v, now).effectivePrice,
           );
           const minVariantPrice = Math.min(...variantPrices);
           const maxVariantPrice = Math.max(...variantPrices);
@@ -265,15 +261,20 @@ const getAllProductsPublic = async (req, res, next) => {
         }
 
         // Transform variants for public (remove sensitive data)
-        product.variants = availableVariants.map(variant => ({
-          _id: variant._id,
-          color: variant.color,
-          size: variant.size,
-          price: variant.price,
-          discountPrice: variant.discountPrice,
-          images: variant.images || [],
-          isAvailable: variant.stock > 0,
-        }));
+        product.variants = availableVariants.map(variant => {
+          const variantPricing = resolveSalePrice(product, variant, now);
+
+          return {
+            _id: variant._id,
+            color: variant.color,
+            size: variant.size,
+            price: variant.price,
+            discountPrice: variantPricing.discountPrice,
+            isOnSale: variantPricing.isOnSale,
+            images: variant.images || [],
+            isAvailable: variant.stock > 0,
+          };
+        });
       } else {
         // For non-variant products, check main stock
         isInStock = product.stock > 0;
@@ -284,10 +285,12 @@ const getAllProductsPublic = async (req, res, next) => {
         name: product.name,
         description: product.description,
         images: product.images || [],
-        price: product.price,
-        discountPrice: product.discountPrice,
-        effectivePrice,
-        discountPercentage,
+        price: productPricing.price,
+        discountPrice: productPricing.discountPrice,
+        effectivePrice: productPricing.effectivePrice,
+        discountPercentage: productPricing.discountPercentage,
+        isOnSale: productPricing.isOnSale,
+        saleEndDate: productPricing.saleEndDate,
         category: product.category,
         tags: product.tags || [],
         hasVariants: product.hasVariants,
@@ -309,7 +312,7 @@ const getAllProductsPublic = async (req, res, next) => {
       Product.countDocuments({ ...filter, isFeatured: true }),
       Product.countDocuments({
         ...filter,
-        discountPrice: { $exists: true, $ne: null, $gt: 0 },
+        $and: [...(filter.$and || []), onSaleFilter(now)],
       }),
       Product.aggregate([
         { $match: filter },
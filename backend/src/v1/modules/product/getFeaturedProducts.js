@@ -1,4 +1,5 @@
 import Product from './Product.model.js';
+import { resolveSalePrice, SALE_PRICE_FIELDS } from './salePricing.js';
 
 const getFeaturedProducts = async (req, res, next) => {
   try {
@@ -27,7 +28,7 @@ const getFeaturedProducts = async (req, res, next) => {
     const products = await Product.find(filter)
       .populate('category', 'name slug')
       .select(
-        'name description images price discountPrice isFeatured ' +
+        `name description images ${SALE_PRICE_FIELDS} isFeatured ` +
           'averageRating totalReviews hasVariants variants tags createdAt',
       )
       .sort({ createdAt: -1 }) // Newest featured first
@@ -35,14 +36,10 @@ const getFeaturedProducts = async (req, res, next) => {
       .lean();
 
     // Transform for public consumption
+    const now = new Date();
     const featuredProducts = products.map(product => {
-      const effectivePrice = product.discountPrice || product.price;
-      const discountPercentage =
-        product.discountPrice && product.price
-          ? Math.round(
-              ((product.price - product.discountPrice) / product.price) * 100,
-            )
-          : 0;
+      // Discount only counts inside its sale window
+      const pricing = resolveSalePrice(product, null, now);
 
       // Check stock availability
       let isInStock = false;
@@ -63,10 +60,11 @@ const getFeaturedProducts = async (req, res, next) => {
         name: product.name,
         description: product.description,
         images: product.images || [],
-        price: product.price,
-        discountPrice: product.discountPrice,
-        effectivePrice,
-        discountPercentage,
+        price: pricing.price,
+        discountPrice: pricing.discountPrice,
+        effectivePrice: pricing.effectivePrice,
+        discountPercentage: pricing.discountPercentage,
+        isOnSale: pricing.isOnSale,
         category: product.category,
         tags: product.tags || [],
         hasVariants: product.hasVariants,
@@ -1,4 +1,5 @@
 import Product from './Product.model.js';
+import { resolveSalePrice, SALE_PRICE_FIELDS } from './salePricing.js';
 
 const getProductPublic = async (req, res, next) => {
   try {
@@ -12,7 +13,7 @@ const getProductPublic = async (req, res, next) => {
       .populate('category', 'name slug description image')
       .select(
         // Only select public-safe fields
-        'name description images price discountPrice category tags ' +
+        `name description images ${SALE_PRICE_FIELDS} category tags ` +
           'hasVariants variants isFeatured averageRating totalReviews ' +
           'views metaTitle metaDescription weight dimensions createdAt updatedAt',
       )
@@ -31,14 +32,20 @@ const getProductPublic = async (req, res, next) => {
       { new: false },
     ).catch(err => console.log('View count update failed:', err));
 
+    // Discounts only count inside their sale window
+    const now = new Date();
+    const productPricing = resolveSalePrice(product, null, now);
+
     // Transform product for public consumption
     const publicProduct = {
       _id: product._id,
       name: product.name,
       description: product.description,
       images: product.images || [],
-      price: product.price,
-      discountPrice: product.discountPrice,
+      price: productPricing.price,
+      discountPrice: productPricing.discountPrice,
+      isOnSale: productPricing.isOnSale,
+      saleEndDate: productPricing.saleEndDate,
       category: product.category,
       tags: product.tags || [],
       hasVariants: product.hasVariants,
@@ -55,13 +62,8 @@ const getProductPublic = async (req, res, next) => {
     };
 
     // Calculate effective price and discount
-    publicProduct.effectivePrice = product.discountPrice || product.price;
-    publicProduct.discountPercentage =
-      product.discountPrice && product.price
-        ? Math.round(
-            ((product.price - product.discountPrice) / product.price) * 100,
-          )
-        : 0;
+    publicProduct.effectivePrice = productPricing.effectivePrice;
+    publicProduct.discountPercentage = productPricing.discountPercentage;
 
     // Handle variants (only show available ones)
     if (
@@ -80,7 +82,7 @@ const getProductPublic = async (req, res, next) => {
       // Calculate variant price range
       if (availableVariants.length > 0) {
         const variantPrices = availableVariants.map(
-          v => v.discountPrice || v.price || product.price,
+          v => resolveSalePrice(product, v, now).effectivePrice,
         );
         const minPrice = Math.min(...variantPrices);
         const maxPrice = Math.max(...variantPrices);
@@ -105,27 +107,26 @@ const getProductPublic = async (req, res, next) => {
       }
 
       // Transform variants for public (remove sensitive data)
-      publicProduct.variants = availableVariants.map(variant => ({
-        _id: variant._id,
-        color: variant.color,
-        size: variant.size,
-        price: variant.price,
-        discountPrice: variant.discountPrice,
-        effectivePrice: variant.discountPrice || variant.price || product.price,
-        images: variant.images || [],
-        weight: variant.weight,
-        dimensions: variant.dimensions,
-        sku: variant.sku, // Public can see SKU for ordering
-        isAvailable: variant.stock > 0,
-        discountPercentage:
-          variant.discountPrice && (variant.price || product.price)
-            ? Math.round(
-                (((variant.price || product.price) - variant.discountPrice) /
-                  (variant.price || product.price)) *
-                  100,
-              )
-            : 0,
-      }));
+      publicProduct.variants = availableVariants.map(variant => {
+        const variantPricing = resolveSalePrice(product, variant, now);
+
+        return {
+          _id: variant._id,
+          color: variant.color,
+          size: variant.size,
+          price: variant.price,
+          discountPrice: variantPricing.discountPrice,
+          effectivePrice: variantPricing.effectivePrice,
+          isOnSale: variantPricing.isOnSale,
+          saleEndDate: variantPricing.saleEndDate,
+          images: variant.images || [],
+          weight: variant.weight,
+          dimensions: variant.dimensions,
+          sku: variant.sku, // Public can see SKU for ordering
+          isAvailable: variant.stock > 0,
+          discountPercentage: variantPricing.discountPercentage,
+        };
+      });
     } else {
       // For non-variant products, we can't show exact stock for security
       // but we can indicate availability
@@ -149,27 +150,26 @@ const getProductPublic = async (req, res, next) => {
       _id: { $ne: product._id },
       isActive: true,
     })
-      .select('name images price discountPrice averageRating totalReviews')
+      .select(`name images ${SALE_PRICE_FIELDS} averageRating totalReviews`)
       .limit(6)
       .lean();
 
     // Transform related products
-    const transformedRelatedProducts = relatedProducts.map(related => ({
-      _id: related._id,
-      name: related.name,
-      images: related.images || [],
-      price: related.price,
-      discountPrice: related.discountPrice,
-      effectivePrice: related.discountPrice || related.price,
-      averageRating: related.averageRating || 0,
-      totalReviews: related.totalReviews || 0,
-      discountPercentage:
-        related.discountPrice && related.price
-          ? Math.round(
-              ((related.price - related.discountPrice) / related.price) * 100,
-            )
-          : 0,
-    }));
+    const transformedRelatedProducts = relatedProducts.map(related => {
+      const relatedPricing = resolveSalePrice(related, null, now);
+
+      return {
+        _id: related._id,
+        name: related.name,
+        images: related.images || [],
+        price: relatedPricing.price,
+        discountPrice: relatedPricing.discountPrice,
+        effectivePrice: relatedPricing.effectivePrice,
+        averageRating: related.averageRating || 0,
+        totalReviews: related.totalReviews || 0,
+        discountPercentage: relatedPricing.discountPercentage,
+      };
+    });
 
     res.status(200).json({
       message: 'Product details retrieved successfully',
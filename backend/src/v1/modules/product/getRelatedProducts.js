@@ -1,4 +1,5 @@
 import Product from './Product.model.js';
+import { resolveSalePrice } from './salePricing.js';
 
 const getRelatedProducts = async (req, res, next) => {
   try {
@@ -98,6 +99,8 @@ const getRelatedProducts = async (req, res, next) => {
           images: 1,
           price: 1,
           discountPrice: 1,
+          saleStartDate: 1,
+          saleEndDate: 1,
           category: 1,
           tags: 1,
           hasVariants: 1,
@@ -111,14 +114,10 @@ const getRelatedProducts = async (req, res, next) => {
     ]);
 
     // Transform for public consumption
+    const now = new Date();
     const transformedProducts = relatedProducts.map(product => {
-      const effectivePrice = product.discountPrice || product.price;
-      const discountPercentage =
-        product.discountPrice && product.price
-          ? Math.round(
-              ((product.price - product.discountPrice) / product.price) * 100,
-            )
-          : 0;
+      // Discount only counts inside its sale window
+      const pricing = resolveSalePrice(product, null, now);
 
       // Check stock availability
       let isInStock = false;
@@ -139,10 +138,11 @@ const getRelatedProducts = async (req, res, next) => {
         name: product.name,
         description: product.description,
         images: product.images || [],
-        price: product.price,
-        discountPrice: product.discountPrice,
-        effectivePrice,
-        discountPercentage,
+        price: pricing.price,
+        discountPrice: pricing.discountPrice,
+        effectivePrice: pricing.effectivePrice,
+        discountPercentage: pricing.discountPercentage,
+        isOnSale: pricing.isOnSale,
         category: product.category,
         tags: product.tags || [],
         hasVariants: product.hasVariants,
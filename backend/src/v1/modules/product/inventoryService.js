@@ -0,0 +1,158 @@
+import Product from './Product.model.js';
+import Order from '../order/Order.model.js';
+
+/**
+ * Thrown when a guarded stock decrement finds fewer units than requested
+ */
+export class InsufficientStockError extends Error {
+  constructor(productName, details = {}) {
+    super(`Insufficient stock for "${productName}"`);
+    this.name = 'InsufficientStockError';
+    this.productName = productName;
+    this.details = details;
+  }
+}
+
+/**
+ * Builds the atomic stock update for a single order/cart line.
+ * Variant lines decrement both the variant and the product total so the
+ * denormalised `stock` field stays in sync without running save hooks.
+ * @param {Object} product - Product document (needs hasVariants)
+ * @param {Object} item - Line with quantity and optional variant.variantId
+ * @param {number} direction - -1 to reserve, 1 to restore
+ * @returns {Object} { filter, update }
+ */
+const buildStockUpdate = (product, item, direction) => {
+  const quantity = item.quantity * direction;
+  const variantId = item.variant?.variantId;
+
+  if (product.hasVariants && variantId) {
+    const variantFilter = { _id: variantId };
+    if (direction < 0) {
+      variantFilter.stock = { $gte: item.quantity };
+    }
+
+    return {
+      filter: { _id: product._id, variants: { $elemMatch: variantFilter } },
+      update: { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+    };
+  }
+
+  const filter = { _id: product._id };
+  if (direction < 0) {
+    filter.stock = { $gte: item.quantity };
+  }
+
+  return { filter, update: { $inc: { stock: quantity } } };
+};
+
+/**
+ * Atomically decrements stock for every line, failing if any line would go negative.
+ * Must run inside a transaction so a failure on a later line rolls back earlier ones.
+ * @param {Array<Object>} items - Lines with product, quantity and optional variant
+ * @param {Object} session - Mongoose client session
+ * @returns {Promise<void>}
+ */
+export const reserveStock = async (items, session) => {
+  for (const item of items) {
+    const product = await Product.findById(item.product)
+      .select(
+        'name hasVariants trackInventory stock variants._id variants.stock',
+      )
+      .session(session);
+
+    if (!product || !product.trackInventory) continue;
+
+    const { filter, update } = buildStockUpdate(product, item, -1);
+    const result = await Product.updateOne(filter, update, { session });
+
+    if (result.modifiedCount === 0) {
+      const variant = item.variant?.variantId
+        ? product.getVariantById(item.variant.variantId)
+        : null;
+
+      throw new InsufficientStockError(product.name, {
+        availableStock: variant ? variant.stock : product.stock,
+        requestedQuantity: item.quantity,
+      });
+    }
+  }
+};
+
+/**
+ * Puts order quantities back into the variant (by variant.variantId) or base product stock.
+ * Idempotent: each line records its restockedQuantity and a line is claimed with a
+ * compare-and-set on that value, so a repeated cancellation/return never restores twice.
+ * @param {Object} order - Order document; its items are updated in memory as well
+ * @param {Object} session - Mongoose client session (call inside a transaction)
+ * @param {Array<Object>} [lines] - Optional [{ itemId, quantity }] for partial restocks; defaults to every unrestocked unit
+ * @returns {Promise<Array<Object>>} Restocked lines [{ itemId, product, variantId, quantity }]
+ */
+export const restoreOrderStock = async (order, session, lines = null) => {
+  // Read current values inside the transaction so a retried transaction starts fresh
+  const current = await Order.findById(order._id)
+    .select('items._id items.restockedQuantity')
+    .session(session);
+  if (!current) return [];
+
+  const restocked = [];
+
+  for (const item of order.items) {
+    const currentItem = current.items.id(item._id);
+    const alreadyRestocked = currentItem?.restockedQuantity || 0;
+
+    const requested = lines
+      ? lines.find(line => line.itemId.toString() === item._id.toString())
+          ?.quantity || 0
+      : item.quantity;
+    const quantity = Math.min(requested, item.quantity - alreadyRestocked);
+    if (quantity <= 0) continue;
+
+    // Claim the units; fails if another request restocked this line meanwhile
+    const claim = await Order.updateOne(
+      {
+        _id: order._id,
+        items: {
+          $elemMatch: {
+            _id: item._id,
+            restockedQuantity:
+              alreadyRestocked === 0 ? { $in: [0, null] } : alreadyRestocked,
+          },
+        },
+      },
+      { $inc: { 'items.$.restockedQuantity': quantity } },
+      { session },
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    item.restockedQuantity = alreadyRestocked + quantity;
+
+    const product = await Product.findById(item.product)
+      .select('name hasVariants trackInventory')
+      .session(session);
+
+    if (product && product.trackInventory) {
+      const { filter, update } = buildStockUpdate(
+        product,
+        { quantity, variant: item.variant },
+        1,
+      );
+      const result = await Product.updateOne(filter, update, { session });
+
+      if (result.modifiedCount === 0) {
+        console.warn(
+          `Could not restock "${product.name}" - variant ${item.variant?.variantId} no longer exists`,
+        );
+      }
+    }
+
+    restocked.push({
+      itemId: item._id,
+      product: item.product,
+      variantId: item.variant?.variantId,
+      quantity,
+    });
+  }
+
+  return restocked;
+};
@@ -1,5 +1,6 @@
 import express from 'express';
-import verifyAdminOrModerator from '../../middlewares/verifyAdminOrModerator.js';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
 import createProduct from './createProduct.js';
 import updateProduct from './updateProduct.js';
 import deleteProduct from './deleteProduct.js';
@@ -29,37 +30,53 @@ productRouter.get('/:slug', getProductPublic);
 productRouter.get('/:id/related', getRelatedProducts);
 
 // Admin: Get all products with filtering, sorting, and pagination
-productRouter.get('/private/list', verifyAdminOrModerator, getAllProductsAdmin);
+productRouter.get(
+  '/private/list',
+  authorize(PERMISSIONS.PRODUCTS_READ),
+  getAllProductsAdmin,
+);
 
 // Admin: Get single product details with full analytics
-productRouter.get('/private/:id', verifyAdminOrModerator, getProductAdmin);
+productRouter.get(
+  '/private/:id',
+  authorize(PERMISSIONS.PRODUCTS_READ),
+  getProductAdmin,
+);
 
 // Image upload endpoint (Step 1: Upload images first)
 productRouter.post(
   '/upload-images',
-  verifyAdminOrModerator,
+  authorize(PERMISSIONS.PRODUCTS_WRITE),
   uploadMultiple('images', 5),
   handleMulterError,
   uploadImages,
 );
 
 // Product creation endpoint (Step 2: Create product with image URLs)
-productRouter.post('/', verifyAdminOrModerator, createProduct);
+productRouter.post('/', authorize(PERMISSIONS.PRODUCTS_WRITE), createProduct);
 
 // Product update endpoint
-productRouter.put('/:id', verifyAdminOrModerator, updateProduct);
+productRouter.put('/:id', authorize(PERMISSIONS.PRODUCTS_WRITE), updateProduct);
 
 // Product delete endpoint (soft delete)
-productRouter.delete('/:id', verifyAdminOrModerator, deleteProduct);
+productRouter.delete(
+  '/:id',
+  authorize(PERMISSIONS.PRODUCTS_DELETE),
+  deleteProduct,
+);
 
 // Toggle product status (activate/deactivate)
 productRouter.patch(
   '/:id/toggle-status',
-  verifyAdminOrModerator,
+  authorize(PERMISSIONS.PRODUCTS_WRITE),
   toggleProductStatus,
 );
 
 // Update product stock
-productRouter.patch('/:id/stock', verifyAdminOrModerator, updateStock);
+productRouter.patch(
+  '/:id/stock',
+  authorize(PERMISSIONS.PRODUCTS_WRITE),
+  updateStock,
+);
 
 export default productRouter;
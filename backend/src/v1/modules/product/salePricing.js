@@ -0,0 +1,130 @@
+// Product fields needed to resolve sale prices (add to .select() lists)
+export const SALE_PRICE_FIELDS =
+  'price discountPrice saleStartDate saleEndDate';
+
+/**
+ * Checks whether a sale window is open. Missing bounds are open-ended,
+ * so a discount without any window is always on (the pre-window behaviour).
+ * @param {Object} window - Object with optional saleStartDate and saleEndDate
+ * @param {Date} [now] - Point in time to check
+ * @returns {boolean} True if the window is open
+ */
+export const isSaleWindowOpen = (
+  { saleStartDate, saleEndDate } = {},
+  now = new Date(),
+) =>
+  (!saleStartDate || new Date(saleStartDate) <= now) &&
+  (!saleEndDate || new Date(saleEndDate) > now);
+
+// A variant with its own window uses it; otherwise it follows the product's window
+const variantWindow = (product, variant) =>
+  variant.saleStartDate || variant.saleEndDate ? variant : product;
+
+/**
+ * Resolves the price of a product or one of its variants at a point in time.
+ * A discount price only counts inside its sale window and when it is below the price.
+ * @param {Object} product - Product document or lean object
+ * @param {Object} [variant] - Selected variant
+ * @param {Date} [now] - Point in time to price at
+ * @returns {Object} { price, discountPrice, effectivePrice, isOnSale, saleEndDate, discountPercentage }
+ */
+export const resolveSalePrice = (product, variant = null, now = new Date()) => {
+  const price = variant?.price || product.price;
+
+  let discountPrice = null;
+  let saleEndDate = null;
+
+  if (
+    variant?.discountPrice &&
+    isSaleWindowOpen(variantWindow(product, variant), now)
+  ) {
+    discountPrice = variant.discountPrice;
+    saleEndDate = variantWindow(product, variant).saleEndDate || null;
+  } else if (product.discountPrice && isSaleWindowOpen(product, now)) {
+    discountPrice = product.discountPrice;
+    saleEndDate = product.saleEndDate || null;
+  }
+
+  // Ignore discounts that are not actually cheaper (e.g. a variant priced below the base discount)
+  if (discountPrice !== null && discountPrice >= price) {
+    discountPrice = null;
+    saleEndDate = null;
+  }
+
+  return {
+    price,
+    discountPrice,
+    effectivePrice: discountPrice ?? price,
+    isOnSale: discountPrice !== null,
+    saleEndDate,
+    discountPercentage:
+      discountPrice !== null && price
+        ? Math.round(((price - discountPrice) / price) * 100)
+        : 0,
+  };
+};
+
+// Mongo condition for an open window on fields with the given prefix
+const openWindowFilter = (now, prefix = '') => ({
+  $and: [
+    {
+      $or: [
+        { [`${prefix}saleStartDate`]: null },
+        { [`${prefix}saleStartDate`]: { $lte: now } },
+      ],
+    },
+    {
+      $or: [
+        { [`${prefix}saleEndDate`]: null },
+        { [`${prefix}saleEndDate`]: { $gt: now } },
+      ],
+    },
+  ],
+});
+
+/**
+ * Mongo filter for products with a discount that is live right now, on the product
+ * itself or on any variant (variants without their own window follow the product's)
+ * @param {Date} [now] - Point in time to check
+ * @returns {Object} Filter to combine with $and
+ */
+export const onSaleFilter = (now = new Date()) => ({
+  $or: [
+    // Product-level discount inside the product window
+    {
+      $and: [{ discountPrice: { $gt: 0 } }, openWindowFilter(now)],
+    },
+    // Variant discount inside the variant's own window
+    {
+      variants: {
+        $elemMatch: {
+          discountPrice: { $gt: 0 },
+          $and: [
+            ...openWindowFilter(now).$and,
+            {
+              $or: [
+                { saleStartDate: { $ne: null } },
+                { saleEndDate: { $ne: null } },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    // Variant discount without its own window, inside the product window
+    {
+      $and: [
+        {
+          variants: {
+            $elemMatch: {
+              discountPrice: { $gt: 0 },
+              saleStartDate: null,
+              saleEndDate: null,
+            },
+          },
+        },
+        openWindowFilter(now),
+      ],
+    },
+  ],
+});
@@ -1,4 +1,7 @@
 import Product from './Product.model.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { productWebhookData } from '../webhook/webhookPayloads.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 const toggleProductStatus = async (req, res, next) => {
   try {
@@ -28,6 +31,20 @@ const toggleProductStatus = async (req, res, next) => {
       { new: true, runValidators: true },
     ).select('_id name isActive updatedAt');
 
+    // The response only selects a few fields; the webhook sends the whole product
+    product.isActive = updatedProduct.isActive;
+    product.updatedAt = updatedProduct.updatedAt;
+    emitWebhookEvent('product.updated', productWebhookData(product));
+
+    await recordAuditLog(req, {
+      action: 'product.status',
+      entityType: 'product',
+      entityId: id,
+      entityLabel: product.name,
+      before: { isActive: !newStatus },
+      after: { isActive: newStatus },
+    });
+
     console.log(
       `Product status toggled: ${product.name} - ${newStatus ? 'Activated' : 'Deactivated'}`,
     );
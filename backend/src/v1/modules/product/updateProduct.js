@@ -2,6 +2,9 @@ import { z } from 'zod';
 import Product from './Product.model.js';
 import Category from '../category/Category.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { productWebhookData } from '../webhook/webhookPayloads.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 // Validation schema for product update (all fields optional except where needed)
 const updateProductSchema = z
@@ -36,6 +39,18 @@ const updateProductSchema = z
       .number()
       .positive('Discount price must be a positive number')
       .optional(),
+    saleStartDate: z
+      .string()
+      .datetime()
+      .transform(str => new Date(str))
+      .nullable()
+      .optional(),
+    saleEndDate: z
+      .string()
+      .datetime()
+      .transform(str => new Date(str))
+      .nullable()
+      .optional(),
     stock: z
       .number()
       .int('Stock must be an integer')
@@ -67,6 +82,18 @@ const updateProductSchema = z
             .number()
             .positive('Variant discount price must be a positive number')
             .optional(),
+          saleStartDate: z
+            .string()
+            .datetime()
+            .transform(str => new Date(str))
+            .nullable()
+            .optional(),
+          saleEndDate: z
+            .string()
+            .datetime()
+            .transform(str => new Date(str))
+            .nullable()
+            .optional(),
           images: z
             .array(
               z.object({
@@ -147,6 +174,20 @@ const updateProductSchema = z
       message: 'Variant discount price must be less than variant price',
       path: ['variants'],
     },
+  )
+  .refine(
+    data =>
+      // Validate sale windows end after they start
+      [data, ...(data.variants || [])].every(
+        window =>
+          !window.saleStartDate ||
+          !window.saleEndDate ||
+          window.saleStartDate < window.saleEndDate,
+      ),
+    {
+      message: 'Sale end date must be after sale start date',
+      path: ['saleEndDate'],
+    },
   );
 
 const updateProduct = async (req, res, next) => {
@@ -176,6 +217,8 @@ const updateProduct = async (req, res, next) => {
       images,
       price,
       discountPrice,
+      saleStartDate,
+      saleEndDate,
       stock,
       category,
       tags,
@@ -263,6 +306,8 @@ const updateProduct = async (req, res, next) => {
     if (images !== undefined) updateData.images = images;
     if (price !== undefined) updateData.price = price;
     if (discountPrice !== undefined) updateData.discountPrice = discountPrice;
+    if (saleStartDate !== undefined) updateData.saleStartDate = saleStartDate;
+    if (saleEndDate !== undefined) updateData.saleEndDate = saleEndDate;
     if (stock !== undefined) updateData.stock = stock;
     if (category !== undefined) updateData.category = category;
     if (tags !== undefined) updateData.tags = tags;
@@ -298,6 +343,17 @@ const updateProduct = async (req, res, next) => {
     // Populate category information before returning
     await updatedProduct.populate('category', 'name slug');
 
+    emitWebhookEvent('product.updated', productWebhookData(updatedProduct));
+
+    await recordAuditLog(req, {
+      action: 'product.update',
+      entityType: 'product',
+      entityId: updatedProduct._id,
+      entityLabel: updatedProduct.name,
+      before: existingProduct,
+      after: updatedProduct,
+    });
+
     res.status(200).json({
       message: 'Product updated successfully',
       product: updatedProduct,
@@ -1,6 +1,9 @@
 import { z } from 'zod';
 import Product from './Product.model.js';
 import formatZodError from '../../utils/formatZodError.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { productWebhookData } from '../webhook/webhookPayloads.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 // Validation schema for stock update
 const stockUpdateSchema = z.object({
@@ -70,6 +73,16 @@ const updateStock = async (req, res, next) => {
       // Update variant stock
       variant.stock = newStock;
       updateResult = await product.save();
+      emitWebhookEvent('product.updated', productWebhookData(updateResult));
+
+      await recordAuditLog(req, {
+        action: 'product.stock',
+        entityType: 'product',
+        entityId: id,
+        entityLabel: product.name,
+        before: { variants: { [variantId]: { stock: currentStock } } },
+        after: { variants: { [variantId]: { stock: newStock } } },
+      });
 
       console.log(
         `Variant stock updated: ${product.name} - Variant ${variantId} - ${currentStock} → ${newStock}`,
@@ -109,6 +122,16 @@ const updateStock = async (req, res, next) => {
         { stock: newStock },
         { new: true, runValidators: true },
       );
+      emitWebhookEvent('product.updated', productWebhookData(updateResult));
+
+      await recordAuditLog(req, {
+        action: 'product.stock',
+        entityType: 'product',
+        entityId: id,
+        entityLabel: product.name,
+        before: { stock: currentStock },
+        after: { stock: newStock },
+      });
 
       console.log(
         `Product stock updated: ${product.name} - ${currentStock} → ${newStock}`,
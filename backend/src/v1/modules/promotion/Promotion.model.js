@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+
+// Threshold step for tiered promotions (e.g. 5% over 2000, 10% over 3000)
+const promotionTierSchema = new mongoose.Schema(
+  {
+    minSubtotal: { type: Number, default: 0, min: 0 },
+    minQuantity: { type: Number, default: 0, min: 0 },
+    discountType: {
+      type: String,
+      enum: ['percent', 'flat'],
+      required: true,
+    },
+    value: { type: Number, required: true, min: 0 },
+  },
+  { _id: false },
+);
+
+// Product (and quantity) that is part of a bundle
+const bundleItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    quantity: { type: Number, default: 1, min: 1 },
+  },
+  { _id: false },
+);
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Promotion name is required'],
+      trim: true,
+      maxlength: [100, 'Promotion name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ['percent_off', 'fixed_off', 'buy_x_get_y', 'tiered', 'bundle'],
+        message:
+          'Promotion type must be percent_off, fixed_off, buy_x_get_y, tiered or bundle',
+      },
+      required: [true, 'Promotion type is required'],
+    },
+    // When the promotion applies. Products/categories limit the eligible lines
+    // (empty means every line); thresholds are checked against eligible lines.
+    conditions: {
+      minSubtotal: { type: Number, default: 0, min: 0 },
+      minQuantity: { type: Number, default: 0, min: 0 },
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    },
+    // What the promotion gives; which fields are used depends on type
+    action: {
+      // percent_off: percentage, fixed_off: amount
+      value: { type: Number, min: 0 },
+      // Cap for percent_off and percent tiers
+      maxDiscount: { type: Number, default: null, min: 0 },
+      // buy_x_get_y: buy N, get M of the cheapest eligible units at getDiscountPercent off
+      buyQuantity: { type: Number, min: 1 },
+      getQuantity: { type: Number, min: 1 },
+      getDiscountPercent: { type: Number, default: 100, min: 0, max: 100 },
+      tiers: [promotionTierSchema],
+      // bundle: these products together cost bundlePrice
+      bundleItems: [bundleItemSchema],
+      bundlePrice: { type: Number, min: 0 },
+    },
+    // Higher priority promotions are evaluated first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // An exclusive promotion is never combined with other promotions
+    exclusive: {
+      type: Boolean,
+      default: false,
+    },
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Number of orders the promotion was applied to
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Virtual for checking if the promotion is currently running
+promotionSchema.virtual('isRunning').get(function () {
+  const now = new Date();
+  return (
+    this.isActive &&
+    (!this.startDate || this.startDate <= now) &&
+    (!this.endDate || this.endDate > now)
+  );
+});
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+promotionSchema.index({ priority: -1 });
+
+// Type-specific action settings
+promotionSchema.pre('validate', function (next) {
+  const { action } = this;
+
+  switch (this.type) {
+    case 'percent_off':
+      if (action.value === undefined || action.value > 100) {
+        this.invalidate(
+          'action.value',
+          'A percentage between 0 and 100 is required',
+        );
+      }
+      break;
+    case 'fixed_off':
+      if (action.value === undefined) {
+        this.invalidate('action.value', 'A discount amount is required');
+      }
+      break;
+    case 'buy_x_get_y':
+      if (!action.buyQuantity || !action.getQuantity) {
+        this.invalidate(
+          'action.buyQuantity',
+          'Buy and get quantities are required',
+        );
+      }
+      break;
+    case 'tiered':
+      if (!action.tiers?.length) {
+        this.invalidate('action.tiers', 'At least one tier is required');
+      } else if (
+        action.tiers.some(
+          tier => tier.discountType === 'percent' && tier.value > 100,
+        )
+      ) {
+        this.invalidate('action.tiers', 'Percentage tiers cannot exceed 100%');
+      }
+      break;
+    case 'bundle':
+      if (!action.bundleItems?.length || action.bundlePrice === undefined) {
+        this.invalidate(
+          'action.bundleItems',
+          'Bundle items and a bundle price are required',
+        );
+      }
+      break;
+  }
+
+  if (this.startDate && this.endDate && this.startDate >= this.endDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+
+  next();
+});
+
+// Instance method to check if a line is in the promotion's product/category scope
+promotionSchema.methods.appliesToItem = function (
+  productId,
+  categoryId = null,
+) {
+  const { products, categories } = this.conditions;
+
+  // No scope means the promotion applies to the whole cart
+  if (!products.length && !categories.length) {
+    return true;
+  }
+
+  return (
+    products.some(id => id.toString() === productId?.toString()) ||
+    (Boolean(categoryId) &&
+      categories.some(id => id.toString() === categoryId.toString()))
+  );
+};
+
+// Static method to find promotions that are running right now
+promotionSchema.statics.findRunning = function () {
+  const now = new Date();
+  return this.find({
+    isActive: true,
+    startDate: { $lte: now },
+    $or: [{ endDate: null }, { endDate: { $gt: now } }],
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,119 @@
+import { z } from 'zod';
+import Promotion from './Promotion.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+const objectId = message => z.string().regex(/^[0-9a-fA-F]{24}$/, message);
+
+// Shared with updatePromotion; defaults come from the model so updates never reset fields
+export const promotionSchema = z.object({
+  name: z
+    .string()
+    .min(1, 'Promotion name is required')
+    .max(100, 'Promotion name cannot exceed 100 characters'),
+  description: z
+    .string()
+    .max(500, 'Description cannot exceed 500 characters')
+    .optional(),
+  type: z.enum(['percent_off', 'fixed_off', 'buy_x_get_y', 'tiered', 'bundle']),
+  conditions: z
+    .object({
+      minSubtotal: z.number().min(0, 'Minimum subtotal cannot be negative'),
+      minQuantity: z
+        .number()
+        .int()
+        .min(0, 'Minimum quantity cannot be negative'),
+      categories: z.array(objectId('Invalid category ID')),
+      products: z.array(objectId('Invalid product ID')),
+    })
+    .partial()
+    .optional(),
+  action: z
+    .object({
+      value: z.number().min(0, 'Value cannot be negative'),
+      maxDiscount: z
+        .number()
+        .min(0, 'Maximum discount cannot be negative')
+        .nullable(),
+      buyQuantity: z.number().int().min(1, 'Buy quantity must be at least 1'),
+      getQuantity: z.number().int().min(1, 'Get quantity must be at least 1'),
+      getDiscountPercent: z.number().min(0).max(100),
+      tiers: z.array(
+        z.object({
+          minSubtotal: z.number().min(0).optional(),
+          minQuantity: z.number().int().min(0).optional(),
+          discountType: z.enum(['percent', 'flat']),
+          value: z.number().min(0, 'Tier value cannot be negative'),
+        }),
+      ),
+      bundleItems: z.array(
+        z.object({
+          product: objectId('Invalid product ID'),
+          quantity: z.number().int().min(1).optional(),
+        }),
+      ),
+      bundlePrice: z.number().min(0, 'Bundle price cannot be negative'),
+    })
+    .partial()
+    .optional(),
+  priority: z.number().int().optional(),
+  exclusive: z.boolean().optional(),
+  startDate: z
+    .string()
+    .datetime()
+    .transform(str => new Date(str))
+    .optional(),
+  endDate: z
+    .string()
+    .datetime()
+    .transform(str => new Date(str))
+    .nullable()
+    .optional(),
+  isActive: z.boolean().optional(),
+});
+
+const createPromotion = async (req, res) => {
+  try {
+    // Validate input
+    const validationResult = promotionSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    // Type-specific action settings are checked by the model
+    const promotion = new Promotion({
+      ...validationResult.data,
+      createdBy: req.user.id,
+    });
+    await promotion.save();
+
+    await promotion.populate('createdBy', 'firstName lastName email');
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      promotion,
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default createPromotion;
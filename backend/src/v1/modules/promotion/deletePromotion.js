@@ -0,0 +1,48 @@
+import Promotion from './Promotion.model.js';
+
+const deletePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid promotion ID',
+      });
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({
+        message: 'Promotion not found',
+      });
+    }
+
+    // Orders keep a snapshot of applied promotions, but used ones stay for reporting
+    if (promotion.usageCount > 0) {
+      return res.status(400).json({
+        message:
+          'Cannot delete promotion that has been used. You can deactivate it instead.',
+        suggestion: 'Set isActive to false to deactivate the promotion',
+      });
+    }
+
+    await Promotion.findByIdAndDelete(id);
+
+    res.status(200).json({
+      message: 'Promotion deleted successfully',
+      deletedPromotion: {
+        id: promotion._id,
+        name: promotion.name,
+      },
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default deletePromotion;
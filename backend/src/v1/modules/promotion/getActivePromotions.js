@@ -0,0 +1,29 @@
+import Promotion from './Promotion.model.js';
+
+// Public list of running promotions (for storefront banners and product badges)
+const getActivePromotions = async (req, res) => {
+  try {
+    const promotions = await Promotion.findRunning()
+      .select(
+        'name description type conditions action.value action.maxDiscount action.buyQuantity action.getQuantity action.getDiscountPercent action.tiers action.bundleItems action.bundlePrice exclusive startDate endDate',
+      )
+      .populate('conditions.categories', 'name slug')
+      .populate('conditions.products', 'name slug')
+      .populate('action.bundleItems.product', 'name slug');
+
+    res.status(200).json({
+      message: 'Active promotions retrieved successfully',
+      data: {
+        promotions,
+      },
+    });
+  } catch (error) {
+    console.error('Get active promotions error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getActivePromotions;
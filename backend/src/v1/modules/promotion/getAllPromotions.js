@@ -0,0 +1,122 @@
+import { z } from 'zod';
+import Promotion from './Promotion.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+// Validation schema for query parameters
+const getPromotionsQuerySchema = z.object({
+  page: z
+    .string()
+    .transform(val => parseInt(val))
+    .pipe(z.number().int().min(1))
+    .default('1'),
+  limit: z
+    .string()
+    .transform(val => parseInt(val))
+    .pipe(z.number().int().min(1).max(100))
+    .default('10'),
+  search: z.string().optional(),
+  status: z
+    .enum(['all', 'running', 'scheduled', 'ended', 'inactive'])
+    .default('all'),
+  type: z
+    .enum([
+      'all',
+      'percent_off',
+      'fixed_off',
+      'buy_x_get_y',
+      'tiered',
+      'bundle',
+    ])
+    .default('all'),
+});
+
+const getAllPromotions = async (req, res) => {
+  try {
+    // Validate query parameters
+    const validationResult = getPromotionsQuerySchema.safeParse(req.query);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { page, limit, search, status, type } = validationResult.data;
+
+    // Build filter object
+    const filter = {};
+
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    // Status filter
+    const now = new Date();
+    switch (status) {
+      case 'running':
+        filter.isActive = true;
+        filter.startDate = { $lte: now };
+        filter.$and = [{ $or: [{ endDate: null }, { endDate: { $gt: now } }] }];
+        break;
+      case 'scheduled':
+        filter.isActive = true;
+        filter.startDate = { $gt: now };
+        break;
+      case 'ended':
+        filter.endDate = { $lte: now };
+        break;
+      case 'inactive':
+        filter.isActive = false;
+        break;
+      // 'all' - no additional filter
+    }
+
+    if (type !== 'all') {
+      filter.type = type;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const [promotions, totalPromotions] = await Promise.all([
+      Promotion.find(filter)
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ priority: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Promotion.countDocuments(filter),
+    ]);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalPromotions / limit);
+
+    res.status(200).json({
+      message: 'Promotions retrieved successfully',
+      promotions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPromotions,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      filters: {
+        search,
+        status,
+        type,
+      },
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getAllPromotions;
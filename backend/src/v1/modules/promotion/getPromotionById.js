@@ -0,0 +1,39 @@
+import Promotion from './Promotion.model.js';
+
+const getPromotionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid promotion ID',
+      });
+    }
+
+    const promotion = await Promotion.findById(id)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('conditions.categories', 'name')
+      .populate('conditions.products', 'name')
+      .populate('action.bundleItems.product', 'name');
+
+    if (!promotion) {
+      return res.status(404).json({
+        message: 'Promotion not found',
+      });
+    }
+
+    res.status(200).json({
+      message: 'Promotion retrieved successfully',
+      promotion,
+    });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getPromotionById;
@@ -0,0 +1,37 @@
+import express from 'express';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+import createPromotion from './createPromotion.js';
+import getAllPromotions from './getAllPromotions.js';
+import getPromotionById from './getPromotionById.js';
+import updatePromotion from './updatePromotion.js';
+import deletePromotion from './deletePromotion.js';
+import getActivePromotions from './getActivePromotions.js';
+
+const promotionRouter = express.Router();
+
+// Public route - promotions running right now
+promotionRouter.get('/active', getActivePromotions); // GET /promotions/active - Running promotions
+
+// Staff routes - reading needs promotions.read, changes promotions.write
+promotionRouter.use(authorize(PERMISSIONS.PROMOTIONS_READ));
+
+promotionRouter.get('/', getAllPromotions); // GET /promotions - List promotions
+promotionRouter.get('/:id', getPromotionById); // GET /promotions/:id - Get promotion
+promotionRouter.post(
+  '/',
+  authorize(PERMISSIONS.PROMOTIONS_WRITE),
+  createPromotion,
+); // POST /promotions - Create promotion
+promotionRouter.patch(
+  '/:id',
+  authorize(PERMISSIONS.PROMOTIONS_WRITE),
+  updatePromotion,
+); // PATCH /promotions/:id - Update promotion
+promotionRouter.delete(
+  '/:id',
+  authorize(PERMISSIONS.PROMOTIONS_WRITE),
+  deletePromotion,
+); // DELETE /promotions/:id - Delete promotion
+
+export default promotionRouter;
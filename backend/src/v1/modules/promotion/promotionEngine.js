@@ -0,0 +1,263 @@
+import Promotion from './Promotion.model.js';
+
+const round = value => Math.round(value * 100) / 100;
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Splits a discount across lines in proportion to their weights, capped by each weight.
+ * Rounding leftovers go to the last weighted line so the parts add up to the discount.
+ * @param {Array<number>} weights - Weight per line (0 for lines that get nothing)
+ * @param {number} discount - Discount to split
+ * @returns {Array<number>} Discount per line
+ */
+const prorate = (weights, discount) => {
+  const total = sum(weights);
+  const amount = Math.min(discount, total);
+  const lastIndex = weights.findLastIndex(weight => weight > 0);
+  let remaining = amount;
+
+  return weights.map((weight, index) => {
+    if (weight <= 0 || total <= 0) return 0;
+    if (index === lastIndex) return round(remaining);
+
+    const share = round((amount * weight) / total);
+    remaining -= share;
+    return share;
+  });
+};
+
+// Percent or flat discount on an amount, with an optional cap
+const discountFor = (discountType, value, amount, maxDiscount = null) => {
+  let discount =
+    discountType === 'percent'
+      ? (amount * value) / 100
+      : Math.min(value, amount);
+  if (maxDiscount && discount > maxDiscount) {
+    discount = maxDiscount;
+  }
+  return discount;
+};
+
+/**
+ * Buy X get Y: for every (buy + get) eligible units, the cheapest `get` units are discounted
+ * @returns {Array<number>} Discount per line
+ */
+const buyXGetYDiscounts = (promotion, items, remaining, eligible) => {
+  const { buyQuantity, getQuantity, getDiscountPercent } = promotion.action;
+  const eligibleQuantity = sum(
+    items.map((item, index) => (eligible[index] ? item.quantity : 0)),
+  );
+
+  let freeUnits =
+    Math.floor(eligibleQuantity / (buyQuantity + getQuantity)) * getQuantity;
+  const discounts = items.map(() => 0);
+
+  // Cheapest units first
+  const byUnitPrice = items
+    .map((item, index) => ({
+      index,
+      unitPrice: remaining[index] / item.quantity,
+    }))
+    .filter(({ index }) => eligible[index])
+    .sort((a, b) => a.unitPrice - b.unitPrice);
+
+  for (const { index, unitPrice } of byUnitPrice) {
+    if (freeUnits <= 0) break;
+    const units = Math.min(items[index].quantity, freeUnits);
+    discounts[index] = round((units * unitPrice * getDiscountPercent) / 100);
+    freeUnits -= units;
+  }
+
+  return discounts;
+};
+
+/**
+ * Bundle: every complete set of bundleItems costs bundlePrice instead of its regular price
+ * @returns {Array<number>} Discount per line
+ */
+const bundleDiscounts = (promotion, items, remaining, eligible) => {
+  const { bundleItems, bundlePrice } = promotion.action;
+
+  const linesFor = bundleItem =>
+    items
+      .map((item, index) => index)
+      .filter(
+        index =>
+          eligible[index] &&
+          items[index].product.toString() === bundleItem.product.toString(),
+      );
+
+  // Complete bundles in the cart
+  const bundleCount = Math.min(
+    ...bundleItems.map(bundleItem =>
+      Math.floor(
+        sum(linesFor(bundleItem).map(index => items[index].quantity)) /
+          bundleItem.quantity,
+      ),
+    ),
+  );
+  if (bundleCount <= 0) return items.map(() => 0);
+
+  // Regular price of the units that make up the bundles, per line
+  const bundledAmounts = items.map(() => 0);
+  bundleItems.forEach(bundleItem => {
+    let needed = bundleItem.quantity * bundleCount;
+    for (const index of linesFor(bundleItem)) {
+      if (needed <= 0) break;
+      const units = Math.min(items[index].quantity, needed);
+      bundledAmounts[index] +=
+        (units * remaining[index]) / items[index].quantity;
+      needed -= units;
+    }
+  });
+
+  const discount = sum(bundledAmounts) - bundleCount * bundlePrice;
+  return discount > 0 ? prorate(bundledAmounts, discount) : items.map(() => 0);
+};
+
+/**
+ * Calculates one promotion's discount per line on what is left after earlier promotions
+ * @param {Object} promotion - Promotion document
+ * @param {Array<Object>} items - Lines with product, categoryId, quantity and lineTotal
+ * @param {Array<number>} remaining - Amount per line still open to discounts
+ * @returns {Array<number>} Discount per line
+ */
+const calculatePromotion = (promotion, items, remaining) => {
+  const none = items.map(() => 0);
+
+  const eligible = items.map(item =>
+    promotion.appliesToItem(item.product, item.categoryId),
+  );
+  const eligibleAmounts = remaining.map((amount, index) =>
+    eligible[index] ? amount : 0,
+  );
+  const eligibleSubtotal = sum(eligibleAmounts);
+  const eligibleQuantity = sum(
+    items.map((item, index) => (eligible[index] ? item.quantity : 0)),
+  );
+
+  const { minSubtotal, minQuantity } = promotion.conditions;
+  if (
+    eligibleSubtotal <= 0 ||
+    eligibleSubtotal < (minSubtotal || 0) ||
+    eligibleQuantity < (minQuantity || 0)
+  ) {
+    return none;
+  }
+
+  const { action } = promotion;
+
+  switch (promotion.type) {
+    case 'percent_off':
+      return prorate(
+        eligibleAmounts,
+        discountFor(
+          'percent',
+          action.value,
+          eligibleSubtotal,
+          action.maxDiscount,
+        ),
+      );
+
+    case 'fixed_off':
+      return prorate(
+        eligibleAmounts,
+        discountFor('flat', action.value, eligibleSubtotal),
+      );
+
+    case 'tiered': {
+      // Highest tier whose thresholds are met
+      const tier = [...action.tiers]
+        .sort(
+          (a, b) =>
+            b.minSubtotal - a.minSubtotal || b.minQuantity - a.minQuantity,
+        )
+        .find(
+          candidate =>
+            eligibleSubtotal >= (candidate.minSubtotal || 0) &&
+            eligibleQuantity >= (candidate.minQuantity || 0),
+        );
+      if (!tier) return none;
+
+      return prorate(
+        eligibleAmounts,
+        discountFor(
+          tier.discountType,
+          tier.value,
+          eligibleSubtotal,
+          action.maxDiscount,
+        ),
+      );
+    }
+
+    case 'buy_x_get_y':
+      return buyXGetYDiscounts(promotion, items, remaining, eligible);
+
+    case 'bundle':
+      return bundleDiscounts(promotion, items, remaining, eligible);
+
+    default:
+      return none;
+  }
+};
+
+/**
+ * Applies promotions to cart lines in priority order. Each promotion only discounts what
+ * earlier promotions left, so lines never go below zero. An exclusive promotion is skipped
+ * when another promotion already applied, and stops evaluation when it applies itself.
+ * @param {Array<Object>} promotions - Promotion documents
+ * @param {Array<Object>} items - Lines with product, categoryId, quantity and lineTotal
+ * @returns {Object} { discount, lineDiscounts, appliedPromotions }
+ */
+export const applyPromotions = (promotions, items) => {
+  const remaining = items.map(item => item.lineTotal);
+  const lineDiscounts = items.map(() => 0);
+  const appliedPromotions = [];
+
+  const ordered = [...promotions].sort(
+    (a, b) => (b.priority || 0) - (a.priority || 0),
+  );
+
+  for (const promotion of ordered) {
+    if (promotion.exclusive && appliedPromotions.length > 0) continue;
+
+    const discounts = calculatePromotion(promotion, items, remaining);
+    const discount = round(sum(discounts));
+    if (discount <= 0) continue;
+
+    discounts.forEach((lineDiscount, index) => {
+      lineDiscounts[index] = round(lineDiscounts[index] + lineDiscount);
+      remaining[index] -= lineDiscount;
+    });
+
+    appliedPromotions.push({
+      promotion: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      discount,
+    });
+
+    if (promotion.exclusive) break;
+  }
+
+  return {
+    discount: round(sum(lineDiscounts)),
+    lineDiscounts,
+    appliedPromotions,
+  };
+};
+
+/**
+ * Evaluates every running promotion against cart lines
+ * @param {Array<Object>} items - Lines with product, categoryId, quantity and lineTotal
+ * @returns {Promise<Object>} { discount, lineDiscounts, appliedPromotions }
+ */
+export const evaluatePromotions = async items => {
+  if (items.length === 0) {
+    return { discount: 0, lineDiscounts: [], appliedPromotions: [] };
+  }
+
+  const promotions = await Promotion.findRunning();
+  return applyPromotions(promotions, items);
+};
@@ -0,0 +1,70 @@
+import Promotion from './Promotion.model.js';
+import { promotionSchema } from './createPromotion.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+const updatePromotionSchema = promotionSchema.partial();
+
+const updatePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid promotion ID',
+      });
+    }
+
+    // Validate input
+    const validationResult = updatePromotionSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({
+        message: 'Promotion not found',
+      });
+    }
+
+    // Saved through the document so the model re-checks the type-specific settings
+    promotion.set(validationResult.data);
+    await promotion.save();
+
+    await promotion.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'conditions.categories', select: 'name' },
+      { path: 'conditions.products', select: 'name' },
+      { path: 'action.bundleItems.product', select: 'name' },
+    ]);
+
+    res.status(200).json({
+      message: 'Promotion updated successfully',
+      promotion,
+    });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default updatePromotion;
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Review from './Review.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for review moderation
@@ -58,6 +59,7 @@ const moderateReview = async (req, res) => {
     }
 
     // Moderate review
+    const before = review.toObject({ depopulate: true });
     let updatedReview;
     if (action === 'approve') {
       updatedReview = await review.approve(adminId, notes);
@@ -65,6 +67,15 @@ const moderateReview = async (req, res) => {
       updatedReview = await review.reject(adminId, notes);
     }
 
+    await recordAuditLog(req, {
+      action: `review.${action}`,
+      entityType: 'review',
+      entityId: id,
+      entityLabel: review.product?.name,
+      before,
+      after: updatedReview,
+    });
+
     // Populate for response
     await updatedReview.populate('approvedBy', 'firstName lastName');
 
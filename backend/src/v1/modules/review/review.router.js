@@ -1,6 +1,6 @@
 import express from 'express';
-import verifyToken from '../../middlewares/verifyToken.js';
-import verifyAdmin from '../../middlewares/verifyAdmin.js';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
 import createReview from './createReview.js';
 import getProductReviews from './getProductReviews.js';
 import getUserReviews from './getUserReviews.js';
@@ -14,7 +14,7 @@ const router = express.Router();
 router.get('/product/:productId', getProductReviews);
 
 // Protected routes - Require authentication
-router.use(verifyToken);
+router.use(authorize());
 
 // User routes
 router.post('/', createReview); // Create review
@@ -22,7 +22,7 @@ router.get('/my-reviews', getUserReviews); // Get user's own reviews
 router.get('/eligibility/:productId', checkReviewEligibility); // Check if user can review product
 
 // Admin routes
-router.use(verifyAdmin); // All routes below require admin access
+router.use(authorize(PERMISSIONS.REVIEWS_MODERATE)); // All routes below require reviews.moderate
 
 // Admin: Get all reviews with moderation tools
 router.get('/', getAllReviews);
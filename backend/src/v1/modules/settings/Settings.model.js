@@ -154,6 +154,27 @@ const settingsSchema = new mongoose.Schema(
           type: String,
           default: 'Tax',
         },
+        // Region-specific standard rates (state match wins over country match)
+        regionalRates: [
+          {
+            country: { type: String, trim: true },
+            state: { type: String, trim: true },
+            rate: { type: Number, min: 0, max: 100, required: true },
+          },
+        ],
+        // Tax classes for categories taxed at a different rate (e.g. reduced, zero)
+        taxClasses: [
+          {
+            name: { type: String, trim: true, required: true },
+            rate: { type: Number, min: 0, max: 100, required: true },
+            categories: [
+              {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Category',
+              },
+            ],
+          },
+        ],
       },
       acceptedPaymentMethods: [
         {
@@ -205,6 +226,12 @@ const settingsSchema = new mongoose.Schema(
             min: 0,
             required: true,
           },
+          // Extra charge per weightUnit of cart weight (0 = flat rate)
+          pricePerWeightUnit: {
+            type: Number,
+            min: 0,
+            default: 0,
+          },
           estimatedDays: {
             min: Number,
             max: Number,
@@ -265,6 +292,27 @@ const settingsSchema = new mongoose.Schema(
       },
     },
 
+    // Returns (RMA) Policy
+    returns: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Days after delivery a customer can request a return
+      windowDays: {
+        type: Number,
+        min: 0,
+        max: 365,
+        default: 7,
+      },
+      maxPhotos: {
+        type: Number,
+        min: 0,
+        max: 10,
+        default: 5,
+      },
+    },
+
     // Email Configuration
     email: {
       orderConfirmation: {
@@ -300,6 +348,39 @@ const settingsSchema = new mongoose.Schema(
         },
         template: String,
       },
+      orderOutForDelivery: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        subject: {
+          type: String,
+          default: 'Your Order Is Out for Delivery',
+        },
+        template: String,
+      },
+      orderCancelled: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        subject: {
+          type: String,
+          default: 'Your Order #{orderNumber} Has Been Cancelled',
+        },
+        template: String,
+      },
+      orderRefunded: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        subject: {
+          type: String,
+          default: 'Your Refund for Order #{orderNumber}',
+        },
+        template: String,
+      },
       lowStock: {
         enabled: {
           type: Boolean,
@@ -384,7 +465,16 @@ const settingsSchema = new mongoose.Schema(
       enableTwoFactor: {
         type: Boolean,
         default: false,
-      },
+      }, // Lets users turn on TOTP two-factor authentication
+      requireTwoFactorForAdmins: {
+        type: Boolean,
+        default: false,
+      }, // Admins must set up two-factor authentication before they can sign in
+      emailVerificationPolicy: {
+        type: String,
+        enum: ['none', 'checkout', 'login'],
+        default: 'none',
+      }, // What unverified self-registered customers cannot do until they verify their email
       allowedFileTypes: {
         type: [String],
         default: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'pdf'],
@@ -25,6 +25,8 @@ const getAllSettings = async (req, res) => {
         lockoutDuration: settings.security.lockoutDuration,
         enableCaptcha: settings.security.enableCaptcha,
         enableTwoFactor: settings.security.enableTwoFactor,
+        requireTwoFactorForAdmins: settings.security.requireTwoFactorForAdmins,
+        emailVerificationPolicy: settings.security.emailVerificationPolicy,
         allowedFileTypes: settings.security.allowedFileTypes,
         maxFileSize: settings.security.maxFileSize,
       },
@@ -40,6 +42,7 @@ const getAllSettings = async (req, res) => {
           requestsPerMinute: settings.api.rateLimiting.requestsPerMinute,
         },
         webhooks: settings.api.webhooks.map(webhook => ({
+          id: webhook._id, // Filter the delivery log with ?webhookId=
           event: webhook.event,
           url: webhook.url,
           isActive: webhook.isActive,
@@ -49,6 +49,7 @@ const getPublicSettings = async (req, res) => {
         enableBackorders: settings.inventory.enableBackorders,
         backorderMessage: settings.inventory.backorderMessage,
       },
+      returns: settings.returns,
       seo: {
         metaTitle: settings.seo.metaTitle,
         metaDescription: settings.seo.metaDescription,
@@ -65,7 +66,12 @@ const getPublicSettings = async (req, res) => {
         cookieConsent: settings.legal.cookieConsent,
         ageVerification: settings.legal.ageVerification,
       },
-      maintenance: settings.maintenance,
+      // The allow-list stays private
+      maintenance: {
+        enabled: settings.maintenance.enabled,
+        message: settings.maintenance.message,
+        estimatedEndTime: settings.maintenance.estimatedEndTime,
+      },
       system: {
         dateFormat: settings.system.dateFormat,
         timeFormat: settings.system.timeFormat,
@@ -1,6 +1,6 @@
 import express from 'express';
-import verifyToken from '../../middlewares/verifyToken.js';
-import verifyAdmin from '../../middlewares/verifyAdmin.js';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
 import getAllSettings from './getAllSettings.js';
 import getPublicSettings from './getPublicSettings.js';
 import updateStoreSettings from './updateStoreSettings.js';
@@ -11,19 +11,22 @@ import updateSEOSettings from './updateSEOSettings.js';
 import updateSecuritySettings from './updateSecuritySettings.js';
 import updateMaintenanceSettings from './updateMaintenanceSettings.js';
 import updateUserExperienceSettings from './updateUserExperienceSettings.js';
+import updateReturnSettings from './updateReturnSettings.js';
+import updateEmailSettings from './updateEmailSettings.js';
 
 const router = express.Router();
 
 // Public route - Get public settings (no authentication required)
 router.get('/public', getPublicSettings);
 
-// Admin routes - All modification routes require admin authentication
-router.use(verifyToken, verifyAdmin);
+// Staff routes - reading needs settings.read, every update settings.write
+router.use(authorize(PERMISSIONS.SETTINGS_READ));
 
-// Get all settings (admin only)
+// Get all settings
 router.get('/', getAllSettings);
 
-// Update specific setting sections (admin only)
+// Update specific setting sections
+router.use(authorize(PERMISSIONS.SETTINGS_WRITE));
 router.patch('/store', updateStoreSettings);
 router.patch('/contact', updateContactSettings);
 router.patch('/financial', updateFinancialSettings);
@@ -32,5 +35,7 @@ router.patch('/seo', updateSEOSettings);
 router.patch('/security', updateSecuritySettings);
 router.patch('/maintenance', updateMaintenanceSettings);
 router.patch('/user-experience', updateUserExperienceSettings);
+router.patch('/returns', updateReturnSettings);
+router.patch('/email', updateEmailSettings);
 
 export default router;
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for business hours
@@ -78,6 +79,7 @@ const updateContactSettings = async (req, res) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    const before = settings.toObject().contact;
 
     // Update contact section
     if (Object.keys(updates).length > 0) {
@@ -103,6 +105,14 @@ const updateContactSettings = async (req, res) => {
       };
 
       await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'contact',
+        before,
+        after: settings.toObject().contact,
+      });
     }
 
     res.status(200).json({
@@ -0,0 +1,105 @@
+import { z } from 'zod';
+import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+// Each order email can be switched off and given its own subject.
+// Subjects may use {orderNumber}.
+const orderEmailSchema = z
+  .object({
+    enabled: z.boolean().optional(),
+    subject: z
+      .string()
+      .trim()
+      .min(1, 'Subject is required')
+      .max(200, 'Subject must be less than 200 characters')
+      .optional(),
+  })
+  .optional();
+
+// Validation schema for email settings
+const updateEmailSettingsSchema = z.object({
+  orderConfirmation: orderEmailSchema,
+  orderShipped: orderEmailSchema,
+  orderOutForDelivery: orderEmailSchema,
+  orderDelivered: orderEmailSchema,
+  orderCancelled: orderEmailSchema,
+  orderRefunded: orderEmailSchema,
+});
+
+const updateEmailSettings = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Validate input
+    const validationResult = updateEmailSettingsSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const updates = validationResult.data;
+
+    // Get current settings
+    const settings = await Settings.getSettings();
+    const before = settings.toObject().email;
+
+    // Update email section (only the fields sent for each email)
+    if (Object.keys(updates).length > 0) {
+      Object.keys(updates).forEach(key => {
+        Object.entries(updates[key] || {}).forEach(([field, value]) => {
+          if (value !== undefined) {
+            settings.email[key][field] = value;
+          }
+        });
+      });
+
+      // Update modification tracking
+      settings.lastModified = {
+        by: userId,
+        at: new Date(),
+        section: 'email',
+      };
+
+      await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'email',
+        before,
+        after: settings.toObject().email,
+      });
+    }
+
+    res.status(200).json({
+      message: 'Email settings updated successfully',
+      settings: {
+        email: settings.email,
+        lastModified: settings.lastModified,
+      },
+    });
+  } catch (error) {
+    console.error('Update email settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default updateEmailSettings;
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for payment methods
@@ -17,6 +18,26 @@ const paymentMethodSchema = z.object({
   processingFee: z.number().min(0).default(0),
 });
 
+// Validation schema for regional tax rates
+const regionalTaxRateSchema = z
+  .object({
+    country: z.string().trim().min(1).optional(),
+    state: z.string().trim().min(1).optional(),
+    rate: z.number().min(0).max(100),
+  })
+  .refine(data => data.country || data.state, {
+    message: 'Either country or state is required',
+  });
+
+// Validation schema for tax classes
+const taxClassSchema = z.object({
+  name: z.string().trim().min(1, 'Tax class name is required'),
+  rate: z.number().min(0).max(100),
+  categories: z
+    .array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid category ID'))
+    .default([]),
+});
+
 // Validation schema for financial settings
 const updateFinancialSettingsSchema = z.object({
   currency: z
@@ -50,6 +71,8 @@ const updateFinancialSettingsSchema = z.object({
       taxRate: z.number().min(0).max(100).optional(),
       taxInclusive: z.boolean().optional(),
       taxLabel: z.string().trim().optional(),
+      regionalRates: z.array(regionalTaxRateSchema).optional(),
+      taxClasses: z.array(taxClassSchema).optional(),
     })
     .optional(),
   acceptedPaymentMethods: z.array(paymentMethodSchema).optional(),
@@ -72,6 +95,7 @@ const updateFinancialSettings = async (req, res) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    const before = settings.toObject().financial;
 
     // Update financial section
     if (Object.keys(updates).length > 0) {
@@ -97,6 +121,14 @@ const updateFinancialSettings = async (req, res) => {
       };
 
       await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'financial',
+        before,
+        after: settings.toObject().financial,
+      });
     }
 
     res.status(200).json({
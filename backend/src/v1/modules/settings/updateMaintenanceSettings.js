@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for maintenance settings
@@ -51,6 +52,7 @@ const updateMaintenanceSettings = async (req, res) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    const before = settings.toObject().maintenance;
 
     // Update maintenance section
     if (Object.keys(updates).length > 0) {
@@ -68,6 +70,14 @@ const updateMaintenanceSettings = async (req, res) => {
       };
 
       await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'maintenance',
+        before,
+        after: settings.toObject().maintenance,
+      });
     }
 
     res.status(200).json({
@@ -0,0 +1,96 @@
+import { z } from 'zod';
+import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+// Validation schema for return (RMA) settings
+const updateReturnSettingsSchema = z.object({
+  enabled: z.boolean().optional(),
+  windowDays: z
+    .number()
+    .int()
+    .min(0, 'Return window cannot be negative')
+    .max(365, 'Return window cannot exceed 365 days')
+    .optional(),
+  maxPhotos: z
+    .number()
+    .int()
+    .min(0, 'Max photos cannot be negative')
+    .max(10, 'Max photos cannot exceed 10')
+    .optional(),
+});
+
+const updateReturnSettings = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Validate input
+    const validationResult = updateReturnSettingsSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const updates = validationResult.data;
+
+    // Get current settings
+    const settings = await Settings.getSettings();
+    const before = settings.toObject().returns;
+
+    // Update returns section
+    if (Object.keys(updates).length > 0) {
+      Object.keys(updates).forEach(key => {
+        if (updates[key] !== undefined) {
+          settings.returns[key] = updates[key];
+        }
+      });
+
+      // Update modification tracking
+      settings.lastModified = {
+        by: userId,
+        at: new Date(),
+        section: 'returns',
+      };
+
+      await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'returns',
+        before,
+        after: settings.toObject().returns,
+      });
+    }
+
+    res.status(200).json({
+      message: 'Return settings updated successfully',
+      settings: {
+        returns: settings.returns,
+        lastModified: settings.lastModified,
+      },
+    });
+  } catch (error) {
+    console.error('Update return settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default updateReturnSettings;
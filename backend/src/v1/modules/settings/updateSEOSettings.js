@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for SEO settings
@@ -61,6 +62,7 @@ const updateSEOSettings = async (req, res) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    const before = settings.toObject().seo;
 
     // Update SEO section
     if (Object.keys(updates).length > 0) {
@@ -86,6 +88,14 @@ const updateSEOSettings = async (req, res) => {
       };
 
       await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'seo',
+        before,
+        after: settings.toObject().seo,
+      });
     }
 
     res.status(200).json({
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for security settings
@@ -25,6 +26,8 @@ const updateSecuritySettingsSchema = z.object({
     .optional(),
   enableCaptcha: z.boolean().optional(),
   enableTwoFactor: z.boolean().optional(),
+  requireTwoFactorForAdmins: z.boolean().optional(),
+  emailVerificationPolicy: z.enum(['none', 'checkout', 'login']).optional(),
   allowedFileTypes: z.array(z.string().trim().toLowerCase()).optional(),
   maxFileSize: z
     .number()
@@ -85,6 +88,7 @@ const updateSecuritySettings = async (req, res) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    const before = settings.toObject().security;
 
     // Update security section
     if (Object.keys(updates).length > 0) {
@@ -102,6 +106,14 @@ const updateSecuritySettings = async (req, res) => {
       };
 
       await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'security',
+        before,
+        after: settings.toObject().security,
+      });
     }
 
     res.status(200).json({
@@ -116,6 +128,7 @@ const updateSecuritySettings = async (req, res) => {
           lockoutDuration: settings.security.lockoutDuration,
           enableCaptcha: settings.security.enableCaptcha,
           enableTwoFactor: settings.security.enableTwoFactor,
+          emailVerificationPolicy: settings.security.emailVerificationPolicy,
           allowedFileTypes: settings.security.allowedFileTypes,
           maxFileSize: settings.security.maxFileSize,
         },
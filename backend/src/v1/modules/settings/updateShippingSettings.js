@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for shipping methods
@@ -7,6 +8,10 @@ const shippingMethodSchema = z.object({
   name: z.string().trim().min(1, 'Shipping method name is required'),
   description: z.string().trim().optional(),
   price: z.number().min(0, 'Price cannot be negative'),
+  pricePerWeightUnit: z
+    .number()
+    .min(0, 'Price per weight unit cannot be negative')
+    .default(0),
   estimatedDays: z
     .object({
       min: z.number().int().min(0).optional(),
@@ -75,6 +80,7 @@ const updateShippingSettings = async (req, res) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    const before = settings.toObject().shipping;
 
     // Update shipping section
     if (Object.keys(updates).length > 0) {
@@ -92,6 +98,14 @@ const updateShippingSettings = async (req, res) => {
       };
 
       await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'shipping',
+        before,
+        after: settings.toObject().shipping,
+      });
     }
 
     res.status(200).json({
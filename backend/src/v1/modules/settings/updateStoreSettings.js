@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for store settings
@@ -54,6 +55,7 @@ const updateStoreSettings = async (req, res) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    const before = settings.toObject().store;
 
     // Update store section
     if (Object.keys(updates).length > 0) {
@@ -71,6 +73,14 @@ const updateStoreSettings = async (req, res) => {
       };
 
       await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'store',
+        before,
+        after: settings.toObject().store,
+      });
     }
 
     res.status(200).json({
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import Settings from './Settings.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 
 // Validation schema for user experience settings
@@ -68,6 +69,7 @@ const updateUserExperienceSettings = async (req, res) => {
 
     // Get current settings
     const settings = await Settings.getSettings();
+    const before = settings.toObject().userExperience;
 
     // Update user experience section
     if (Object.keys(updates).length > 0) {
@@ -85,6 +87,14 @@ const updateUserExperienceSettings = async (req, res) => {
       };
 
       await settings.save();
+
+      await recordAuditLog(req, {
+        action: 'settings.update',
+        entityType: 'settings',
+        entityId: 'userExperience',
+        before,
+        after: settings.toObject().userExperience,
+      });
     }
 
     res.status(200).json({
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+export const OTP_PURPOSES = [
+  'password_reset',
+  'email_verify',
+  'login',
+  'phone_verify',
+];
+
+// The current one-time code of a user for one purpose. Requesting a new code
+// replaces it, and the send counters on this document drive resend throttling.
+const otpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purpose: { type: String, enum: OTP_PURPOSES, required: true },
+    codeHash: { type: String, required: true }, // HMAC of the code, never the code
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 }, // Wrong and right guesses at this code
+    consumedAt: { type: Date, default: null },
+    // Resend throttling
+    lastSentAt: { type: Date, required: true },
+    sendWindowStartedAt: { type: Date, required: true },
+    sendCount: { type: Number, default: 1 },
+    // password_reset: single-use token the verified code is exchanged for
+    resetTokenHash: { type: String, default: null },
+    resetTokenExpiresAt: { type: Date, default: null },
+    resetTokenUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+otpSchema.index({ user: 1, purpose: 1 }, { unique: true });
+// Kept a day after the last send so throttling still sees it, then removed by MongoDB
+otpSchema.index({ lastSentAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Otp = mongoose.model('Otp', otpSchema);
+export default Otp;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. Its refresh token rotates on every use; the session is
+// the token family, so revoking it ends every token ever issued from this login.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: { type: String, required: true }, // SHA-256 of the current refresh token
+    previousTokenHash: String, // Token replaced by the last rotation
+    retiredTokenHashes: [String], // Tokens replaced by the last few rotations, for reuse detection
+    rotatedAt: Date,
+    rotationCount: { type: Number, default: 0 },
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: { type: Date, default: Date.now },
+    // Idle expiry: pushed forward by Settings.security.sessionTimeout on every refresh
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'revoked_by_user',
+        'reuse_detected',
+        'password_changed',
+        'account_deleted',
+      ],
+    },
+  },
+  { timestamps: true },
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Expired sessions are removed by MongoDB a day after they end
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
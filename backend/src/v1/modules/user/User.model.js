@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { ROLES } from '../../constants/ROLES.js';
+import { ALL_PERMISSIONS } from '../../constants/PERMISSIONS.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -11,8 +12,33 @@ const userSchema = new mongoose.Schema(
       enum: Object.values(ROLES),
       default: ROLES.CUSTOMER,
     },
-    otp: { type: String, default: null },
-    otpExpires: { type: Date, default: null },
+    // Moderators: changes to their role's permissions (constants/PERMISSIONS.js)
+    grantedPermissions: [{ type: String, enum: ALL_PERMISSIONS }],
+    deniedPermissions: [{ type: String, enum: ALL_PERMISSIONS }],
+    // Self-registered customers start unverified; accounts created by admins
+    // (and those from before verification existed) count as verified
+    emailVerified: { type: Boolean, default: true },
+    emailVerifiedAt: { type: Date, default: null },
+    emailVerificationSentAt: { type: Date, default: null }, // Resend cooldown
+    // Login lockout (Settings.security.maxLoginAttempts / lockoutDuration)
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date, default: null },
+    lockUntil: { type: Date, default: null },
+    // TOTP two-factor authentication (see twoFactorService.js)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: String, // Encrypted
+      pendingSecret: String, // Encrypted; set by enroll until confirmed
+      enabledAt: Date,
+      lastUsedStep: Number, // Time step of the last accepted code, so codes work once
+      recoveryCodes: [
+        {
+          _id: false,
+          hash: String, // SHA-256 of the code
+          usedAt: { type: Date, default: null },
+        },
+      ],
+    },
     addresses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Address' }],
     wishlist: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
     deleted: { type: Boolean, default: false },
@@ -1,5 +1,6 @@
 import { ROLES } from '../../constants/ROLES.js';
 import User from './User.model.js';
+import { getUserPermissions } from '../../utils/permissions.js';
 
 /**
  * Get all customers with pagination, search, and filtering
@@ -17,7 +18,10 @@ const allModerators = async (req, res, next) => {
       success: true,
       message: 'Moderators fetched successfully',
       data: {
-        moderators,
+        moderators: moderators.map(moderator => ({
+          ...moderator,
+          permissions: getUserPermissions(moderator),
+        })),
       },
     });
   } catch (error) {
@@ -2,6 +2,7 @@ import formatZodError from '../../utils/formatZodError.js';
 import bcrypt from 'bcryptjs';
 import { z } from 'zod';
 import User from './User.model.js';
+import { revokeUserSessions } from './sessionService.js';
 
 const changePasswordSchema = z.object({
   newPassword: z
@@ -20,7 +21,7 @@ const changePassword = async (req, res, next) => {
     const validatedData = changePasswordSchema.parse(req.body);
     const { newPassword } = validatedData;
 
-    // Get the user from the request (assuming user is set by verifyToken middleware)
+    // Get the user from the request (set by the authorize middleware)
     const user = req.user;
 
     // Hash the new password
@@ -32,6 +33,11 @@ const changePassword = async (req, res, next) => {
       { new: true },
     );
 
+    // Other devices must sign in again with the new password
+    await revokeUserSessions(user._id, 'password_changed', {
+      exceptSessionId: req.sessionId,
+    });
+
     res.status(200).json({ message: 'Password changed successfully' });
   } catch (error) {
     // Handle Zod validation errors
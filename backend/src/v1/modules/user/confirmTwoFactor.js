@@ -0,0 +1,60 @@
+import { z } from 'zod';
+import formatZodError from '../../utils/formatZodError.js';
+import { formatUserForResponsePublic } from '../../utils/formatUserForResponse.js';
+import {
+  TwoFactorError,
+  confirmTwoFactorEnrollment,
+} from './twoFactorService.js';
+import { clearFailedLogins } from './loginLockout.js';
+import { startSession } from './sessionService.js';
+
+// Validation schema for confirming enrollment
+const confirmTwoFactorSchema = z.object({
+  code: z.string().trim().min(6, 'Code is required').max(10),
+  setupToken: z.string().optional(),
+});
+
+const confirmTwoFactor = async (req, res, next) => {
+  try {
+    // Validate input
+    const validationResult = confirmTwoFactorSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const recoveryCodes = await confirmTwoFactorEnrollment(
+      req.user,
+      validationResult.data.code,
+    );
+
+    const data = { recoveryCodes };
+
+    // Setting up from the login screen completes the login
+    if (req.twoFactorSetup) {
+      await clearFailedLogins(req.user);
+      data.token = (await startSession(req, res, req.user)).token;
+      data.user = formatUserForResponsePublic({
+        ...req.user.toObject(),
+        twoFactor: { enabled: true },
+      });
+    }
+
+    res.status(200).json({
+      message:
+        'Two-factor authentication enabled. Store the recovery codes somewhere safe; they will not be shown again',
+      data,
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Two-factor confirm error:', error);
+    next(error);
+  }
+};
+
+export default confirmTwoFactor;
@@ -1,6 +1,7 @@
 import bcrypt from 'bcryptjs';
 import { z } from 'zod';
 import User from './User.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 import formatZodError from '../../utils/formatZodError.js';
 import welcomingModeratorEmail from '../../emails/welcomingModeratorEmail.js';
 import sendEmail from '../../utils/sendEmail.js';
@@ -35,21 +36,44 @@ const createModerator = async (req, res, next) => {
       });
     }
 
+    // Only new accounts: taking over an existing one would reset its password
+    // and role (an admin's or a customer's) for whoever holds moderators.manage
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        message: 'An account with this email already exists',
+      });
+    }
+
     // Hash the password
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create new user
-    await User.findOneAndUpdate(
-      { email },
-      {
+    let moderator;
+    try {
+      moderator = await User.create({
         name,
         email,
         password: hashedPassword,
         role: 'moderator',
         createdBy: req.user._id,
-      },
-      { new: true, upsert: true },
-    );
+      });
+    } catch (error) {
+      // Registered between the check above and the insert
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: 'An account with this email already exists',
+        });
+      }
+      throw error;
+    }
+
+    await recordAuditLog(req, {
+      action: 'moderator.create',
+      entityType: 'user',
+      entityId: moderator._id,
+      entityLabel: email,
+      after: { name, email, role: moderator.role },
+    });
 
     await sendEmail({
       to: email,
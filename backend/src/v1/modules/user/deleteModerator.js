@@ -1,4 +1,6 @@
 import User from './User.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
+import { revokeUserSessions } from './sessionService.js';
 
 const deleteModerator = async (req, res, next) => {
   try {
@@ -21,6 +23,17 @@ const deleteModerator = async (req, res, next) => {
       return res.status(404).json({ message: 'Moderator not found' });
     }
 
+    await revokeUserSessions(deletedModerator._id, 'account_deleted');
+
+    await recordAuditLog(req, {
+      action: 'moderator.delete',
+      entityType: 'user',
+      entityId: deletedModerator._id,
+      entityLabel: email,
+      before: { deleted: false },
+      after: { deleted: true },
+    });
+
     res.status(200).json({ message: 'Moderator deleted successfully' });
   } catch (error) {
     console.error('Error deleting moderator:', error);
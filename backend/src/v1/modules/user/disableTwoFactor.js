@@ -0,0 +1,59 @@
+import bcrypt from 'bcryptjs';
+import { z } from 'zod';
+import Settings from '../settings/Settings.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import {
+  TwoFactorError,
+  isTwoFactorRequired,
+  verifySecondFactor,
+  disableTwoFactor as turnOffTwoFactor,
+} from './twoFactorService.js';
+
+// Validation schema for turning two-factor off
+const disableTwoFactorSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+  code: z.string().trim().min(6, 'Code is required').max(20),
+});
+
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    // Validate input
+    const validationResult = disableTwoFactorSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { password, code } = validationResult.data;
+    const user = req.user;
+
+    const settings = await Settings.getSettings();
+    if (isTwoFactorRequired(user, settings)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for this account',
+      });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    await verifySecondFactor(user, code);
+    await turnOffTwoFactor(user);
+
+    res.status(200).json({
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Two-factor disable error:', error);
+    next(error);
+  }
+};
+
+export default disableTwoFactor;
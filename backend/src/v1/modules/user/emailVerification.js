@@ -0,0 +1,189 @@
+import jwt from 'jsonwebtoken';
+import User from './User.model.js';
+import Settings from '../settings/Settings.model.js';
+import sendEmail from '../../utils/sendEmail.js';
+import emailVerificationEmail from '../../emails/emailVerificationEmail.js';
+
+/**
+ * Thrown when an email cannot be verified or a verification email cannot be resent
+ */
+export class EmailVerificationError extends Error {
+  constructor(message, statusCode = 400, retryAfter = undefined) {
+    super(message);
+    this.name = 'EmailVerificationError';
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const VERIFICATION_LINK_TTL_HOURS = 24;
+const RESEND_COOLDOWN_SECONDS = 2 * 60;
+
+// Own key, so a verification token can never pass as an access token
+const verificationKey = () => `${process.env.JWT_SECRET}:email-verification`;
+
+// The token names the address, so a link stops working if the email changes
+const issueVerificationToken = user =>
+  jwt.sign(
+    { userId: user._id.toString(), email: user.email },
+    verificationKey(),
+    { expiresIn: `${VERIFICATION_LINK_TTL_HOURS}h` },
+  );
+
+const deliverVerificationEmail = async user => {
+  const verificationUrl = `${process.env.WEBSITE_URL || 'http://localhost:3000'}/verify-email?token=${encodeURIComponent(issueVerificationToken(user))}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify Your Email Address',
+    text: `Hello ${user.name}, please verify your email address by opening this link: ${verificationUrl}`,
+    html: emailVerificationEmail({
+      email: user.email,
+      userName: user.name,
+      verificationUrl,
+      expiryHours: VERIFICATION_LINK_TTL_HOURS,
+      companyName: process.env.COMPANY_NAME || 'E-Commerce Express',
+      logoUrl: process.env.LOGO_URL || '',
+      supportEmail:
+        process.env.SUPPORT_EMAIL || 'support@ecommerce-express.com',
+    }),
+  });
+};
+
+/**
+ * Sends the verification link to a newly registered user. Failures are logged,
+ * not thrown: the account exists either way and the link can be resent.
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+export const sendVerificationEmail = async user => {
+  try {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { emailVerificationSentAt: new Date() } },
+    );
+    await deliverVerificationEmail(user);
+    return true;
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+    return false;
+  }
+};
+
+/**
+ * Sends a new verification link, at most once per cooldown period per account
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export const resendVerificationEmail = async user => {
+  if (user.emailVerified !== false) {
+    throw new EmailVerificationError('Email is already verified', 409);
+  }
+
+  // Claimed before sending, so parallel requests cannot each send an email
+  const now = new Date();
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      emailVerified: false,
+      $or: [
+        { emailVerificationSentAt: null },
+        {
+          emailVerificationSentAt: {
+            $lte: new Date(now - RESEND_COOLDOWN_SECONDS * 1000),
+          },
+        },
+      ],
+    },
+    { $set: { emailVerificationSentAt: now } },
+  );
+
+  if (!claimed) {
+    const current = await User.findById(user._id).select(
+      'emailVerified emailVerificationSentAt',
+    );
+    if (current?.emailVerified !== false) {
+      throw new EmailVerificationError('Email is already verified', 409);
+    }
+    const retryAfter = Math.max(
+      1,
+      Math.ceil(
+        (current.emailVerificationSentAt.getTime() +
+          RESEND_COOLDOWN_SECONDS * 1000 -
+          now.getTime()) /
+          1000,
+      ),
+    );
+    throw new EmailVerificationError(
+      `A verification email was sent recently. Try again in ${retryAfter} second(s).`,
+      429,
+      retryAfter,
+    );
+  }
+
+  try {
+    await deliverVerificationEmail(user);
+  } catch (error) {
+    // Give the cooldown back, the user did not get an email
+    await User.updateOne(
+      { _id: user._id, emailVerificationSentAt: now },
+      { $set: { emailVerificationSentAt: claimed.emailVerificationSentAt } },
+    );
+    throw error;
+  }
+};
+
+/**
+ * Marks the address in a verification link as verified. Opening a link again
+ * after it worked is not an error.
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} { user, alreadyVerified }
+ */
+export const verifyEmailToken = async token => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, verificationKey());
+  } catch {
+    throw new EmailVerificationError('Invalid or expired verification link');
+  }
+
+  const user = await User.findOne({
+    _id: decoded.userId,
+    email: decoded.email,
+    deleted: { $ne: true },
+  });
+  if (!user) {
+    throw new EmailVerificationError('Invalid or expired verification link');
+  }
+  if (user.emailVerified !== false) {
+    return { user, alreadyVerified: true };
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+  return { user, alreadyVerified: false };
+};
+
+/**
+ * Whether Settings.security.emailVerificationPolicy stops an unverified user at this step.
+ * 'login' blocks signing in and, for sessions started before the policy changed, checkout too.
+ * @param {Object} user - User document
+ * @param {string} step - 'login' or 'checkout'
+ * @returns {Promise<boolean>}
+ */
+export const isBlockedUntilVerified = async (user, step) => {
+  if (user.emailVerified !== false) return false;
+
+  const settings = await Settings.getSettings();
+  const policy = settings.security?.emailVerificationPolicy || 'none';
+  return policy === step || (policy === 'login' && step === 'checkout');
+};
+
+/**
+ * Response for a step blocked until the email is verified
+ * @param {Object} res - Express response
+ * @param {string} message - What the user needs to do
+ */
+export const sendEmailNotVerifiedResponse = (res, message) =>
+  res.status(403).json({ message, emailVerificationRequired: true });
@@ -0,0 +1,48 @@
+import bcrypt from 'bcryptjs';
+import Settings from '../settings/Settings.model.js';
+import {
+  TwoFactorError,
+  canUseTwoFactor,
+  startTwoFactorEnrollment,
+} from './twoFactorService.js';
+
+const enrollTwoFactor = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    const settings = await Settings.getSettings();
+    if (!canUseTwoFactor(user, settings)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is not available',
+      });
+    }
+
+    // Signed-in users confirm their password; the login setup flow already checked it
+    if (!req.twoFactorSetup) {
+      const { password } = req.body || {};
+      if (!password || !(await bcrypt.compare(password, user.password))) {
+        return res.status(401).json({ message: 'Invalid password' });
+      }
+    }
+
+    const { secret, otpauthUri } = await startTwoFactorEnrollment(user);
+
+    res.status(200).json({
+      message:
+        'Scan the QR code (otpauthUri) with your authenticator app, then confirm with a code',
+      data: {
+        otpauthUri,
+        secret, // For entering the key by hand
+      },
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Two-factor enroll error:', error);
+    next(error);
+  }
+};
+
+export default enrollTwoFactor;
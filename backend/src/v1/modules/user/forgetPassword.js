@@ -1,6 +1,12 @@
 import otpSendingEmail from '../../emails/otpSendingEmail.js';
 import sendEmail from '../../utils/sendEmail.js';
 import User from './User.model.js';
+import {
+  issueOtp,
+  OtpError,
+  OTP_TTL_MINUTES,
+  sendOtpErrorResponse,
+} from './otpService.js';
 
 const forgetPassword = async (req, res, next) => {
   try {
@@ -12,16 +18,16 @@ const forgetPassword = async (req, res, next) => {
     }
 
     // Find user by email
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await User.findOne({
+      email: email.toLowerCase(),
+      deleted: { $ne: true },
+    });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Generate reset token
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    user.otp = otp;
-    user.otpExpires = new Date(Date.now() + 15 * 60 * 1000);
-    await user.save();
+    // Generate reset code (throttled per user)
+    const otp = await issueOtp(user, 'password_reset');
 
     // Send reset password email
     await sendEmail({
@@ -33,13 +39,17 @@ const forgetPassword = async (req, res, next) => {
         otp,
         userName: user.name,
         purpose: 'password reset',
-        expiryMinutes: 15,
+        expiryMinutes: OTP_TTL_MINUTES,
         supportEmail: 'support@ecommerce-express.com',
       }),
     });
 
     res.status(200).json({ message: 'Password reset email sent successfully' });
   } catch (error) {
+    if (error instanceof OtpError) {
+      return sendOtpErrorResponse(res, error);
+    }
+
     console.error('Forget password error:', error);
     next(error);
   }
@@ -1,4 +1,5 @@
 import User from './User.model.js';
+import { getUserPermissions } from '../../utils/permissions.js';
 
 const getMyProfile = async (req, res, next) => {
   try {
@@ -8,7 +9,7 @@ const getMyProfile = async (req, res, next) => {
     // Fetch user profile from database
     const userProfile = await User.findOne(
       { email },
-      '-password -__v -otp -otpExpires',
+      '-password -__v -otp -otpExpires -failedLoginAttempts -lastFailedLoginAt -lockUntil -twoFactor.secret -twoFactor.pendingSecret -twoFactor.lastUsedStep -twoFactor.recoveryCodes',
     );
     if (!userProfile) {
       return res.status(404).json({ message: 'User profile not found' });
@@ -16,7 +17,10 @@ const getMyProfile = async (req, res, next) => {
     // Return user profile
     res.status(200).json({
       message: 'User profile retrieved successfully',
-      data: userProfile,
+      data: {
+        ...userProfile.toObject(),
+        permissions: getUserPermissions(userProfile),
+      },
     });
   } catch (error) {
     console.error('Error retrieving user profile:', error);
@@ -0,0 +1,34 @@
+import Session from './Session.model.js';
+
+const getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    next(error);
+  }
+};
+
+export default getMySessions;
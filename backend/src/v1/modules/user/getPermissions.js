@@ -0,0 +1,22 @@
+import {
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+} from '../../constants/PERMISSIONS.js';
+
+// Permission catalog and role templates, for building the moderator permission editor
+const getPermissions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      message: 'Permissions retrieved successfully',
+      data: {
+        permissions: ALL_PERMISSIONS,
+        roles: ROLE_PERMISSIONS,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    next(error);
+  }
+};
+
+export default getPermissions;
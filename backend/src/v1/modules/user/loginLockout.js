@@ -0,0 +1,143 @@
+import User from './User.model.js';
+import Settings from '../settings/Settings.model.js';
+import sendEmail from '../../utils/sendEmail.js';
+import accountLockedEmail from '../../emails/accountLockedEmail.js';
+
+// Settings.security limits (attempts before locking, lock length in minutes)
+const getLockoutPolicy = async () => {
+  const settings = await Settings.getSettings();
+  return {
+    maxLoginAttempts: settings.security?.maxLoginAttempts || 5,
+    lockoutDuration: settings.security?.lockoutDuration || 15,
+  };
+};
+
+/**
+ * Active lock of an account
+ * @param {Object} user - User document
+ * @returns {Object|null} { lockedUntil, retryAfter (seconds) }, or null when not locked
+ */
+export const getAccountLock = user => {
+  if (!user.lockUntil || user.lockUntil <= new Date()) return null;
+  return {
+    lockedUntil: user.lockUntil,
+    retryAfter: Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000),
+  };
+};
+
+const sendAccountLockedEmail = async (user, { failedAttempts, ipAddress }) => {
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Your Account Has Been Locked',
+      text: `Your account was locked after ${failedAttempts} failed sign-in attempts. You can sign in again after ${user.lockUntil.toISOString()}.`,
+      html: accountLockedEmail({
+        email: user.email,
+        userName: user.name,
+        lockedUntil: user.lockUntil,
+        failedAttempts,
+        ipAddress,
+        companyName: process.env.COMPANY_NAME || 'E-Commerce Express',
+        logoUrl: process.env.LOGO_URL || '',
+        resetPasswordUrl: `${process.env.WEBSITE_URL || 'http://localhost:3000'}/forgot-password`,
+        supportEmail:
+          process.env.SUPPORT_EMAIL || 'support@ecommerce-express.com',
+      }),
+    });
+  } catch (error) {
+    // The lock stands even if the email cannot be sent
+    console.error('Failed to send account locked email:', error);
+  }
+};
+
+/**
+ * Counts a failed login and locks the account once Settings.security.maxLoginAttempts
+ * is reached. Failures older than the lockout duration are forgotten first, so
+ * occasional typos spread over time never add up to a lock.
+ * Only the attempt that locks the account sends the notification email.
+ * @param {Object} user - User document
+ * @param {Object} [details]
+ * @param {string} [details.ipAddress] - IP of the attempt, shown in the email
+ * @returns {Promise<Object>} { locked, attemptsRemaining } or { locked, lockedUntil, retryAfter }
+ */
+export const recordFailedLogin = async (user, { ipAddress } = {}) => {
+  const { maxLoginAttempts, lockoutDuration } = await getLockoutPolicy();
+  const lockoutMs = lockoutDuration * 60 * 1000;
+  const now = new Date();
+
+  await User.updateOne(
+    { _id: user._id, lastFailedLoginAt: { $lt: new Date(now - lockoutMs) } },
+    { $set: { failedLoginAttempts: 0 } },
+  );
+
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: now },
+    },
+    { new: true },
+  );
+
+  if (counted.failedLoginAttempts < maxLoginAttempts) {
+    return {
+      locked: false,
+      attemptsRemaining: maxLoginAttempts - counted.failedLoginAttempts,
+    };
+  }
+
+  // Guarded, so concurrent failures lock (and email) once; the count starts over after the lock
+  const locked = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      failedLoginAttempts: { $gte: maxLoginAttempts },
+      $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockUntil: new Date(now.getTime() + lockoutMs),
+        failedLoginAttempts: 0,
+      },
+    },
+    { new: true },
+  );
+
+  if (locked) {
+    console.log(`🔒 Account locked after failed logins: ${locked.email}`);
+    await sendAccountLockedEmail(locked, {
+      failedAttempts: maxLoginAttempts,
+      ipAddress,
+    });
+  }
+
+  const current = locked || (await User.findById(user._id));
+  return { locked: true, ...getAccountLock(current) };
+};
+
+/**
+ * Clears failed attempts and any lock (successful login, admin unlock)
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export const clearFailedLogins = async user => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } },
+  );
+};
+
+/**
+ * Response for a login to a locked account
+ * @param {Object} res - Express response
+ * @param {Object} lock - { lockedUntil, retryAfter } from getAccountLock()
+ */
+export const sendAccountLockedResponse = (res, lock) => {
+  const minutes = Math.ceil(lock.retryAfter / 60);
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(423).json({
+    message: `Account is temporarily locked due to too many failed login attempts. Try again in ${minutes} minute(s).`,
+    lockedUntil: lock.lockedUntil,
+    retryAfter: lock.retryAfter,
+  });
+};
@@ -1,7 +1,23 @@
 import User from './User.model.js';
+import Settings from '../settings/Settings.model.js';
 import bcrypt from 'bcryptjs';
-import generateToken from '../../utils/generateToken.js';
 import { formatUserForResponsePublic } from '../../utils/formatUserForResponse.js';
+import getClientIp from '../../utils/getClientIp.js';
+import {
+  getAccountLock,
+  recordFailedLogin,
+  clearFailedLogins,
+  sendAccountLockedResponse,
+} from './loginLockout.js';
+import {
+  isTwoFactorRequired,
+  issueTwoFactorChallenge,
+} from './twoFactorService.js';
+import { startSession } from './sessionService.js';
+import {
+  isBlockedUntilVerified,
+  sendEmailNotVerifiedResponse,
+} from './emailVerification.js';
 
 const loginUser = async (req, res, next) => {
   try {
@@ -23,14 +39,58 @@ const loginUser = async (req, res, next) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Locked accounts are refused before the password is checked
+    const lock = getAccountLock(user);
+    if (lock) {
+      return sendAccountLockedResponse(res, lock);
+    }
+
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      const attempt = await recordFailedLogin(user, {
+        ipAddress: getClientIp(req),
+      });
+      if (attempt.locked && attempt.lockedUntil) {
+        return sendAccountLockedResponse(res, attempt);
+      }
+      return res.status(401).json({
+        message: 'Invalid credentials',
+        attemptsRemaining: attempt.attemptsRemaining,
+      });
     }
 
-    // Generate JWT token
-    const token = await generateToken(user.email, user._id);
+    if (await isBlockedUntilVerified(user, 'login')) {
+      return sendEmailNotVerifiedResponse(
+        res,
+        'Please verify your email address before signing in',
+      );
+    }
+
+    // With two-factor on, the password only earns a challenge for the second step
+    // (POST /user/login/two-factor); failed attempts are cleared once that passes
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: issueTwoFactorChallenge(user, 'login'),
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    if (isTwoFactorRequired(user, settings)) {
+      return res.status(403).json({
+        message:
+          'Two-factor authentication is required for this account. Set it up to continue.',
+        twoFactorSetupRequired: true,
+        setupToken: issueTwoFactorChallenge(user, 'setup'),
+      });
+    }
+
+    await clearFailedLogins(user);
+
+    // Start a session: refresh cookie plus short-lived access token
+    const { token } = await startSession(req, res, user);
 
     const userObject = user.toObject();
 
@@ -0,0 +1,13 @@
+import { endSession } from './sessionService.js';
+
+const logoutUser = async (req, res, next) => {
+  try {
+    await endSession(req, res);
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    next(error);
+  }
+};
+
+export default logoutUser;
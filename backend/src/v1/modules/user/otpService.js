@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import Otp from './Otp.model.js';
+
+/**
+ * Thrown when a code cannot be issued (throttled) or verified
+ */
+export class OtpError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'OtpError';
+    this.statusCode = statusCode;
+    this.retryAfter = details.retryAfter;
+    this.attemptsRemaining = details.attemptsRemaining;
+  }
+}
+
+export const OTP_TTL_MINUTES = 15;
+const OTP_MAX_ATTEMPTS = 5;
+// At most one code per minute, and five per hour, for each user and purpose
+const RESEND_COOLDOWN_SECONDS = 60;
+const RESEND_WINDOW_SECONDS = 60 * 60;
+const RESEND_MAX_PER_WINDOW = 5;
+const RESET_TOKEN_TTL_MINUTES = 15;
+
+// Keyed with a server secret: six digits are too few for a plain hash to
+// survive a database dump. The user and purpose are mixed in so a code only
+// matches where it was issued.
+const hashCode = (otp, code) =>
+  crypto
+    .createHmac('sha256', `${process.env.JWT_SECRET}:otp`)
+    .update(`${otp.purpose}:${otp.user}:${String(code).trim()}`)
+    .digest('hex');
+
+const hashResetToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const secondsUntil = date => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+// When the next code may be sent, or null if it may be sent now
+const nextSendAllowedAt = (existing, now) => {
+  if (!existing) return null;
+
+  const cooldownEnds = new Date(
+    existing.lastSentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000,
+  );
+  const windowEnds = new Date(
+    existing.sendWindowStartedAt.getTime() + RESEND_WINDOW_SECONDS * 1000,
+  );
+
+  if (windowEnds > now && existing.sendCount >= RESEND_MAX_PER_WINDOW) {
+    return windowEnds;
+  }
+  return cooldownEnds > now ? cooldownEnds : null;
+};
+
+const throttled = allowedAt =>
+  new OtpError('Too many codes requested, please try again later', 429, {
+    retryAfter: secondsUntil(allowedAt),
+  });
+
+/**
+ * Issues a new 6-digit code, replacing any earlier one for the same purpose.
+ * The caller delivers it (email, SMS); only its hash is stored.
+ * @param {Object} user - User document
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @returns {Promise<string>} The code
+ */
+export const issueOtp = async (user, purpose) => {
+  const now = new Date();
+  const existing = await Otp.findOne({ user: user._id, purpose });
+
+  const allowedAt = nextSendAllowedAt(existing, now);
+  if (allowedAt) throw throttled(allowedAt);
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const windowOpen =
+    existing &&
+    existing.sendWindowStartedAt.getTime() + RESEND_WINDOW_SECONDS * 1000 >
+      now.getTime();
+
+  const update = {
+    $set: {
+      codeHash: hashCode({ user: user._id, purpose }, code),
+      expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+      attempts: 0,
+      consumedAt: null,
+      lastSentAt: now,
+      resetTokenHash: null,
+      resetTokenExpiresAt: null,
+      resetTokenUsedAt: null,
+      ...(windowOpen ? {} : { sendWindowStartedAt: now, sendCount: 1 }),
+    },
+    ...(windowOpen ? { $inc: { sendCount: 1 } } : {}),
+  };
+
+  try {
+    // Guarded on lastSentAt, so of two parallel requests only one sends a code
+    const issued = await Otp.findOneAndUpdate(
+      existing
+        ? { _id: existing._id, lastSentAt: existing.lastSentAt }
+        : { user: user._id, purpose },
+      update,
+      { upsert: !existing, new: true },
+    );
+    if (!issued) throw throttled(now);
+  } catch (error) {
+    if (error.code === 11000) throw throttled(now);
+    throw error;
+  }
+
+  return code;
+};
+
+/**
+ * Checks a code and uses it up. Every guess counts; after the maximum number of
+ * guesses the code stops working and a new one has to be requested.
+ * @param {Object} user - User document
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object>} The consumed Otp document
+ */
+export const verifyOtpCode = async (user, purpose, code) => {
+  const now = new Date();
+  const otp = await Otp.findOneAndUpdate(
+    {
+      user: user._id,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: now },
+      attempts: { $lt: OTP_MAX_ATTEMPTS },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true },
+  );
+  if (!otp) {
+    throw new OtpError('Invalid or expired code, please request a new one');
+  }
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashCode(otp, code), 'hex'),
+    Buffer.from(otp.codeHash, 'hex'),
+  );
+  if (!matches) {
+    const attemptsRemaining = OTP_MAX_ATTEMPTS - otp.attempts;
+    throw new OtpError(
+      attemptsRemaining > 0
+        ? 'Invalid code'
+        : 'Too many wrong codes, please request a new one',
+      400,
+      { attemptsRemaining },
+    );
+  }
+
+  const consumed = await Otp.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: now } },
+    { new: true },
+  );
+  if (!consumed) {
+    throw new OtpError('Invalid or expired code, please request a new one');
+  }
+  return consumed;
+};
+
+/**
+ * Exchanges a verified password_reset code for a reset token. The token only
+ * works with POST /user/reset-password, once; it is not a session.
+ * @param {Object} otp - Consumed password_reset Otp document
+ * @returns {Promise<Object>} { resetToken, expiresAt }
+ */
+export const issueResetToken = async otp => {
+  if (otp.purpose !== 'password_reset' || !otp.consumedAt) {
+    throw new Error('Reset tokens need a verified password_reset code');
+  }
+
+  // "<otpId>.<random>", so the record can be found without storing the token
+  const resetToken = `${otp._id}.${crypto.randomBytes(32).toString('base64url')}`;
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+  await Otp.updateOne(
+    { _id: otp._id },
+    {
+      $set: {
+        resetTokenHash: hashResetToken(resetToken),
+        resetTokenExpiresAt: expiresAt,
+        resetTokenUsedAt: null,
+      },
+    },
+  );
+  return { resetToken, expiresAt };
+};
+
+/**
+ * Uses up a reset token
+ * @param {string} resetToken - Token from issueResetToken()
+ * @returns {Promise<string>} ID of the user whose password may be reset
+ */
+export const consumeResetToken = async resetToken => {
+  const otpId = String(resetToken).split('.')[0];
+  if (!/^[0-9a-fA-F]{24}$/.test(otpId)) {
+    throw new OtpError('Invalid or expired reset token');
+  }
+
+  const now = new Date();
+  const otp = await Otp.findOneAndUpdate(
+    {
+      _id: otpId,
+      purpose: 'password_reset',
+      resetTokenHash: hashResetToken(resetToken),
+      resetTokenExpiresAt: { $gt: now },
+      resetTokenUsedAt: null,
+    },
+    { $set: { resetTokenUsedAt: now } },
+  );
+  if (!otp) {
+    throw new OtpError('Invalid or expired reset token');
+  }
+  return otp.user.toString();
+};
+
+/**
+ * Response for an OtpError
+ * @param {Object} res - Express response
+ * @param {OtpError} error
+ */
+export const sendOtpErrorResponse = (res, error) => {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.statusCode).json({
+    message: error.message,
+    retryAfter: error.retryAfter,
+    attemptsRemaining: error.attemptsRemaining,
+  });
+};
@@ -1,10 +1,16 @@
-import generateToken from '../../utils/generateToken.js';
+import { SessionError, rotateSession } from './sessionService.js';
 
+// Public: authenticated by the httpOnly refresh cookie, so it also works after
+// the access token has expired
 const refreshToken = async (req, res, next) => {
   try {
-    const newToken = await generateToken(req.userEmail, req.userId);
-    res.status(200).json({ token: newToken });
+    const { token } = await rotateSession(req, res);
+    res.status(200).json({ token });
   } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
     console.error('Refresh token error:', error);
     next(error);
   }
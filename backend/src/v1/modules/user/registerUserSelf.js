@@ -5,7 +5,13 @@ import formatZodError from '../../utils/formatZodError.js';
 import jwt from 'jsonwebtoken';
 import sendEmail from '../../utils/sendEmail.js';
 import welcomingUserEmail from '../../emails/welcomingUserEmail.js';
-import generateToken from '../../utils/generateToken.js';
+import { startSession } from './sessionService.js';
+import {
+  isBlockedUntilVerified,
+  sendVerificationEmail,
+} from './emailVerification.js';
+import { emitWebhookEvent } from '../webhook/webhookDispatcher.js';
+import { userWebhookData } from '../webhook/webhookPayloads.js';
 import { formatUserForResponsePublic } from '../../utils/formatUserForResponse.js';
 
 // Validation schema
@@ -45,10 +51,13 @@ const registerUserSelf = async (req, res, next) => {
       name,
       email,
       password: hashedPassword,
+      emailVerified: false,
     });
     await newUser.save();
 
-    const token = await generateToken(email, newUser._id);
+    emitWebhookEvent('user.registered', userWebhookData(newUser));
+
+    await sendVerificationEmail(newUser);
 
     const userObject = newUser.toObject();
 
@@ -62,6 +71,18 @@ const registerUserSelf = async (req, res, next) => {
       }),
     });
 
+    // Signing in waits for the verification link when the policy blocks login
+    if (await isBlockedUntilVerified(newUser, 'login')) {
+      return res.status(201).json({
+        message:
+          'User registered successfully. Please verify your email address before signing in',
+        emailVerificationRequired: true,
+        user: formatUserForResponsePublic(userObject),
+      });
+    }
+
+    const { token } = await startSession(req, res, newUser);
+
     res.status(201).json({
       message: 'User registered successfully',
       token,
@@ -0,0 +1,50 @@
+import { z } from 'zod';
+import User from './User.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import {
+  EmailVerificationError,
+  resendVerificationEmail as sendNewVerificationEmail,
+} from './emailVerification.js';
+
+const resendVerificationSchema = z.object({
+  email: z.string().email('Invalid email format').toLowerCase().trim(),
+});
+
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const validationResult = resendVerificationSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const user = await User.findOne({
+      email: validationResult.data.email,
+      deleted: { $ne: true },
+    });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await sendNewVerificationEmail(user);
+
+    res.status(200).json({ message: 'Verification email sent successfully' });
+  } catch (error) {
+    if (error instanceof EmailVerificationError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        message: error.message,
+        retryAfter: error.retryAfter,
+      });
+    }
+
+    console.error('Resend verification email error:', error);
+    next(error);
+  }
+};
+
+export default resendVerificationEmail;
@@ -0,0 +1,64 @@
+import bcrypt from 'bcryptjs';
+import { z } from 'zod';
+import User from './User.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import {
+  consumeResetToken,
+  OtpError,
+  sendOtpErrorResponse,
+} from './otpService.js';
+import { revokeUserSessions } from './sessionService.js';
+import { clearFailedLogins } from './loginLockout.js';
+
+const resetPasswordSchema = z.object({
+  resetToken: z.string().min(1, 'Reset token is required'),
+  newPassword: z
+    .string()
+    .min(8, 'New password must be at least 8 characters')
+    .max(128, 'New password must not exceed 128 characters')
+    .regex(
+      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+      'New password must contain at least one lowercase letter, one uppercase letter, and one number',
+    ),
+});
+
+const resetPassword = async (req, res, next) => {
+  try {
+    const validationResult = resetPasswordSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { resetToken, newPassword } = validationResult.data;
+
+    const userId = await consumeResetToken(resetToken);
+    const user = await User.findOne({ _id: userId, deleted: { $ne: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere; a lockout is lifted
+    await revokeUserSessions(user._id, 'password_changed');
+    await clearFailedLogins(user);
+
+    res.status(200).json({
+      message:
+        'Password reset successfully, please sign in with your new password',
+    });
+  } catch (error) {
+    if (error instanceof OtpError) {
+      return sendOtpErrorResponse(res, error);
+    }
+
+    console.error('Reset password error:', error);
+    next(error);
+  }
+};
+
+export default resetPassword;
@@ -0,0 +1,43 @@
+import { z } from 'zod';
+import formatZodError from '../../utils/formatZodError.js';
+import {
+  TwoFactorError,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+} from './twoFactorService.js';
+
+// Validation schema for replacing recovery codes
+const resetRecoveryCodesSchema = z.object({
+  code: z.string().trim().min(6, 'Code is required').max(20),
+});
+
+const resetRecoveryCodes = async (req, res, next) => {
+  try {
+    // Validate input
+    const validationResult = resetRecoveryCodesSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    await verifySecondFactor(req.user, validationResult.data.code);
+    const recoveryCodes = await regenerateRecoveryCodes(req.user);
+
+    res.status(200).json({
+      message:
+        'New recovery codes generated; the old ones no longer work. They will not be shown again',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Reset recovery codes error:', error);
+    next(error);
+  }
+};
+
+export default resetRecoveryCodes;
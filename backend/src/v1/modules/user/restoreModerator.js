@@ -1,4 +1,5 @@
 import User from './User.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
 
 const restoreModerator = async (req, res, next) => {
   try {
@@ -21,6 +22,15 @@ const restoreModerator = async (req, res, next) => {
       return res.status(404).json({ message: 'Moderator not found' });
     }
 
+    await recordAuditLog(req, {
+      action: 'moderator.restore',
+      entityType: 'user',
+      entityId: deletedModerator._id,
+      entityLabel: email,
+      before: { deleted: true },
+      after: { deleted: false },
+    });
+
     res.status(200).json({ message: 'Moderator restored successfully' });
   } catch (error) {
     console.error('Error restoring moderator:', error);
@@ -0,0 +1,35 @@
+import { clearRefreshCookie, revokeSession } from './sessionService.js';
+
+const revokeMySession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+
+    // Only the user's own sessions can be revoked
+    const revoked = await revokeSession(
+      { _id: id, user: req.user._id },
+      'revoked_by_user',
+    );
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const current = id === req.sessionId;
+    if (current) clearRefreshCookie(res);
+
+    res.status(200).json({
+      message: current
+        ? 'Current session revoked, you have been logged out'
+        : 'Session revoked successfully',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    next(error);
+  }
+};
+
+export default revokeMySession;
@@ -0,0 +1,22 @@
+import { revokeUserSessions } from './sessionService.js';
+
+// Signs out every other device, keeping the one making the request
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeUserSessions(
+      req.user._id,
+      'revoked_by_user',
+      { exceptSessionId: req.sessionId },
+    );
+
+    res.status(200).json({
+      message: 'Other sessions revoked successfully',
+      data: { revokedCount },
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    next(error);
+  }
+};
+
+export default revokeOtherSessions;
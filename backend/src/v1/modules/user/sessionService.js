@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from './User.model.js';
+import Session from './Session.model.js';
+import Settings from '../settings/Settings.model.js';
+import generateToken from '../../utils/generateToken.js';
+import getClientIp from '../../utils/getClientIp.js';
+
+/**
+ * Thrown when a refresh token cannot be used
+ */
+export class SessionError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const REFRESH_COOKIE_NAME = 'refreshToken';
+// Two tabs refreshing at once both send the same token; the slower one gets a 409
+// (and retries with the new cookie) instead of tripping reuse detection
+const ROTATION_GRACE_MS = 10 * 1000;
+// Replaced tokens remembered per session; presenting one of them means it was copied
+const RETIRED_TOKEN_HISTORY = 10;
+
+const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<random>"; only the hash is stored
+const createRefreshToken = sessionId =>
+  `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const sessionLifetimeMs = async () => {
+  const settings = await Settings.getSettings();
+  return (settings.security?.sessionTimeout || 60) * 60 * 1000;
+};
+
+// Scoped to the user routes, so the token is not sent with every API request
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+  path: '/api/v1/user',
+});
+
+const setRefreshCookie = (res, refreshToken, maxAge) =>
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    ...cookieOptions(),
+    maxAge,
+  });
+
+export const clearRefreshCookie = res =>
+  res.clearCookie(REFRESH_COOKIE_NAME, cookieOptions());
+
+// Session ID from the refresh cookie, without checking the token
+const sessionIdFromCookie = req => {
+  const sessionId = req.cookies?.[REFRESH_COOKIE_NAME]?.split('.')[0];
+  return /^[0-9a-fA-F]{24}$/.test(sessionId || '') ? sessionId : null;
+};
+
+/**
+ * Signs a user in on this device: creates a session, sets the refresh cookie
+ * and returns a short-lived access token bound to the session
+ * @param {Object} req - Express request (device details)
+ * @param {Object} res - Express response (refresh cookie)
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { token, session }
+ */
+export const startSession = async (req, res, user) => {
+  const lifetime = await sessionLifetimeMs();
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    ipAddress: getClientIp(req),
+    expiresAt: new Date(Date.now() + lifetime),
+  });
+  const refreshToken = createRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  setRefreshCookie(res, refreshToken, lifetime);
+  const token = await generateToken(user.email, user._id, session._id);
+  return { token, session };
+};
+
+/**
+ * Revokes one session
+ * @param {Object} filter - Session filter (e.g. { _id, user })
+ * @param {string} reason - Session revokedReason
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export const revokeSession = async (filter, reason) => {
+  const result = await Session.updateOne(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Session revokedReason
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep (usually the current one)
+ * @returns {Promise<number>} Sessions revoked
+ */
+export const revokeUserSessions = async (
+  userId,
+  reason,
+  { exceptSessionId } = {},
+) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Trades the refresh cookie for a new access token and a new refresh token.
+ * A refresh token works once. Presenting one that was already rotated away means
+ * a copy exists somewhere else, so the whole session (token family) is revoked.
+ * A token this session never issued is only refused: knowing a session ID is
+ * not enough to sign someone out.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} { token, user, session }
+ */
+export const rotateSession = async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE_NAME];
+  const sessionId = sessionIdFromCookie(req);
+  if (!presented || !sessionId) {
+    throw new SessionError('No refresh token provided');
+  }
+
+  const presentedHash = hashToken(presented);
+  const lifetime = await sessionLifetimeMs();
+  const now = new Date();
+  const nextToken = createRefreshToken(sessionId);
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + lifetime),
+        userAgent: req.get('user-agent'),
+        ipAddress: getClientIp(req),
+      },
+      $push: {
+        retiredTokenHashes: {
+          $each: [presentedHash],
+          $slice: -RETIRED_TOKEN_HISTORY,
+        },
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true },
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId);
+    const isActive =
+      existing && !existing.revokedAt && existing.expiresAt > now;
+
+    if (
+      isActive &&
+      existing.previousTokenHash === presentedHash &&
+      now - existing.rotatedAt < ROTATION_GRACE_MS
+    ) {
+      throw new SessionError(
+        'Session was just refreshed, retry with the new token',
+        409,
+      );
+    }
+
+    const wasIssued =
+      existing?.previousTokenHash === presentedHash ||
+      existing?.retiredTokenHashes?.includes(presentedHash);
+
+    if (isActive && wasIssued) {
+      await revokeSession({ _id: existing._id }, 'reuse_detected');
+      console.warn(
+        `⚠️ Refresh token reuse detected, session ${existing._id} of user ${existing.user} revoked`,
+      );
+    }
+
+    clearRefreshCookie(res);
+    throw new SessionError(
+      isActive && !wasIssued
+        ? 'Invalid refresh token'
+        : 'Session expired, please sign in again',
+    );
+  }
+
+  const user = await User.findOne({
+    _id: session.user,
+    deleted: { $ne: true },
+  });
+  if (!user) {
+    await revokeSession({ _id: session._id }, 'account_deleted');
+    clearRefreshCookie(res);
+    throw new SessionError('Unauthorized: User not found or inactive');
+  }
+
+  setRefreshCookie(res, nextToken, lifetime);
+  const token = await generateToken(user.email, user._id, session._id);
+  return { token, user, session };
+};
+
+// Session of a valid Bearer access token
+const sessionIdFromAccessToken = req => {
+  const token = req.headers['authorization']?.split('Bearer ')[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).sid || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Signs out this device: revokes the session and clears the refresh cookie.
+ * The session must be proven with its current refresh token or a valid access
+ * token; a bare session ID is not enough.
+ * @param {Object} req - Express request (refresh cookie or Bearer access token)
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+export const endSession = async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE_NAME];
+  const cookieSessionId = sessionIdFromCookie(req);
+  clearRefreshCookie(res);
+
+  if (presented && cookieSessionId) {
+    const revoked = await revokeSession(
+      { _id: cookieSessionId, tokenHash: hashToken(presented) },
+      'logout',
+    );
+    if (revoked) return true;
+  }
+
+  const accessSessionId = sessionIdFromAccessToken(req);
+  if (!accessSessionId) return false;
+  return revokeSession({ _id: accessSessionId }, 'logout');
+};
+
+/**
+ * Whether the session an access token belongs to is still active.
+ * Checked on every authenticated request so revoking a session takes effect at once.
+ * @param {string} sessionId - Session ID from the access token (sid)
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async sessionId =>
+  Boolean(
+    await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }),
+  );
@@ -0,0 +1,354 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from './User.model.js';
+import { ROLES } from '../../constants/ROLES.js';
+
+/**
+ * Thrown when a two-factor step cannot be completed (bad code, wrong state)
+ */
+export class TwoFactorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.statusCode = statusCode;
+  }
+}
+
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Codes from the previous and next period are accepted to allow for clock drift
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = buffer => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = value => {
+  let bits = '';
+  for (const char of value.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for one counter step
+const hotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Finds the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {number|null} Matching step, or null when the code is wrong
+ */
+export const matchTotpStep = (secret, code) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const expected = Buffer.from(hotp(secret, now + drift));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return now + drift;
+    }
+  }
+  return null;
+};
+
+// Secrets are stored encrypted (AES-256-GCM): they must be readable to check codes,
+// so hashing is not an option, but a database dump alone should not expose them
+const encryptionKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(
+      process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:2fa`,
+    )
+    .digest();
+
+const encryptSecret = secret => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, 'utf8'),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map(part => part.toString('base64'))
+    .join(':');
+};
+
+const decryptSecret = stored => {
+  const [iv, tag, encrypted] = stored
+    .split(':')
+    .map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    'utf8',
+  );
+};
+
+const hashRecoveryCode = code =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+/**
+ * Whether a user must have two-factor authentication to sign in
+ * @param {Object} user - User document
+ * @param {Object} settings - Settings document
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user, settings) =>
+  Boolean(
+    settings.security?.requireTwoFactorForAdmins && user.role === ROLES.ADMIN,
+  );
+
+/**
+ * Whether a user may turn on two-factor authentication
+ * @param {Object} user - User document
+ * @param {Object} settings - Settings document
+ * @returns {boolean}
+ */
+export const canUseTwoFactor = (user, settings) =>
+  Boolean(
+    settings.security?.enableTwoFactor || isTwoFactorRequired(user, settings),
+  );
+
+/**
+ * Starts enrollment: stores a new pending secret (replacing any earlier one)
+ * and returns what the authenticator app needs
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+export const startTwoFactorEnrollment = async user => {
+  if (user.twoFactor?.enabled) {
+    throw new TwoFactorError(
+      'Two-factor authentication is already enabled',
+      409,
+    );
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } },
+  );
+
+  const issuer = process.env.COMPANY_NAME || 'E-Commerce Express';
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  // Spaces must be %20, not "+", for authenticator apps
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS,
+    period: TOTP_PERIOD_SECONDS,
+  })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return { secret, otpauthUri: `otpauth://totp/${label}?${params}` };
+};
+
+/**
+ * Replaces the recovery codes. Only hashes are stored; the plain codes are
+ * returned once and cannot be shown again.
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>} New recovery codes (xxxxx-xxxxx)
+ */
+export const regenerateRecoveryCodes = async user => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.recoveryCodes': codes.map(code => ({
+          hash: hashRecoveryCode(code),
+          usedAt: null,
+        })),
+      },
+    },
+  );
+  return codes;
+};
+
+/**
+ * Finishes enrollment with a code from the app, turns two-factor on and
+ * issues the first set of recovery codes
+ * @param {Object} user - User document
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>>} Recovery codes
+ */
+export const confirmTwoFactorEnrollment = async (user, code) => {
+  if (user.twoFactor?.enabled) {
+    throw new TwoFactorError(
+      'Two-factor authentication is already enabled',
+      409,
+    );
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new TwoFactorError('Start two-factor enrollment first');
+  }
+
+  const step = matchTotpStep(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new TwoFactorError('Invalid verification code');
+  }
+
+  const enabled = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'twoFactor.enabled': { $ne: true },
+      'twoFactor.pendingSecret': user.twoFactor.pendingSecret,
+    },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.lastUsedStep': step,
+      },
+      $unset: { 'twoFactor.pendingSecret': '' },
+    },
+    { new: true },
+  );
+  if (!enabled) {
+    throw new TwoFactorError(
+      'Two-factor enrollment changed, please try again',
+      409,
+    );
+  }
+
+  return regenerateRecoveryCodes(enabled);
+};
+
+/**
+ * Checks a second factor: a TOTP code, or an unused recovery code (which is then
+ * used up). Each TOTP code works once, so a code seen by someone else cannot be replayed.
+ * @param {Object} user - User document with two-factor enabled
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<Object>} { method: 'totp' | 'recovery_code', recoveryCodesLeft? }
+ */
+export const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+    throw new TwoFactorError('Two-factor authentication is not enabled');
+  }
+
+  const step = matchTotpStep(decryptSecret(user.twoFactor.secret), code);
+  if (step !== null) {
+    const accepted = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+        ],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } },
+    );
+    if (accepted.modifiedCount === 0) {
+      throw new TwoFactorError(
+        'This code was already used, wait for the next one',
+      );
+    }
+    return { method: 'totp' };
+  }
+
+  const hash = hashRecoveryCode(code);
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } },
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } },
+    { new: true },
+  );
+  if (!updated) {
+    throw new TwoFactorError('Invalid verification code');
+  }
+
+  return {
+    method: 'recovery_code',
+    recoveryCodesLeft: updated.twoFactor.recoveryCodes.filter(
+      recoveryCode => !recoveryCode.usedAt,
+    ).length,
+  };
+};
+
+/**
+ * Turns two-factor authentication off and forgets the secret and recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async user => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactor: { enabled: false, recoveryCodes: [] } } },
+  );
+};
+
+// Challenge tokens use their own key, so authorize() can never accept one as a session
+const challengeKey = () => `${process.env.JWT_SECRET}:two-factor-challenge`;
+
+/**
+ * Short-lived token proving the password step of a login passed
+ * @param {Object} user - User document
+ * @param {string} purpose - 'login' (enter a code) or 'setup' (enroll before signing in)
+ * @returns {string} Signed token, valid for 5 minutes
+ */
+export const issueTwoFactorChallenge = (user, purpose) =>
+  jwt.sign({ userId: user._id.toString(), purpose }, challengeKey(), {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+/**
+ * Reads a challenge token issued by issueTwoFactorChallenge()
+ * @param {string} token - Challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {string} User ID
+ */
+export const readTwoFactorChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, challengeKey());
+    if (decoded.purpose !== purpose) throw new Error('Wrong purpose');
+    return decoded.userId;
+  } catch {
+    throw new TwoFactorError(
+      'Two-factor session expired, please sign in again',
+      401,
+    );
+  }
+};
@@ -0,0 +1,50 @@
+import { z } from 'zod';
+import User from './User.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import { getAccountLock, clearFailedLogins } from './loginLockout.js';
+
+// Validation schema for unlocking an account
+const unlockAccountSchema = z.object({
+  email: z.string().trim().toLowerCase().email('Invalid email address'),
+});
+
+const unlockAccount = async (req, res, next) => {
+  try {
+    // Validate input
+    const validationResult = unlockAccountSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { email } = validationResult.data;
+
+    const user = await User.findOne({ email, deleted: { $ne: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const wasLocked = Boolean(getAccountLock(user));
+    await clearFailedLogins(user);
+
+    console.log(`🔓 Account unlocked by ${req.user.email}: ${user.email}`);
+
+    res.status(200).json({
+      message: wasLocked
+        ? 'Account unlocked successfully'
+        : 'Account was not locked; failed login attempts were reset',
+      user: {
+        id: user._id,
+        email: user.email,
+        wasLocked,
+      },
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    next(error); // Pass error to the error handling middleware
+  }
+};
+
+export default unlockAccount;
@@ -0,0 +1,120 @@
+import { z } from 'zod';
+import User from './User.model.js';
+import { recordAuditLog } from '../audit/auditLogger.js';
+import formatZodError from '../../utils/formatZodError.js';
+import { ROLES } from '../../constants/ROLES.js';
+import { ALL_PERMISSIONS } from '../../constants/PERMISSIONS.js';
+import { getUserPermissions } from '../../utils/permissions.js';
+
+const permissionListSchema = z
+  .array(z.enum(ALL_PERMISSIONS))
+  .transform(permissions => [...new Set(permissions)]);
+
+// Replaces a moderator's grants and denials; their role template stays as is
+const updateModeratorPermissionsSchema = z
+  .object({
+    email: z.string().email('Invalid email format').toLowerCase().trim(),
+    grantedPermissions: permissionListSchema.default([]),
+    deniedPermissions: permissionListSchema.default([]),
+  })
+  .refine(
+    data =>
+      !data.grantedPermissions.some(permission =>
+        data.deniedPermissions.includes(permission),
+      ),
+    {
+      message: 'A permission cannot be both granted and denied',
+      path: ['deniedPermissions'],
+    },
+  );
+
+// Permissions added to or removed from a list
+const changedPermissions = (before = [], after = []) => [
+  ...after.filter(permission => !before.includes(permission)),
+  ...before.filter(permission => !after.includes(permission)),
+];
+
+const updateModeratorPermissions = async (req, res, next) => {
+  try {
+    const validationResult = updateModeratorPermissionsSchema.safeParse(
+      req.body,
+    );
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { email, grantedPermissions, deniedPermissions } =
+      validationResult.data;
+
+    // The lists as they were, to check the change and for the audit log
+    const previous = await User.findOne(
+      { email, role: ROLES.MODERATOR },
+      'grantedPermissions deniedPermissions',
+    ).lean();
+    if (!previous) {
+      return res.status(404).json({ message: 'Moderator not found' });
+    }
+
+    if (previous._id.equals(req.user._id)) {
+      return res.status(403).json({
+        message: 'You cannot change your own permissions',
+      });
+    }
+
+    // Staff can only hand out (or take away) what they hold themselves, so a
+    // moderator with moderators.manage cannot escalate anyone, or themselves
+    // through another account
+    const actorPermissions = getUserPermissions(req.user);
+    const outOfReach = [
+      ...new Set([
+        ...changedPermissions(previous.grantedPermissions, grantedPermissions),
+        ...changedPermissions(previous.deniedPermissions, deniedPermissions),
+      ]),
+    ].filter(permission => !actorPermissions.includes(permission));
+    if (outOfReach.length > 0) {
+      return res.status(403).json({
+        message: 'You can only grant or deny permissions you hold yourself',
+        permissions: outOfReach,
+      });
+    }
+
+    const moderator = await User.findOneAndUpdate(
+      { email, role: ROLES.MODERATOR },
+      { $set: { grantedPermissions, deniedPermissions } },
+      { new: true },
+    );
+    if (!moderator) {
+      return res.status(404).json({ message: 'Moderator not found' });
+    }
+
+    await recordAuditLog(req, {
+      action: 'moderator.permissions',
+      entityType: 'user',
+      entityId: moderator._id,
+      entityLabel: moderator.email,
+      before: {
+        grantedPermissions: previous.grantedPermissions || [],
+        deniedPermissions: previous.deniedPermissions || [],
+      },
+      after: { grantedPermissions, deniedPermissions },
+    });
+
+    res.status(200).json({
+      message: 'Moderator permissions updated successfully',
+      data: {
+        email: moderator.email,
+        grantedPermissions: moderator.grantedPermissions,
+        deniedPermissions: moderator.deniedPermissions,
+        permissions: getUserPermissions(moderator),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating moderator permissions:', error);
+    next(error);
+  }
+};
+
+export default updateModeratorPermissions;
@@ -1,43 +1,165 @@
 import express from 'express';
 import registerUserSelf from './registerUserSelf.js';
-import verifyToken from '../../middlewares/verifyToken.js';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
 import createModerator from './createModerator.js';
-import verifyAdmin from '../../middlewares/verifyAdmin.js';
 import loginUser from './loginUser.js';
 import refreshToken from './refreshToken.js';
+import logoutUser from './logoutUser.js';
+import getMySessions from './getMySessions.js';
+import revokeMySession from './revokeMySession.js';
+import revokeOtherSessions from './revokeOtherSessions.js';
 import deleteModerator from './deleteModerator.js';
 import getMyProfile from './getMyProfile.js';
 import restoreModerator from './restoreModerator.js';
 import changePassword from './changePassword.js';
 import forgetPassword from './forgetPassword.js';
 import verifyOtp from './verifyOtp.js';
+import resetPassword from './resetPassword.js';
+import verifyEmail from './verifyEmail.js';
+import resendVerificationEmail from './resendVerificationEmail.js';
 import allCustomers from './allCustomers.js';
 import allModerators from './allModerators.js';
-import verifyAdminOrModerator from '../../middlewares/verifyAdminOrModerator.js';
+import unlockAccount from './unlockAccount.js';
+import updateModeratorPermissions from './updateModeratorPermissions.js';
+import getPermissions from './getPermissions.js';
+import verifyTwoFactorLogin from './verifyTwoFactorLogin.js';
+import enrollTwoFactor from './enrollTwoFactor.js';
+import confirmTwoFactor from './confirmTwoFactor.js';
+import disableTwoFactor from './disableTwoFactor.js';
+import resetRecoveryCodes from './resetRecoveryCodes.js';
+import verifyTwoFactorSetup from '../../middlewares/verifyTwoFactorSetup.js';
+import {
+  rateLimit,
+  RATE_LIMIT_POLICIES,
+} from '../../middlewares/rateLimiter.js';
 const userRouter = express.Router();
 
 userRouter.post('/register-self', registerUserSelf);
 
-userRouter.post('/login', loginUser);
+userRouter.post(
+  '/verify-email',
+  rateLimit(RATE_LIMIT_POLICIES.emailVerification),
+  verifyEmail,
+);
 
-userRouter.post('/create-moderator', verifyAdmin, createModerator);
+userRouter.post(
+  '/resend-verification',
+  rateLimit(RATE_LIMIT_POLICIES.emailVerification),
+  resendVerificationEmail,
+);
 
-userRouter.get('/refresh-token', verifyToken, refreshToken);
+userRouter.post('/login', rateLimit(RATE_LIMIT_POLICIES.login), loginUser);
 
-userRouter.patch('/delete-moderator', verifyAdmin, deleteModerator);
+userRouter.post(
+  '/login/two-factor',
+  rateLimit(RATE_LIMIT_POLICIES.twoFactor),
+  verifyTwoFactorLogin,
+);
 
-userRouter.patch('/restore-moderator', verifyAdmin, restoreModerator);
+// Two-factor authentication (TOTP)
+userRouter.post('/two-factor/enroll', verifyTwoFactorSetup, enrollTwoFactor);
 
-userRouter.put('/change-password', verifyToken, changePassword);
+userRouter.post(
+  '/two-factor/confirm',
+  rateLimit(RATE_LIMIT_POLICIES.twoFactor),
+  verifyTwoFactorSetup,
+  confirmTwoFactor,
+);
 
-userRouter.post('/forget-password', forgetPassword);
+userRouter.post(
+  '/two-factor/disable',
+  rateLimit(RATE_LIMIT_POLICIES.twoFactor),
+  authorize(),
+  disableTwoFactor,
+);
 
-userRouter.post('/verify-otp', verifyOtp);
+userRouter.post(
+  '/two-factor/recovery-codes',
+  rateLimit(RATE_LIMIT_POLICIES.twoFactor),
+  authorize(),
+  resetRecoveryCodes,
+);
 
-userRouter.get('/me', verifyToken, getMyProfile);
+userRouter.post(
+  '/create-moderator',
+  authorize(PERMISSIONS.MODERATORS_MANAGE),
+  createModerator,
+);
 
-userRouter.get('/all-customers', verifyAdminOrModerator, allCustomers);
+// Sessions (refresh token in an httpOnly cookie)
+userRouter.post('/refresh-token', refreshToken);
 
-userRouter.get('/all-moderators', verifyAdmin, allModerators);
+userRouter.post('/logout', logoutUser);
+
+userRouter.get('/sessions', authorize(), getMySessions);
+
+userRouter.delete('/sessions', authorize(), revokeOtherSessions);
+
+userRouter.delete('/sessions/:id', authorize(), revokeMySession);
+
+userRouter.patch(
+  '/delete-moderator',
+  authorize(PERMISSIONS.MODERATORS_MANAGE),
+  deleteModerator,
+);
+
+userRouter.patch(
+  '/restore-moderator',
+  authorize(PERMISSIONS.MODERATORS_MANAGE),
+  restoreModerator,
+);
+
+userRouter.put(
+  '/moderator-permissions',
+  authorize(PERMISSIONS.MODERATORS_MANAGE),
+  updateModeratorPermissions,
+);
+
+userRouter.get(
+  '/permissions',
+  authorize(PERMISSIONS.MODERATORS_MANAGE),
+  getPermissions,
+);
+
+userRouter.patch(
+  '/unlock-account',
+  authorize(PERMISSIONS.USERS_UNLOCK),
+  unlockAccount,
+);
+
+userRouter.put('/change-password', authorize(), changePassword);
+
+userRouter.post(
+  '/forget-password',
+  rateLimit(RATE_LIMIT_POLICIES.forgetPassword),
+  forgetPassword,
+);
+
+userRouter.post(
+  '/verify-otp',
+  rateLimit(RATE_LIMIT_POLICIES.verifyOtp),
+  verifyOtp,
+);
+
+userRouter.post(
+  '/reset-password',
+  rateLimit(RATE_LIMIT_POLICIES.verifyOtp),
+  resetPassword,
+);
+
+userRouter.get('/me', authorize(), getMyProfile);
+
+userRouter.get(
+  '/all-customers',
+  authorize(PERMISSIONS.CUSTOMERS_READ),
+  allCustomers,
+);
+
+userRouter.get(
+  '/all-moderators',
+  authorize(PERMISSIONS.MODERATORS_MANAGE),
+  allModerators,
+);
 
 export default userRouter;
@@ -0,0 +1,41 @@
+import { z } from 'zod';
+import formatZodError from '../../utils/formatZodError.js';
+import {
+  EmailVerificationError,
+  verifyEmailToken,
+} from './emailVerification.js';
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Verification token is required'),
+});
+
+const verifyEmail = async (req, res, next) => {
+  try {
+    const validationResult = verifyEmailSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { alreadyVerified } = await verifyEmailToken(
+      validationResult.data.token,
+    );
+
+    res.status(200).json({
+      message: alreadyVerified
+        ? 'Email is already verified'
+        : 'Email verified successfully',
+    });
+  } catch (error) {
+    if (error instanceof EmailVerificationError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Verify email error:', error);
+    next(error);
+  }
+};
+
+export default verifyEmail;
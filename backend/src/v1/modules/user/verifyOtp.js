@@ -1,5 +1,10 @@
-import generateToken from '../../utils/generateToken.js';
 import User from './User.model.js';
+import {
+  issueResetToken,
+  OtpError,
+  sendOtpErrorResponse,
+  verifyOtpCode,
+} from './otpService.js';
 
 const verifyOtp = async (req, res, next) => {
   try {
@@ -10,29 +15,36 @@ const verifyOtp = async (req, res, next) => {
       return res.status(400).json({ message: 'Email and OTP are required' });
     }
 
-    // Here you would typically verify the OTP against your database or cache
-    // For demonstration, let's assume the OTP is valid
     const user = await User.findOne({
-      email,
-      otp,
-      otpExpires: { $gt: new Date() },
+      email: String(email).toLowerCase(),
+      deleted: { $ne: true },
     });
-    const isValidOtp = user !== null;
-
-    if (!isValidOtp) {
+    if (!user) {
       return res.status(400).json({ message: 'Invalid OTP' });
     }
 
-    // reset the otp into ""
-    user.otp = '';
-    user.otpExpires = null;
-    await user.save();
+    const verified = await verifyOtpCode(user, 'password_reset', otp);
+
+    // The code arrived by email, which proves the address as well
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
 
-    const token = await generateToken(user.email, user._id);
+    // Not a session: the reset token only lets POST /user/reset-password set a new password
+    const { resetToken, expiresAt } = await issueResetToken(verified);
 
-    // If OTP is valid, proceed with the next steps (e.g., activating user account)
-    res.status(200).json({ message: 'OTP verified successfully', token });
+    res.status(200).json({
+      message: 'OTP verified successfully',
+      resetToken,
+      expiresAt,
+    });
   } catch (error) {
+    if (error instanceof OtpError) {
+      return sendOtpErrorResponse(res, error);
+    }
+
     console.error('OTP verification error:', error);
     next(error);
   }
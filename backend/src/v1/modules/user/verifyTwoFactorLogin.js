@@ -0,0 +1,91 @@
+import { z } from 'zod';
+import User from './User.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import getClientIp from '../../utils/getClientIp.js';
+import { formatUserForResponsePublic } from '../../utils/formatUserForResponse.js';
+import {
+  TwoFactorError,
+  readTwoFactorChallenge,
+  verifySecondFactor,
+} from './twoFactorService.js';
+import {
+  getAccountLock,
+  recordFailedLogin,
+  clearFailedLogins,
+  sendAccountLockedResponse,
+} from './loginLockout.js';
+import { startSession } from './sessionService.js';
+
+// Validation schema for the second login step
+const verifyTwoFactorLoginSchema = z.object({
+  challengeToken: z.string().min(1, 'Challenge token is required'),
+  code: z.string().trim().min(6, 'Code is required').max(20),
+});
+
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    // Validate input
+    const validationResult = verifyTwoFactorLoginSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { challengeToken, code } = validationResult.data;
+    const userId = readTwoFactorChallenge(challengeToken, 'login');
+
+    const user = await User.findOne({ _id: userId, deleted: { $ne: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const lock = getAccountLock(user);
+    if (lock) {
+      return sendAccountLockedResponse(res, lock);
+    }
+
+    let verification;
+    try {
+      verification = await verifySecondFactor(user, code);
+    } catch (error) {
+      if (!(error instanceof TwoFactorError)) throw error;
+
+      // Wrong codes count towards the login lockout like wrong passwords
+      const attempt = await recordFailedLogin(user, {
+        ipAddress: getClientIp(req),
+      });
+      if (attempt.locked && attempt.lockedUntil) {
+        return sendAccountLockedResponse(res, attempt);
+      }
+      return res.status(401).json({
+        message: error.message,
+        attemptsRemaining: attempt.attemptsRemaining,
+      });
+    }
+
+    await clearFailedLogins(user);
+
+    // Start a session: refresh cookie plus short-lived access token
+    const { token } = await startSession(req, res, user);
+
+    res.status(200).json({
+      message: 'Login successful',
+      token,
+      user: formatUserForResponsePublic(user.toObject()),
+      ...(verification.method === 'recovery_code' && {
+        recoveryCodesLeft: verification.recoveryCodesLeft,
+      }),
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Two-factor login error:', error);
+    next(error);
+  }
+};
+
+export default verifyTwoFactorLogin;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = [
+  'order.created',
+  'order.updated',
+  'order.cancelled',
+  'product.created',
+  'product.updated',
+  'user.registered',
+];
+
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    statusCode: Number, // Receiver's HTTP status, missing when the request never got an answer
+    durationMs: Number,
+    error: String,
+    responseBody: String, // First 1000 characters of the receiver's answer
+  },
+  { _id: false },
+);
+
+// One document per event sent to one webhook (Settings.api.webhooks); replays get their own
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Settings.api.webhooks entry
+    event: { type: String, enum: WEBHOOK_EVENTS, required: true },
+    eventId: { type: String, required: true }, // Same for every delivery and replay of an event
+    url: { type: String, required: true },
+    payload: mongoose.Schema.Types.Mixed,
+    // pending -> delivering -> succeeded, or back to pending until attempts run out -> failed
+    status: {
+      type: String,
+      enum: ['pending', 'delivering', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    // A delivery stuck in "delivering" past this time is picked up again (e.g. after a restart)
+    lockedUntil: Date,
+    attemptLog: [deliveryAttemptSchema],
+    lastError: String,
+    deliveredAt: Date,
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+      default: null,
+    },
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ event: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+
+const WebhookDelivery = mongoose.model(
+  'WebhookDelivery',
+  webhookDeliverySchema,
+);
+export default WebhookDelivery;
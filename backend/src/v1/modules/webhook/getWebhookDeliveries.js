@@ -0,0 +1,87 @@
+import WebhookDelivery from './WebhookDelivery.model.js';
+
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      event,
+      status,
+      webhookId,
+      eventId,
+      sortOrder = 'desc',
+    } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (event) {
+      query.event = event;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (webhookId) {
+      if (!webhookId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          message: 'Invalid webhook ID',
+        });
+      }
+      query.webhookId = webhookId;
+    }
+
+    if (eventId) {
+      query.eventId = eventId;
+    }
+
+    // Execute query with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [deliveries, totalCount, statusStats] = await Promise.all([
+      WebhookDelivery.find(query)
+        // The list stays light; payloads and the attempt log are on the detail route
+        .select('-payload -attemptLog')
+        .sort({ createdAt: sortOrder === 'desc' ? -1 : 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      WebhookDelivery.countDocuments(query),
+      WebhookDelivery.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.status(200).json({
+      message: 'Webhook deliveries retrieved successfully',
+      data: {
+        deliveries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        summary: {
+          statusDistribution: statusStats.reduce((acc, stat) => {
+            acc[stat._id] = stat.count;
+            return acc;
+          }, {}),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getWebhookDeliveries;
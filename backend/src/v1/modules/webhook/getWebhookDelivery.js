@@ -0,0 +1,49 @@
+import WebhookDelivery from './WebhookDelivery.model.js';
+
+const getWebhookDelivery = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid delivery ID',
+      });
+    }
+
+    const delivery = await WebhookDelivery.findById(id)
+      .populate('replayedBy', 'name email')
+      .lean();
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Webhook delivery not found',
+      });
+    }
+
+    // Other deliveries of the same event: the original and its replays
+    const related = await WebhookDelivery.find({
+      eventId: delivery.eventId,
+      webhookId: delivery.webhookId,
+      _id: { $ne: delivery._id },
+    })
+      .select('status attempts replayOf deliveredAt createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      message: 'Webhook delivery retrieved successfully',
+      data: {
+        delivery,
+        related,
+      },
+    });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getWebhookDelivery;
@@ -0,0 +1,53 @@
+import WebhookDelivery from './WebhookDelivery.model.js';
+import { replayDelivery } from './webhookDispatcher.js';
+
+const replayWebhookDelivery = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid delivery ID',
+      });
+    }
+
+    const delivery = await WebhookDelivery.findById(id);
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Webhook delivery not found',
+      });
+    }
+
+    const replay = await replayDelivery(delivery, req.user.id);
+
+    // e.g. the webhook was removed or deactivated: nothing will retry it
+    if (replay.status === 'failed') {
+      return res.status(409).json({
+        message: 'Webhook replay failed',
+        lastError: replay.lastError,
+        data: {
+          delivery: replay,
+        },
+      });
+    }
+
+    res.status(201).json({
+      message:
+        replay.status === 'succeeded'
+          ? 'Webhook delivered successfully'
+          : 'Webhook replay queued; the receiver did not accept it yet',
+      data: {
+        delivery: replay,
+      },
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default replayWebhookDelivery;
@@ -0,0 +1,19 @@
+import express from 'express';
+import authorize from '../../middlewares/authorize.js';
+import { PERMISSIONS } from '../../constants/PERMISSIONS.js';
+
+// Import webhook controllers
+import getWebhookDeliveries from './getWebhookDeliveries.js';
+import getWebhookDelivery from './getWebhookDelivery.js';
+import replayWebhookDelivery from './replayWebhookDelivery.js';
+
+const webhookRouter = express.Router();
+
+// Staff routes - the delivery log of outbound webhooks (Settings.api.webhooks)
+webhookRouter.use(authorize(PERMISSIONS.WEBHOOKS_MANAGE));
+
+webhookRouter.get('/deliveries', getWebhookDeliveries); // GET /webhooks/deliveries - Delivery log with filters
+webhookRouter.get('/deliveries/:id', getWebhookDelivery); // GET /webhooks/deliveries/:id - Payload and attempt log
+webhookRouter.post('/deliveries/:id/replay', replayWebhookDelivery); // POST /webhooks/deliveries/:id/replay - Send the event again
+
+export default webhookRouter;
@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import Settings from '../settings/Settings.model.js';
+import WebhookDelivery from './WebhookDelivery.model.js';
+
+// Wait before each retry; the attempt after the last one fails the delivery
+const RETRY_DELAYS_MS = [
+  30 * 1000,
+  2 * 60 * 1000,
+  10 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10000;
+// How long an attempt may hold a delivery before the retry worker takes it over
+const DELIVERY_LOCK_MS = 60 * 1000;
+const RESPONSE_BODY_LIMIT = 1000;
+
+/**
+ * Signature receivers check: HMAC-SHA256 hex of "<timestamp>.<body>" with the
+ * webhook's secretKey. The timestamp lets them reject old (replayed) requests.
+ * @param {string} secretKey - Webhook secret from Settings.api.webhooks
+ * @param {number} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex digest
+ */
+export const signWebhookPayload = (secretKey, timestamp, body) =>
+  crypto
+    .createHmac('sha256', secretKey)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+const retryDelay = attempts =>
+  RETRY_DELAYS_MS[Math.min(attempts, RETRY_DELAYS_MS.length) - 1];
+
+// Takes a due delivery for one attempt; null when another attempt holds it or it is done
+const claimDelivery = deliveryId => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'delivering',
+        lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true },
+  );
+};
+
+// POSTs the payload; resolves to the attempt log entry
+const sendDelivery = async (delivery, webhook) => {
+  const startedAt = Date.now();
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(startedAt / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ECommerceExpress-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secretKey || '', timestamp, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const responseBody = await response.text().catch(() => '');
+
+    return {
+      at: new Date(startedAt),
+      statusCode: response.status,
+      durationMs: Date.now() - startedAt,
+      error: response.ok ? undefined : `Receiver answered ${response.status}`,
+      responseBody: responseBody.slice(0, RESPONSE_BODY_LIMIT),
+    };
+  } catch (error) {
+    return {
+      at: new Date(startedAt),
+      durationMs: Date.now() - startedAt,
+      error:
+        error.name === 'TimeoutError'
+          ? `No answer within ${REQUEST_TIMEOUT_MS / 1000}s`
+          : error.message,
+    };
+  }
+};
+
+/**
+ * Makes one attempt at a delivery, if it is due, and records the outcome.
+ * The URL and secret are read from Settings on every attempt, so a rotated
+ * secret applies to retries; a removed or deactivated webhook fails the delivery.
+ * @param {string} deliveryId - WebhookDelivery ID
+ * @returns {Promise<Object|null>} Updated delivery, or null if it was not due
+ */
+export const attemptDelivery = async deliveryId => {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) return null;
+
+  const settings = await Settings.getSettings();
+  const webhook = settings.api.webhooks.id(delivery.webhookId);
+
+  let attempt;
+  if (!webhook || !webhook.isActive || !webhook.url) {
+    attempt = {
+      at: new Date(),
+      error: 'Webhook was removed or deactivated',
+    };
+  } else {
+    delivery.url = webhook.url;
+    attempt = await sendDelivery(delivery, webhook);
+  }
+
+  const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+  const canRetry =
+    webhook?.isActive && !succeeded && delivery.attempts < delivery.maxAttempts;
+
+  delivery.attemptLog.push(attempt);
+  delivery.lastError = succeeded ? undefined : attempt.error;
+  delivery.lockedUntil = undefined;
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = attempt.at;
+  } else if (canRetry) {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(
+      Date.now() + retryDelay(delivery.attempts),
+    );
+  } else {
+    delivery.status = 'failed';
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// First attempt runs right away; failures are retried by the worker
+const attemptInBackground = deliveryId => {
+  attemptDelivery(deliveryId).catch(error =>
+    console.error(`Webhook delivery ${deliveryId} error:`, error),
+  );
+};
+
+/**
+ * Queues an event for every active webhook subscribed to it and starts sending.
+ * Never throws and does not wait for the receivers: call it after the change is saved.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data (see webhookPayloads.js)
+ * @returns {Promise<Array>} Queued deliveries
+ */
+export const emitWebhookEvent = async (event, data) => {
+  try {
+    const settings = await Settings.getSettings();
+    const webhooks = (settings.api?.webhooks || []).filter(
+      webhook => webhook.event === event && webhook.isActive && webhook.url,
+    );
+    if (webhooks.length === 0) return [];
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = {
+      id: eventId,
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map(webhook => ({
+        webhookId: webhook._id,
+        event,
+        eventId,
+        url: webhook.url,
+        payload,
+        maxAttempts: MAX_ATTEMPTS,
+      })),
+    );
+    deliveries.forEach(delivery => attemptInBackground(delivery._id));
+    return deliveries;
+  } catch (error) {
+    console.error(`Failed to queue webhook event ${event}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Sends a logged delivery again as a new delivery with the same event ID and
+ * payload (receivers can dedupe on X-Webhook-Id). Waits for the first attempt.
+ * @param {Object} delivery - WebhookDelivery document to replay
+ * @param {string} adminUserId - Admin replaying it
+ * @returns {Promise<Object>} The new delivery after its first attempt
+ */
+export const replayDelivery = async (delivery, adminUserId) => {
+  const replay = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    url: delivery.url,
+    payload: delivery.payload,
+    maxAttempts: MAX_ATTEMPTS,
+    replayOf: delivery._id,
+    replayedBy: adminUserId,
+  });
+
+  return (await attemptDelivery(replay._id)) || replay;
+};
+
+let retryTimer = null;
+let sweeping = false;
+
+const retryDueDeliveries = async () => {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    const now = new Date();
+    const due = await WebhookDelivery.find({
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lte: now } },
+      ],
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(50)
+      .select('_id');
+
+    // One at a time, so a slow receiver cannot flood the server with requests
+    for (const { _id } of due) {
+      await attemptDelivery(_id).catch(error =>
+        console.error(`Webhook delivery ${_id} error:`, error),
+      );
+    }
+  } catch (error) {
+    console.error('Webhook retry worker error:', error);
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Starts the interval that retries failed deliveries once their backoff has passed
+ * and resumes deliveries interrupted by a restart. Safe to call more than once.
+ * @param {number} [intervalMs] - How often to look for due deliveries
+ */
+export const startWebhookRetryWorker = (intervalMs = 15000) => {
+  if (retryTimer) return;
+  retryTimer = setInterval(retryDueDeliveries, intervalMs);
+  retryTimer.unref();
+};
@@ -0,0 +1,111 @@
+// The `data` of each webhook event. Built when the event happens, so a delivery
+// (and any replay of it) describes the record as it was at that moment.
+
+const idOf = value => (value?._id || value)?.toString() || null;
+
+/**
+ * Data for order.created, order.updated and order.cancelled
+ * @param {Object} order - Order document
+ * @returns {Object}
+ */
+export const orderWebhookData = order => ({
+  id: order._id.toString(),
+  orderNumber: order.orderNumber,
+  status: order.status,
+  customerType: order.customerType,
+  user: idOf(order.user),
+  guestEmail: order.guestEmail || null,
+  items: order.items.map(item => ({
+    id: item._id.toString(),
+    product: idOf(item.product),
+    name: item.productSnapshot?.name,
+    variant: {
+      color: item.variant?.color,
+      size: item.variant?.size,
+      sku: item.variant?.sku,
+    },
+    quantity: item.quantity,
+    unitPrice: item.effectivePrice,
+    lineTotal: item.lineTotal,
+  })),
+  pricing: {
+    subtotal: order.pricing.subtotal,
+    discount:
+      (order.pricing.itemDiscount || 0) +
+      (order.pricing.promotionDiscount || 0) +
+      (order.pricing.couponDiscount || 0),
+    shippingCost: order.pricing.shippingCost,
+    tax: order.pricing.tax,
+    total: order.pricing.total,
+  },
+  payment: {
+    method: order.payment?.method,
+    status: order.payment?.status,
+    transactionId: order.payment?.transactionId || null,
+    refundAmount: order.payment?.refundAmount || 0,
+  },
+  shipping: {
+    method: order.shipping?.method,
+    carrier: order.shipping?.carrier || null,
+    trackingNumber: order.shipping?.trackingNumber || null,
+    estimatedDelivery: order.shipping?.estimatedDelivery || null,
+  },
+  shippingAddress: order.shippingAddress
+    ? {
+        fullName: order.shippingAddress.fullName,
+        phone: order.shippingAddress.phone,
+        email: order.shippingAddress.email,
+        street: order.shippingAddress.street,
+        city: order.shippingAddress.city,
+        state: order.shippingAddress.state,
+        postalCode: order.shippingAddress.postalCode,
+        country: order.shippingAddress.country,
+        landmark: order.shippingAddress.landmark,
+      }
+    : null,
+  cancellationReason: order.cancellationReason || null,
+  placedAt: order.placedAt,
+  updatedAt: order.updatedAt || new Date(),
+});
+
+/**
+ * Data for product.created and product.updated
+ * @param {Object} product - Product document
+ * @returns {Object}
+ */
+export const productWebhookData = product => ({
+  id: product._id.toString(),
+  name: product.name,
+  slug: product.slug,
+  category: idOf(product.category),
+  price: product.price,
+  discountPrice: product.discountPrice ?? null,
+  stock: product.stock,
+  isActive: product.isActive,
+  hasVariants: product.hasVariants,
+  variants: (product.variants || []).map(variant => ({
+    id: variant._id.toString(),
+    sku: variant.sku,
+    color: variant.color,
+    size: variant.size,
+    price: variant.price ?? null,
+    discountPrice: variant.discountPrice ?? null,
+    stock: variant.stock,
+    isActive: variant.isActive,
+  })),
+  updatedAt: product.updatedAt || new Date(),
+});
+
+/**
+ * Data for user.registered. Never includes the password or OTP.
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+export const userWebhookData = user => ({
+  id: user._id.toString(),
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  createdAt: user.createdAt,
+});
@@ -0,0 +1,60 @@
+import { z } from 'zod';
+import User from '../user/User.model.js';
+import Product from '../product/Product.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+
+const addToWishlistSchema = z.object({
+  productId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid product ID'),
+});
+
+const addToWishlist = async (req, res) => {
+  try {
+    // Validate input
+    const validationResult = addToWishlistSchema.safeParse(req.body);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { productId } = validationResult.data;
+    const userId = req.user.id;
+
+    const product = await Product.findById(productId).select('name isActive');
+    if (!product) {
+      return res.status(404).json({
+        message: 'Product not found',
+      });
+    }
+
+    if (!product.isActive) {
+      return res.status(400).json({
+        message: 'Product is not available',
+      });
+    }
+
+    // $addToSet keeps the wishlist free of duplicates
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $addToSet: { wishlist: product._id } },
+      { new: true },
+    ).select('wishlist');
+
+    res.status(200).json({
+      message: 'Product added to wishlist successfully',
+      data: {
+        wishlist: user.wishlist,
+        totalItems: user.wishlist.length,
+      },
+    });
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default addToWishlist;
@@ -0,0 +1,25 @@
+import User from '../user/User.model.js';
+
+const clearWishlist = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    await User.findByIdAndUpdate(userId, { $set: { wishlist: [] } });
+
+    res.status(200).json({
+      message: 'Wishlist cleared successfully',
+      data: {
+        wishlist: [],
+        totalItems: 0,
+      },
+    });
+  } catch (error) {
+    console.error('Clear wishlist error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default clearWishlist;
@@ -0,0 +1,38 @@
+import User from '../user/User.model.js';
+
+const getWishlist = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const user = await User.findById(userId)
+      .select('wishlist')
+      .populate({
+        path: 'wishlist',
+        select:
+          'name slug images price discountPrice stock isActive hasVariants variants ratings',
+        populate: {
+          path: 'category',
+          select: 'name slug',
+        },
+      });
+
+    // Products that were removed since being saved are skipped
+    const items = (user?.wishlist || []).filter(Boolean);
+
+    res.status(200).json({
+      message: 'Wishlist retrieved successfully',
+      data: {
+        items,
+        totalItems: items.length,
+      },
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default getWishlist;
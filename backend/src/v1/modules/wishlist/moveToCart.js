@@ -0,0 +1,139 @@
+import { z } from 'zod';
+import User from '../user/User.model.js';
+import Cart from '../cart/Cart.model.js';
+import Product from '../product/Product.model.js';
+import formatZodError from '../../utils/formatZodError.js';
+import resolveCartVariant from '../cart/resolveCartVariant.js';
+
+const moveToCartSchema = z.object({
+  quantity: z.number().int().min(1, 'Quantity must be at least 1').default(1),
+  variantId: z.string().optional(),
+  variant: z
+    .object({
+      color: z.string().optional(),
+      size: z.string().optional(),
+    })
+    .optional(),
+});
+
+const moveToCart = async (req, res) => {
+  try {
+    // Validate input
+    const validationResult = moveToCartSchema.safeParse(req.body || {});
+    if (!validationResult.success) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: formatZodError(validationResult.error),
+      });
+    }
+
+    const { quantity, variantId, variant } = validationResult.data;
+    const { productId } = req.params;
+    const userId = req.user.id;
+
+    // Validate ObjectId
+    if (!productId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid product ID',
+      });
+    }
+
+    const inWishlist = await User.exists({ _id: userId, wishlist: productId });
+    if (!inWishlist) {
+      return res.status(404).json({
+        message: 'Product not found in wishlist',
+      });
+    }
+
+    const product = await Product.findById(productId).populate(
+      'category',
+      'name',
+    );
+    if (!product) {
+      return res.status(404).json({
+        message: 'Product not found',
+      });
+    }
+
+    if (!product.isActive) {
+      return res.status(400).json({
+        message: 'Product is not available',
+      });
+    }
+
+    // Same variant rules as POST /cart/add
+    const resolved = resolveCartVariant(product, { variantId, variant });
+    if (resolved.error) {
+      return res.status(400).json({
+        message: resolved.error,
+      });
+    }
+
+    const {
+      selectedVariant,
+      availableStock,
+      productPrice,
+      discountPrice,
+      variantData,
+    } = resolved;
+
+    // Find or create cart for user
+    let cart = await Cart.findOne({ user: userId });
+    if (!cart) {
+      cart = new Cart({ user: userId, items: [] });
+    }
+
+    // Include what is already in the cart in the stock check
+    const existingItem = cart.items.find(
+      item =>
+        item.product.toString() === productId &&
+        (!variantData.variantId ||
+          item.variant.variantId?.toString() ===
+            variantData.variantId.toString()),
+    );
+    const newQuantity = (existingItem?.quantity || 0) + quantity;
+
+    if (product.trackInventory && availableStock < newQuantity) {
+      return res.status(400).json({
+        message: `Insufficient stock. Only ${availableStock} items available`,
+      });
+    }
+
+    await cart.addItem({
+      productId: product._id,
+      variantId: variantData.variantId,
+      quantity,
+      price: productPrice,
+      discountPrice,
+      variant: variantData,
+      productSnapshot: {
+        name: product.name,
+        image: product.images?.[0]?.url || selectedVariant?.images?.[0]?.url,
+        category: product.category?.name || 'Unknown',
+      },
+    });
+
+    // Remove from wishlist only once the cart has been saved
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $pull: { wishlist: product._id } },
+      { new: true },
+    ).select('wishlist');
+
+    res.status(200).json({
+      message: 'Product moved to cart successfully',
+      data: {
+        cart,
+        wishlist: user.wishlist,
+      },
+    });
+  } catch (error) {
+    console.error('Move to cart error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default moveToCart;
@@ -0,0 +1,43 @@
+import User from '../user/User.model.js';
+
+const removeFromWishlist = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const userId = req.user.id;
+
+    // Validate ObjectId
+    if (!productId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        message: 'Invalid product ID',
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, wishlist: productId },
+      { $pull: { wishlist: productId } },
+      { new: true },
+    ).select('wishlist');
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'Product not found in wishlist',
+      });
+    }
+
+    res.status(200).json({
+      message: 'Product removed from wishlist successfully',
+      data: {
+        wishlist: user.wishlist,
+        totalItems: user.wishlist.length,
+      },
+    });
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+export default removeFromWishlist;
@@ -0,0 +1,23 @@
+import express from 'express';
+import authorize from '../../middlewares/authorize.js';
+import verifyWishlistEnabled from '../../middlewares/verifyWishlistEnabled.js';
+
+// Import wishlist controllers
+import getWishlist from './getWishlist.js';
+import addToWishlist from './addToWishlist.js';
+import removeFromWishlist from './removeFromWishlist.js';
+import clearWishlist from './clearWishlist.js';
+import moveToCart from './moveToCart.js';
+
+const wishlistRouter = express.Router();
+
+// All wishlist routes require authentication and an enabled wishlist
+wishlistRouter.use(authorize(), verifyWishlistEnabled);
+
+wishlistRouter.get('/', getWishlist); // GET /wishlist - Get user's wishlist
+wishlistRouter.post('/', addToWishlist); // POST /wishlist - Add product to wishlist
+wishlistRouter.delete('/clear', clearWishlist); // DELETE /wishlist/clear - Clear wishlist
+wishlistRouter.delete('/:productId', removeFromWishlist); // DELETE /wishlist/:productId - Remove product from wishlist
+wishlistRouter.post('/:productId/move-to-cart', moveToCart); // POST /wishlist/:productId/move-to-cart - Move product to cart
+
+export default wishlistRouter;
@@ -1,9 +1,27 @@
-export const formatUserForResponsePublic = user => {
-  const { password, otp, __v, otpExpires, ...publicData } = user;
-  return publicData;
-};
-
-export const formatUserForResponsePrivate = user => {
-  const { password, otp, __v, otpExpires, ...privateData } = user;
-  return privateData;
-};
+import { getUserPermissions } from './permissions.js';
+
+// Credentials and account security state, never sent to clients
+const PRIVATE_FIELDS = [
+  'password',
+  'otp',
+  'otpExpires',
+  '__v',
+  'failedLoginAttempts',
+  'lastFailedLoginAt',
+  'lockUntil',
+  'twoFactor',
+  'emailVerificationSentAt',
+];
+
+const omitPrivateFields = user =>
+  Object.fromEntries(
+    Object.entries(user).filter(([field]) => !PRIVATE_FIELDS.includes(field)),
+  );
+
+export const formatUserForResponsePublic = user => ({
+  ...omitPrivateFields(user),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  permissions: getUserPermissions(user),
+});
+
+export const formatUserForResponsePrivate = user => omitPrivateFields(user);
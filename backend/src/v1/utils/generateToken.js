@@ -1,9 +1,15 @@
 import jwt from 'jsonwebtoken';
 
-const generateToken = async (email, userId) => {
-  const newToken = jwt.sign({ email, userId }, process.env.JWT_SECRET, {
-    expiresIn: '1h',
-  });
+// Access tokens are short-lived (ACCESS_TOKEN_TTL, default 15 minutes); sessions
+// are kept alive with the refresh cookie, see modules/user/sessionService.js
+const generateToken = async (email, userId, sessionId) => {
+  const newToken = jwt.sign(
+    { email, userId, sid: sessionId?.toString() },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
+    },
+  );
   return newToken;
 };
 
@@ -0,0 +1,10 @@
+/**
+ * Client IP of a request. Behind a proxy or load balancer this relies on the
+ * TRUST_PROXY setting (see app.js); IPv4 addresses lose their "::ffff:" prefix.
+ * @param {Object} req - Express request
+ * @returns {string} IP address
+ */
+const getClientIp = req =>
+  (req.ip || req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+
+export default getClientIp;
@@ -0,0 +1,30 @@
+import { ROLES } from '../constants/ROLES.js';
+import { ROLE_PERMISSIONS } from '../constants/PERMISSIONS.js';
+
+/**
+ * Effective permissions of a user: the role template plus the user's grants,
+ * minus their denials. Admins always have everything.
+ * @param {Object} user - User document
+ * @returns {Array<string>} Permission names
+ */
+export const getUserPermissions = user => {
+  const template = ROLE_PERMISSIONS[user.role] || [];
+  if (user.role === ROLES.ADMIN) return [...template];
+
+  const denied = new Set(user.deniedPermissions || []);
+  return [...new Set([...template, ...(user.grantedPermissions || [])])].filter(
+    permission => !denied.has(permission),
+  );
+};
+
+/**
+ * Whether a user holds every one of the given permissions
+ * @param {Object} user - User document
+ * @param {...string} permissions - Permission names
+ * @returns {boolean}
+ */
+export const hasPermission = (user, ...permissions) => {
+  if (!user) return false;
+  const held = getUserPermissions(user);
+  return permissions.every(permission => held.includes(permission));
+};
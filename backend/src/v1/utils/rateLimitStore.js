@@ -0,0 +1,63 @@
+/**
+ * Rate limit stores count hits per key in fixed windows. Any object with these
+ * methods can replace the in-memory store (e.g. a Redis-backed one when several
+ * API instances share traffic), see setRateLimitStore():
+ *
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *     Counts a hit for key and returns the hits in the current window and the
+ *     Date the window ends. The first hit of a key starts its window.
+ *   reset(key) -> Promise<void>
+ *     Forgets key's hits.
+ */
+export class MemoryRateLimitStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    // Expired windows are dropped periodically so idle keys do not pile up
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Store used by every rate limiter
+ * @returns {Object} Rate limit store
+ */
+export const getRateLimitStore = () => store;
+
+/**
+ * Replaces the store used by every rate limiter. Call before the server starts.
+ * @param {Object} newStore - Object implementing increment() and reset()
+ */
+export const setRateLimitStore = newStore => {
+  if (
+    typeof newStore?.increment !== 'function' ||
+    typeof newStore?.reset !== 'function'
+  ) {
+    throw new Error('Rate limit store must implement increment() and reset()');
+  }
+  store = newStore;
+};
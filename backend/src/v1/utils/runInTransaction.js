@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+/**
+ * Runs work inside a MongoDB transaction, committing only if every step succeeds.
+ * Uses Mongoose's transaction wrapper rather than the driver's withTransaction(),
+ * so documents saved with the session get their changes back before a retry.
+ * @param {Function} work - Async callback receiving the session; may be retried on transient errors
+ * @returns {Promise<*>} Whatever the callback returns
+ */
+const runInTransaction = async work => {
+  let result;
+  await mongoose.connection.transaction(async session => {
+    result = await work(session);
+  });
+  return result;
+};
+
+export default runInTransaction;
@@ -6,7 +6,7 @@ import Spacer from "../ui/Spacer";
 import * as Yup from "yup";
 import showToast from "@/utils/toast";
 import { TAuthUIMode } from "@/types/authUiMode";
-import apiChangePassword from "@/utils/api/apiChangePassword";
+import apiResetPassword from "@/utils/api/apiResetPassword";
 
 type TProps = {
   changeMode: (mode: TAuthUIMode) => void;
@@ -32,7 +32,7 @@ export default function ResetPasswordForm(props: TProps) {
 
       // Call your login API here
       try {
-        await apiChangePassword({
+        await apiResetPassword({
           newPassword: values.newPassword,
         });
 
@@ -3,6 +3,7 @@ const API_ROUTES = {
   REGISTER: "/user/register-self",
   FORGOT_PASSWORD: "/user/forget-password",
   VERIFY_OTP: "/user/verify-otp",
+  RESET_PASSWORD: "/user/reset-password",
   CHANGE_PASSWORD: "/user/change-password",
 
   // Add more routes as needed
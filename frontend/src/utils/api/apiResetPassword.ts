@@ -0,0 +1,29 @@
+import API_ROUTES from "@/constants/API_ROUTES";
+import axiosInstance from "./base/axiosInstance";
+import Cookies from "js-cookie";
+
+type TReqData = {
+  newPassword: string;
+};
+
+type TResData = {
+  message: string;
+};
+
+const apiResetPassword = async (data: TReqData) => {
+  const instance = axiosInstance(false);
+
+  try {
+    const response = await instance.post(API_ROUTES.RESET_PASSWORD, {
+      ...data,
+      resetToken: Cookies.get("resetToken"),
+    });
+    Cookies.remove("resetToken");
+    return response.data as TResData;
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    throw error;
+  }
+};
+
+export default apiResetPassword;
@@ -9,6 +9,8 @@ type TReqData = {
 
 type TResData = {
   message: string;
+  resetToken: string;
+  expiresAt: string;
 };
 
 const apiVerifyOtp = async (data: TReqData) => {
@@ -16,8 +18,9 @@ const apiVerifyOtp = async (data: TReqData) => {
 
   try {
     const response = await instance.post(API_ROUTES.VERIFY_OTP, data);
-    Cookies.set("token", response.data.token, {
-      expires: 1,
+    // Only usable by apiResetPassword, for 15 minutes
+    Cookies.set("resetToken", response.data.resetToken, {
+      expires: new Date(response.data.expiresAt),
       secure: true,
       sameSite: "strict",
     });